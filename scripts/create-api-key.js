@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import { SCOPES, createApiKey, validateScopes } from '../src/services/apiKeys.js';
+import { closePool } from '../src/config/database.js';
+
+/**
+ * Create an API key in the key store
+ *
+ * Usage:
+ *   node scripts/create-api-key.js <name> <scope,scope,...> [expires-at]
+ *   node scripts/create-api-key.js nextjs-app query:read,reports:generate 2027-01-01
+ *
+ * The key is printed once; only its hash is stored.
+ */
+
+const [name, scopeList, expiresAt] = process.argv.slice(2);
+
+if (!name || !scopeList) {
+  console.error('Usage: node scripts/create-api-key.js <name> <scope,scope,...> [expires-at]');
+  console.error(`Scopes: ${SCOPES.join(', ')}, <group>:* or *`);
+  process.exit(1);
+}
+
+const scopes = scopeList.split(',').map((s) => s.trim()).filter(Boolean);
+const validation = validateScopes(scopes);
+if (!validation.valid) {
+  console.error(validation.error);
+  process.exit(1);
+}
+
+if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+  console.error(`Invalid expiry date: ${expiresAt}`);
+  process.exit(1);
+}
+
+try {
+  const { key, signingSecret, record } = await createApiKey({ name, scopes, expiresAt }, { actor: 'cli' });
+  console.log(`Created API key "${record.name}" (${record.key_prefix})`);
+  console.log(`Scopes:  ${record.scopes.join(', ')}`);
+  console.log(`Expires: ${record.expires_at ? record.expires_at.toISOString() : 'never'}`);
+  console.log(`\n${key}\n`);
+  if (signingSecret) console.log(`Signing secret: ${signingSecret}\n`);
+  console.log('Store this key now; it cannot be shown again.');
+} catch (error) {
+  console.error(error.code === '23505' ? `An API key named "${name}" already exists` : error.message);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
@@ -0,0 +1,47 @@
+import 'dotenv/config';
+import { LIST_SOURCES, importList, importConfiguredLists } from '../src/services/listIngestion.js';
+import { closePool } from '../src/config/database.js';
+
+/**
+ * Import sanctions and PEP lists from local files
+ *
+ * Usage:
+ *   node scripts/import-lists.js                      # every configured list
+ *   node scripts/import-lists.js ofac-sdn=./sdn.xml   # one list from a given file
+ *   node scripts/import-lists.js --force              # re-import unchanged files
+ */
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const targets = args.filter((arg) => !arg.startsWith('--'));
+
+let results;
+try {
+  if (targets.length === 0) {
+    results = await importConfiguredLists({ force });
+  } else {
+    results = [];
+    for (const target of targets) {
+      const [listId, path] = target.split('=');
+      if (!LIST_SOURCES[listId]) {
+        results.push({ listId, error: `Unknown list. Valid lists: ${Object.keys(LIST_SOURCES).join(', ')}` });
+        continue;
+      }
+      try {
+        results.push(await importList(listId, { path, force }));
+      } catch (error) {
+        results.push({ listId, error: error.message });
+      }
+    }
+  }
+} finally {
+  await closePool();
+}
+
+if (results.length === 0) {
+  console.error('No lists configured. Set SANCTIONS_OFAC_SDN_PATH, SANCTIONS_UN_PATH, SANCTIONS_EU_PATH or PEP_LIST_PATH, or pass list=path.');
+  process.exit(1);
+}
+
+console.table(results);
+process.exit(results.some((r) => r.error) ? 1 : 0);
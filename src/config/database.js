@@ -108,6 +108,186 @@ export function getPoolStats() {
   };
 }
 
+// Multi-tenant configuration
+const TENANTS_CONFIG_PATH = process.env.TENANTS_CONFIG_PATH;
+const TENANT_POOL_MAX = parseInt(process.env.TENANT_POOL_MAX, 10) || 5;
+const TENANT_POOL_IDLE_EVICT_MS = parseInt(process.env.TENANT_POOL_IDLE_EVICT_MS, 10) || 600000;
+const TENANT_REQUIRED = process.env.TENANT_REQUIRED === 'true';
+
+const SCHEMA_PATTERN = /^[a-z_][a-z0-9_]{0,62}$/;
+
+/**
+ * Load tenant definitions from TENANTS_CONFIG_PATH
+ * {
+ *   "acme":   { "database": "aml_acme" },                       // separate database
+ *   "globex": { "schema": "tenant_globex" },                    // search_path isolation
+ *   "hooli":  { "host": "10.0.0.5", "database": "aml", "user": "hooli",
+ *               "passwordEnv": "HOOLI_DB_PASSWORD", "poolMax": 10 }
+ * }
+ */
+function loadTenants() {
+  const tenants = new Map();
+  if (!TENANTS_CONFIG_PATH) return tenants;
+
+  const parsed = JSON.parse(fs.readFileSync(TENANTS_CONFIG_PATH, 'utf8'));
+  for (const [tenantId, tenant] of Object.entries(parsed)) {
+    if (!tenant.database && !tenant.schema) {
+      throw new Error(`Tenant ${tenantId} must define a database or a schema`);
+    }
+    if (tenant.schema && !SCHEMA_PATTERN.test(tenant.schema)) {
+      throw new Error(`Tenant ${tenantId} has an invalid schema name: ${tenant.schema}`);
+    }
+    tenants.set(tenantId, tenant);
+  }
+  return tenants;
+}
+
+const tenants = loadTenants();
+// tenantId -> { pool, mode, createdAt, lastUsedAt }
+const tenantPools = new Map();
+
+/**
+ * Create an error that the global error handler maps to an HTTP status
+ */
+function tenantError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 403;
+  return error;
+}
+
+/**
+ * Connection configuration for a tenant, based on the default connection
+ */
+function buildTenantConfig(tenant) {
+  const config = {
+    ...connectionConfig,
+    min: 0,
+    max: tenant.poolMax || TENANT_POOL_MAX,
+  };
+
+  if (tenant.host) {
+    config.host = tenant.host;
+    config.port = tenant.port || 5432;
+  }
+  if (tenant.database) config.database = tenant.database;
+  if (tenant.user) config.user = tenant.user;
+  if (tenant.passwordEnv) config.password = process.env[tenant.passwordEnv];
+  // Schema tenants only see their own schema
+  if (tenant.schema) config.options = `-c search_path=${tenant.schema}`;
+
+  return config;
+}
+
+/**
+ * Pool for a tenant, created on first use
+ * Without a tenant registry every request uses the default pool
+ * @param {string} [tenantId]
+ * @returns {pg.Pool}
+ */
+function getTenantPool(tenantId) {
+  if (tenants.size === 0) return pool;
+
+  if (!tenantId) {
+    if (TENANT_REQUIRED) throw tenantError('Request is not associated with a tenant', 'TENANT_REQUIRED');
+    return pool;
+  }
+
+  const tenant = tenants.get(tenantId);
+  if (!tenant) throw tenantError(`Unknown tenant: ${tenantId}`, 'UNKNOWN_TENANT');
+
+  let entry = tenantPools.get(tenantId);
+  if (!entry) {
+    const tenantPool = new Pool(buildTenantConfig(tenant));
+    tenantPool.on('error', (err) => {
+      console.error(JSON.stringify({
+        severity: 'ERROR',
+        message: 'Unexpected tenant pool error',
+        tenant: tenantId,
+        error: err.message,
+        code: err.code,
+        timestamp: new Date().toISOString(),
+      }));
+    });
+
+    entry = {
+      pool: tenantPool,
+      mode: tenant.schema ? 'schema' : 'database',
+      createdAt: new Date(),
+      lastUsedAt: Date.now(),
+    };
+    tenantPools.set(tenantId, entry);
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Tenant pool created',
+      tenant: tenantId,
+      mode: entry.mode,
+      timestamp: new Date().toISOString(),
+    }));
+  }
+
+  entry.lastUsedAt = Date.now();
+  return entry.pool;
+}
+
+/**
+ * Schema a schema-mode tenant is confined to
+ * @param {string} [tenantId]
+ * @returns {string|undefined} undefined for database tenants and untenanted requests
+ */
+export function getTenantSchema(tenantId) {
+  return tenantId ? tenants.get(tenantId)?.schema : undefined;
+}
+
+/**
+ * Close tenant pools that have been idle longer than TENANT_POOL_IDLE_EVICT_MS
+ */
+function evictIdleTenantPools() {
+  const now = Date.now();
+  for (const [tenantId, entry] of tenantPools) {
+    const { pool: tenantPool } = entry;
+    const inUse = tenantPool.totalCount - tenantPool.idleCount + tenantPool.waitingCount;
+    if (inUse > 0 || now - entry.lastUsedAt < TENANT_POOL_IDLE_EVICT_MS) continue;
+
+    tenantPools.delete(tenantId);
+    tenantPool.end().catch(() => {});
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Idle tenant pool closed',
+      tenant: tenantId,
+      idleFor: now - entry.lastUsedAt,
+      timestamp: new Date().toISOString(),
+    }));
+  }
+}
+
+if (tenants.size > 0) {
+  setInterval(evictIdleTenantPools, Math.min(60000, TENANT_POOL_IDLE_EVICT_MS)).unref();
+}
+
+/**
+ * Per-tenant pool statistics for monitoring
+ * @returns {Object|undefined} undefined when no tenants are configured
+ */
+export function getTenantPoolStats() {
+  if (tenants.size === 0) return undefined;
+
+  return {
+    configured: tenants.size,
+    open: tenantPools.size,
+    pools: Object.fromEntries([...tenantPools].map(([tenantId, entry]) => [tenantId, {
+      mode: entry.mode,
+      totalCount: entry.pool.totalCount,
+      idleCount: entry.pool.idleCount,
+      waitingCount: entry.pool.waitingCount,
+      createdAt: entry.createdAt.toISOString(),
+      lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+    }])),
+  };
+}
+
 /**
  * Execute a query with optional parameters and timeout
  * @param {string} text - SQL query
@@ -156,31 +336,37 @@ export async function query(text, params, timeout) {
   }
 }
 
+// Clients held longer than this are released by force (leak guard)
+const CLIENT_RELEASE_TIMEOUT_MS = 60000;
+
 /**
- * Get a client from the pool for transactions
- * @returns {Promise<pg.PoolClient>}
+ * Check a client out of a pool, forcing its release if it is held too long
+ * @param {pg.Pool} targetPool
+ * @param {Object} [options]
+ * @param {number} [options.releaseTimeout] - Force release after this many ms; 0 disables the guard
  */
-export async function getClient() {
-  const client = await pool.connect();
+async function checkout(targetPool, { releaseTimeout = CLIENT_RELEASE_TIMEOUT_MS } = {}) {
+  const client = await targetPool.connect();
   const originalRelease = client.release.bind(client);
   let released = false;
   
   // Timeout to ensure client is released
-  const releaseTimeout = setTimeout(() => {
+  const releaseTimer = releaseTimeout > 0 ? setTimeout(() => {
     if (!released) {
       console.error(JSON.stringify({
         severity: 'ERROR',
         message: 'Client not released within timeout, forcing release',
+        releaseTimeout,
         timestamp: new Date().toISOString(),
       }));
       client.release(true);
     }
-  }, 60000); // 60 second timeout
+  }, releaseTimeout) : null;
 
   client.release = (err) => {
     if (released) return;
     released = true;
-    clearTimeout(releaseTimeout);
+    clearTimeout(releaseTimer);
     return originalRelease(err);
   };
   
@@ -188,30 +374,263 @@ export async function getClient() {
 }
 
 /**
- * Execute a transaction with automatic rollback on error
- * @param {Function} callback - Async function receiving client
- * @param {number} timeout - Transaction timeout in ms
- * @returns {Promise<any>}
+ * Get a client from the pool for transactions
+ * @param {string} [tenantId] - Use this tenant's pool (see TENANTS_CONFIG_PATH)
+ * @param {Object} [options]
+ * @param {number} [options.releaseTimeout] - Force release after this many ms
+ *   (default 60 s); 0 disables it for work that outlives the guard
+ * @returns {Promise<pg.PoolClient>}
  */
-export async function transaction(callback, timeout = 30000) {
-  const client = await getClient();
-  
+export async function getClient(tenantId, { releaseTimeout } = {}) {
+  return checkout(getTenantPool(tenantId), { releaseTimeout });
+}
+
+// Read replica configuration
+const REPLICA_HOSTS = process.env.DB_REPLICA_HOSTS
+  ? process.env.DB_REPLICA_HOSTS.split(',').map(h => h.trim()).filter(Boolean)
+  : [];
+const REPLICA_POOL_MAX = parseInt(process.env.DB_REPLICA_POOL_MAX, 10) || connectionConfig.max;
+const REPLICA_HEALTH_INTERVAL_MS = parseInt(process.env.DB_REPLICA_HEALTH_INTERVAL_MS, 10) || 10000;
+
+// Errors after which a replica is taken out of rotation until its next successful health check
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EHOSTUNREACH',
+  '57P01', '57P02', '57P03', // admin_shutdown, crash_shutdown, cannot_connect_now
+]);
+
+function isConnectionError(error) {
+  return CONNECTION_ERROR_CODES.has(error.code)
+    || String(error.code || '').startsWith('08') // connection_exception class
+    || /timeout exceeded when trying to connect|Connection terminated/i.test(error.message);
+}
+
+const replicas = REPLICA_HOSTS.map((entry) => {
+  const [host, port] = entry.split(':');
+  const replica = {
+    host,
+    port: parseInt(port, 10) || connectionConfig.port || 5432,
+    healthy: true,
+    served: 0,
+    failures: 0,
+    lastError: null,
+  };
+
+  replica.pool = new Pool({
+    ...connectionConfig,
+    host: replica.host,
+    port: replica.port,
+    min: 0,
+    max: REPLICA_POOL_MAX,
+  });
+  replica.pool.on('error', (err) => markReplicaDown(replica, err));
+  return replica;
+});
+
+let replicaCursor = 0;
+
+/**
+ * Take a replica out of rotation
+ */
+function markReplicaDown(replica, error) {
+  replica.failures++;
+  replica.lastError = error.message;
+  if (!replica.healthy) return;
+
+  replica.healthy = false;
+  console.warn(JSON.stringify({
+    severity: 'WARNING',
+    message: 'Read replica marked unhealthy',
+    host: replica.host,
+    port: replica.port,
+    error: error.message,
+    code: error.code,
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Probe every replica; healthy ones rejoin the rotation
+ */
+async function checkReplicas() {
+  await Promise.all(replicas.map(async (replica) => {
+    try {
+      await replica.pool.query('SELECT 1');
+      if (!replica.healthy) {
+        replica.healthy = true;
+        console.log(JSON.stringify({
+          severity: 'INFO',
+          message: 'Read replica back in rotation',
+          host: replica.host,
+          port: replica.port,
+          timestamp: new Date().toISOString(),
+        }));
+      }
+    } catch (error) {
+      markReplicaDown(replica, error);
+    }
+  }));
+}
+
+if (replicas.length > 0) {
+  setInterval(checkReplicas, REPLICA_HEALTH_INTERVAL_MS).unref();
+}
+
+/**
+ * Next healthy replica in round-robin order
+ * Tenant pools always read from their own database
+ * @returns {Object|null} null when reads should go to the primary
+ */
+function pickReplica(tenantId) {
+  if (replicas.length === 0 || getTenantPool(tenantId) !== pool) return null;
+
+  for (let i = 0; i < replicas.length; i++) {
+    const replica = replicas[(replicaCursor + i) % replicas.length];
+    if (replica.healthy) {
+      replicaCursor = (replicaCursor + i + 1) % replicas.length;
+      return replica;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read replica statistics for monitoring
+ * @returns {Array<Object>|undefined} undefined when no replicas are configured
+ */
+export function getReplicaStats() {
+  if (replicas.length === 0) return undefined;
+
+  return replicas.map((replica) => ({
+    host: replica.host,
+    port: replica.port,
+    healthy: replica.healthy,
+    served: replica.served,
+    failures: replica.failures,
+    lastError: replica.lastError || undefined,
+    totalCount: replica.pool.totalCount,
+    idleCount: replica.pool.idleCount,
+    waitingCount: replica.pool.waitingCount,
+  }));
+}
+
+// Session settings populated from the request principal, readable in RLS policies
+// with current_setting('app.user_id', true)
+const SESSION_CONTEXT_SETTINGS = {
+  userId: 'app.user_id',
+  tenantId: 'app.tenant_id',
+  apiKey: 'app.api_key',
+};
+
+/**
+ * Apply the request principal to the current transaction
+ * set_config(..., true) is the parameterised form of SET LOCAL, so the values
+ * are discarded on COMMIT/ROLLBACK and never leak to the next pool user
+ * @param {pg.PoolClient} client - Client inside an open transaction
+ * @param {Object} context - { userId?, tenantId?, apiKey? }
+ */
+async function setSessionContext(client, context) {
+  const names = Object.values(SESSION_CONTEXT_SETTINGS);
+  const values = Object.keys(SESSION_CONTEXT_SETTINGS).map((key) =>
+    context[key] === undefined || context[key] === null ? '' : String(context[key])
+  );
+
+  await client.query(
+    `SELECT ${names.map((name, i) => `set_config('${name}', $${i + 1}, true)`).join(', ')}`,
+    values
+  );
+}
+
+/**
+ * Run a callback inside a transaction on an already checked-out client
+ */
+async function runTransaction(client, callback, timeout, { readOnly, context, rollback }) {
   try {
-    await client.query('BEGIN');
-    await client.query(`SET statement_timeout = ${timeout}`);
+    await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    await client.query(`SET LOCAL statement_timeout = ${parseInt(timeout, 10) || 30000}`);
+    if (context) {
+      await setSessionContext(client, context);
+    }
     
     const result = await callback(client);
     
-    await client.query('COMMIT');
+    await client.query(rollback ? 'ROLLBACK' : 'COMMIT');
     return result;
   } catch (error) {
-    await client.query('ROLLBACK');
+    // A broken connection cannot roll back; discard it instead of returning it to the pool
+    await client.query('ROLLBACK').catch(() => client.release(true));
     throw error;
   } finally {
     client.release();
   }
 }
 
+/**
+ * Cancel the statement a checked-out client is running, e.g. after the HTTP
+ * client disconnected. The busy connection can't take another query, so this
+ * opens a short-lived one to the same server (primary, replica or tenant)
+ * @param {pg.PoolClient} client
+ */
+export async function cancelQuery(client) {
+  const { host, port, database, user, password, ssl } = client.connectionParameters;
+  const canceller = new pg.Client({ host, port, database, user, password, ssl, connectionTimeoutMillis: 5000 });
+  try {
+    await canceller.connect();
+    await canceller.query('SELECT pg_cancel_backend($1)', [client.processID]);
+  } finally {
+    await canceller.end().catch(() => {});
+  }
+}
+
+/**
+ * Execute a transaction with automatic rollback on error
+ * @param {Function} callback - Async function receiving client
+ * @param {number} timeout - Transaction timeout in ms
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly] - Start a READ ONLY transaction
+ * @param {Object} [options.context] - Request principal { userId, tenantId, apiKey }
+ *   exposed to RLS policies as app.user_id, app.tenant_id and app.api_key;
+ *   tenantId also selects the tenant's pool
+ * @param {boolean} [options.replica] - Prefer a read replica (DB_REPLICA_HOSTS).
+ *   The callback must only read; it is re-run on the primary if the replica is
+ *   unreachable or rejects the statement as a write
+ * @param {boolean} [options.rollback] - Roll back instead of committing, e.g. after EXPLAIN ANALYZE
+ * @param {number} [options.releaseTimeout] - Force the client's release after this many ms
+ *   (default 60 s); raise it for transactions that legitimately run longer
+ * @returns {Promise<any>}
+ */
+export async function transaction(callback, timeout = 30000, {
+  readOnly = false, context, replica = false, rollback = false, releaseTimeout,
+} = {}) {
+  const target = replica ? pickReplica(context?.tenantId) : null;
+
+  if (target) {
+    try {
+      const result = await runTransaction(await checkout(target.pool, { releaseTimeout }), callback, timeout, {
+        readOnly: true, context, rollback,
+      });
+      target.served++;
+      return result;
+    } catch (error) {
+      const connectionFailed = isConnectionError(error);
+      if (connectionFailed) markReplicaDown(target, error);
+      // error.retryable === false: the callback already sent output (e.g. streamed
+      // rows), and re-running it on the primary would send it twice
+      if (error.retryable === false || (!connectionFailed && error.code !== '25006')) throw error;
+
+      console.warn(JSON.stringify({
+        severity: 'WARNING',
+        message: 'Replica read failed, retrying on primary',
+        host: target.host,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString(),
+      }));
+    }
+  }
+
+  return runTransaction(await getClient(context?.tenantId, { releaseTimeout }), callback, timeout, { readOnly, context, rollback });
+}
+
 /**
  * Check database connection health
  * @returns {Promise<{healthy: boolean, latency?: number, error?: string}>}
@@ -224,6 +643,8 @@ export async function healthCheck() {
       healthy: true,
       latency: Date.now() - start,
       poolStats: getPoolStats(),
+      tenantPools: getTenantPoolStats(),
+      replicas: getReplicaStats(),
     };
   } catch (error) {
     return {
@@ -270,6 +691,10 @@ export async function testConnection() {
  * Close all pool connections gracefully
  */
 export async function closePool() {
+  const tenantEntries = [...tenantPools.values()];
+  tenantPools.clear();
+  await Promise.all(tenantEntries.map((entry) => entry.pool.end()));
+  await Promise.all(replicas.map((replica) => replica.pool.end()));
   await pool.end();
 }
 
@@ -4,18 +4,33 @@ import cors from "cors";
 import helmet from "helmet";
 
 import {
-  apiKeyAuth,
+  authenticate,
+  adminAuth,
   rateLimit,
   ipAccessControl,
   requestSizeLimit,
   checkIPBlock,
 } from "./middleware/auth.js";
+import { captureRawBody } from "./middleware/requestSigning.js";
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
 import { closePool, testConnection } from "./config/database.js";
+import {
+  warmBrowserPool,
+  closeBrowserPool,
+} from "./services/browserPool.js";
+import {
+  startReportWorker,
+  stopReportWorker,
+} from "./services/reportJobs.js";
 
 import healthRoutes from "./routes/health.js";
 import queryRoutes from "./routes/query.js";
+import namedQueryRoutes from "./routes/namedQueries.js";
 import receiptRoutes from "./routes/receipt.js";
+import reportJobRoutes from "./routes/reportJobs.js";
+import listRoutes from "./routes/lists.js";
+import screeningRoutes from "./routes/screening.js";
+import adminKeyRoutes from "./routes/adminKeys.js";
 
 // Test database connection on startup
 testConnection().catch((error) => {
@@ -30,6 +45,26 @@ testConnection().catch((error) => {
   // Don't exit - let the server start and handle errors gracefully
 });
 
+// Pre-launch PDF browsers so the first report doesn't pay the startup cost
+if (process.env.PDF_BROWSER_WARM_ON_START !== "false") {
+  warmBrowserPool().catch((error) => {
+    console.error(
+      JSON.stringify({
+        severity: "ERROR",
+        message: "Failed to warm PDF browser pool on startup",
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      })
+    );
+    // Browsers are launched lazily on the first render instead
+  });
+}
+
+// Background worker for queued PDF report jobs
+if (process.env.REPORT_WORKER_ENABLED !== "false") {
+  startReportWorker();
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -85,8 +120,9 @@ app.use(
 
 // Body parsing with size limits
 const maxRequestSize = process.env.MAX_REQUEST_SIZE || "1mb";
-app.use(express.json({ limit: maxRequestSize }));
-app.use(express.urlencoded({ extended: true, limit: maxRequestSize }));
+// Keep the raw body so signed requests can be verified
+app.use(express.json({ limit: maxRequestSize, verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: maxRequestSize, verify: captureRawBody }));
 
 // Request logging
 app.use((req, res, next) => {
@@ -105,6 +141,8 @@ app.use((req, res, next) => {
         remoteIp: req.clientIP || req.ip,
         userAgent: req.headers["user-agent"],
       },
+      apiKey: req.apiKey?.name,
+      user: req.user?.id,
       timestamp: new Date().toISOString(),
     };
 
@@ -126,12 +164,26 @@ app.use("/api", ipAccessControl);
 app.use("/api", checkIPBlock); // Check IP blocks
 app.use("/api", requestSizeLimit);
 app.use("/api", rateLimit);
-app.use("/api", apiKeyAuth);
+app.use("/api", authenticate);
+
+// Admin routes use their own credential (ADMIN_API_KEY), never a consumer key
+app.use("/admin", ipAccessControl);
+app.use("/admin", checkIPBlock);
+app.use("/admin", requestSizeLimit);
+app.use("/admin", rateLimit);
+app.use("/admin", adminAuth);
 
 // API routes
 app.use("/api/query", queryRoutes);
+app.use("/api/queries", namedQueryRoutes);
+app.use("/api/reports/jobs", reportJobRoutes);
+app.use("/api/lists", listRoutes);
+app.use("/api/screen", screeningRoutes);
 app.use("/api", receiptRoutes);
 
+// Admin routes
+app.use("/admin/keys", adminKeyRoutes);
+
 // Root endpoint (public info)
 app.get("/", (req, res) => {
   res.json({
@@ -171,6 +223,10 @@ const shutdown = async (signal) => {
       })
     );
 
+    // Let in-flight report jobs finish, then close pooled PDF browsers
+    await stopReportWorker();
+    await closeBrowserPool();
+
     // Close database connections
     await closePool();
     console.log(
@@ -2,6 +2,11 @@
  * Production-grade authentication middleware
  */
 
+import { verifyApiKey, hasStoredApiKeys, hasScope } from '../services/apiKeys.js';
+import { isJwtConfigured, verifyJwt } from '../services/jwtAuth.js';
+import { validateQueryPolicy } from '../services/queryPolicy.js';
+import { hasSignature, verifyRequestSignature } from './requestSigning.js';
+
 // Re-export rate limiting from dedicated module
 export { rateLimit, checkIPBlock, blockIP } from './rateLimiter.js';
 
@@ -119,59 +124,305 @@ function isIPInCIDR(ip, cidr) {
   return ip === range;
 }
 
+// Scopes of the single key configured through API_KEY (kept for existing deployments)
+const ENV_KEY_SCOPES = process.env.API_KEY_SCOPES
+  ? process.env.API_KEY_SCOPES.split(',').map(s => s.trim()).filter(Boolean)
+  : ['*'];
+
 /**
- * API Key authentication middleware
+ * Read a query policy from a JSON environment variable
+ * An invalid policy stops startup rather than silently granting full access
  */
-export function apiKeyAuth(req, res, next) {
-  const apiKey = req.headers['x-api-key'];
-  const expectedKey = process.env.API_KEY;
+function loadQueryPolicy(name) {
+  if (!process.env[name]) return null;
 
-  if (!expectedKey) {
+  const policy = JSON.parse(process.env[name]);
+  const validation = validateQueryPolicy(policy);
+  if (!validation.valid) {
+    throw new Error(`${name}: ${validation.error}`);
+  }
+  return policy;
+}
+
+// Query policies for API_KEY and for all bearer tokens
+const ENV_KEY_QUERY_POLICY = loadQueryPolicy('API_KEY_QUERY_POLICY');
+const JWT_QUERY_POLICY = loadQueryPolicy('JWT_QUERY_POLICY');
+
+/**
+ * Verify the request signature when the key requires one or the client sent one
+ * @returns {boolean} true if the request may proceed; otherwise a response was sent
+ */
+async function checkSignature(req, res, { required, secret, keyId }) {
+  if (!required && !hasSignature(req)) {
+    return true;
+  }
+
+  if (!secret) {
     console.error(JSON.stringify({
       severity: 'ERROR',
-      message: 'API_KEY not configured - this is a security risk!',
+      message: 'Signed request received but request signing is not configured',
+      apiKey: req.apiKey?.name,
       timestamp: new Date().toISOString(),
     }));
-    
-    // In production, block all requests if API key not configured
-    if (process.env.NODE_ENV === 'production') {
-      return res.status(500).json({
+
+    res.status(503).json({
+      success: false,
+      error: 'Request signing is not configured',
+      code: 'SIGNING_NOT_CONFIGURED',
+    });
+    return false;
+  }
+
+  const result = await verifyRequestSignature(req, secret, keyId);
+  if (!result.valid) {
+    console.warn(JSON.stringify({
+      severity: 'WARNING',
+      message: 'Request signature rejected',
+      reason: result.code,
+      apiKey: req.apiKey?.name,
+      ip: req.clientIP || getClientIP(req),
+      path: req.path,
+      timestamp: new Date().toISOString(),
+    }));
+
+    res.status(401).json({
+      success: false,
+      error: result.error,
+      code: result.code,
+    });
+    return false;
+  }
+
+  req.apiKey.signed = true;
+  return true;
+}
+
+/**
+ * API Key authentication middleware
+ * Accepts the API_KEY environment key or any enabled key from the key store,
+ * and attaches { id, name, scopes } to req.apiKey
+ */
+export async function apiKeyAuth(req, res, next) {
+  const apiKey = req.headers['x-api-key'];
+  const expectedKey = process.env.API_KEY;
+
+  try {
+    if (!apiKey) {
+      if (!expectedKey && !isJwtConfigured() && !(await hasStoredApiKeys())) {
+        console.error(JSON.stringify({
+          severity: 'ERROR',
+          message: 'No API keys configured - this is a security risk!',
+          timestamp: new Date().toISOString(),
+        }));
+
+        // In production, block all requests if no API key is configured
+        if (process.env.NODE_ENV === 'production') {
+          return res.status(500).json({
+            success: false,
+            error: 'Server configuration error',
+            code: 'CONFIG_ERROR',
+          });
+        }
+        req.apiKey = { id: null, name: 'unauthenticated', scopes: ['*'] };
+        return next();
+      }
+
+      return res.status(401).json({
         success: false,
-        error: 'Server configuration error',
-        code: 'CONFIG_ERROR',
+        error: 'API key required',
+        code: 'MISSING_API_KEY',
       });
     }
-    return next();
+
+    // Constant-time comparison to prevent timing attacks
+    if (expectedKey && constantTimeEqual(apiKey, expectedKey)) {
+      req.apiKey = {
+        id: null,
+        name: 'env:API_KEY',
+        scopes: ENV_KEY_SCOPES,
+        tenantId: process.env.API_KEY_TENANT_ID,
+        queryPolicy: ENV_KEY_QUERY_POLICY,
+      };
+      const signed = await checkSignature(req, res, {
+        required: process.env.API_KEY_REQUIRE_SIGNATURE === 'true',
+        secret: process.env.API_KEY_SIGNING_SECRET,
+        keyId: 'env',
+      });
+      return signed ? next() : undefined;
+    }
+
+    const result = await verifyApiKey(apiKey, { ip: req.clientIP || getClientIP(req) });
+    if (!result.valid) {
+      console.warn(JSON.stringify({
+        severity: 'WARNING',
+        message: 'Invalid API key attempt',
+        reason: result.code,
+        ip: req.clientIP || getClientIP(req),
+        path: req.path,
+        timestamp: new Date().toISOString(),
+      }));
+
+      return res.status(403).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+      });
+    }
+
+    req.apiKey = result.key;
+    const signed = await checkSignature(req, res, {
+      required: result.key.requireSignature,
+      secret: result.signingSecret,
+      keyId: result.key.id,
+    });
+    if (signed) next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * JWT bearer authentication middleware
+ * Attaches the token's scopes to req.apiKey and the end user to req.user
+ */
+export function jwtAuth(req, res, next) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+
+  if (!isJwtConfigured()) {
+    return res.status(401).json({
+      success: false,
+      error: 'Bearer tokens are not accepted',
+      code: 'JWT_NOT_CONFIGURED',
+    });
+  }
+
+  try {
+    const result = verifyJwt(token);
+    if (!result.valid) {
+      console.warn(JSON.stringify({
+        severity: 'WARNING',
+        message: 'Invalid bearer token',
+        reason: result.error,
+        ip: req.clientIP || getClientIP(req),
+        path: req.path,
+        timestamp: new Date().toISOString(),
+      }));
+
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+      });
+    }
+
+    req.apiKey = {
+      id: null,
+      name: `jwt:${result.user.issuer}`,
+      scopes: result.scopes,
+      tenantId: result.user.tenantId,
+      queryPolicy: JWT_QUERY_POLICY,
+    };
+    req.user = result.user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Authenticate with a bearer token if one is sent, otherwise with an API key
+ */
+export function authenticate(req, res, next) {
+  if (/^Bearer\s/i.test(req.headers.authorization || '')) {
+    return jwtAuth(req, res, next);
+  }
+  return apiKeyAuth(req, res, next);
+}
+
+/**
+ * Principal of an authenticated request, for Postgres session settings
+ * @returns {{ userId?: string, tenantId?: string, apiKey?: string }}
+ */
+export function getSessionContext(req) {
+  return {
+    userId: req.user?.id,
+    tenantId: req.apiKey?.tenantId,
+    apiKey: req.apiKey?.name,
+  };
+}
+
+/**
+ * Admin credential middleware for /admin routes
+ * Uses ADMIN_API_KEY, which is separate from every consumer key
+ */
+export function adminAuth(req, res, next) {
+  const adminKey = req.headers['x-admin-key'];
+  const expectedKey = process.env.ADMIN_API_KEY;
+
+  if (!expectedKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is not configured',
+      code: 'ADMIN_NOT_CONFIGURED',
+    });
   }
 
-  if (!apiKey) {
+  if (!adminKey) {
     return res.status(401).json({
       success: false,
-      error: 'API key required',
-      code: 'MISSING_API_KEY',
+      error: 'Admin key required',
+      code: 'MISSING_ADMIN_KEY',
     });
   }
 
-  // Constant-time comparison to prevent timing attacks
-  if (!constantTimeEqual(apiKey, expectedKey)) {
+  if (!constantTimeEqual(adminKey, expectedKey)) {
     console.warn(JSON.stringify({
       severity: 'WARNING',
-      message: 'Invalid API key attempt',
+      message: 'Invalid admin key attempt',
       ip: req.clientIP || getClientIP(req),
-      path: req.path,
+      path: req.originalUrl,
       timestamp: new Date().toISOString(),
     }));
 
     return res.status(403).json({
       success: false,
-      error: 'Invalid API key',
-      code: 'INVALID_API_KEY',
+      error: 'Invalid admin key',
+      code: 'INVALID_ADMIN_KEY',
     });
   }
 
   next();
 }
 
+/**
+ * Require at least one of the given scopes on the authenticated key
+ * @param {...string} scopes - Accepted scopes
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    const granted = req.apiKey?.scopes;
+
+    if (!scopes.some((scope) => hasScope(granted, scope))) {
+      console.warn(JSON.stringify({
+        severity: 'WARNING',
+        message: 'API key lacks required scope',
+        apiKey: req.apiKey?.name,
+        required: scopes,
+        path: req.originalUrl,
+        timestamp: new Date().toISOString(),
+      }));
+
+      return res.status(403).json({
+        success: false,
+        error: `API key requires scope: ${scopes.join(' or ')}`,
+        code: 'INSUFFICIENT_SCOPE',
+      });
+    }
+
+    next();
+  };
+}
+
 /**
  * Constant-time string comparison to prevent timing attacks
  */
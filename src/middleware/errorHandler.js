@@ -68,6 +68,27 @@ export function errorHandler(err, req, res, next) {
           code: 'COLUMN_NOT_FOUND',
         });
 
+      case '42P10': // invalid_column_reference (ON CONFLICT target without a matching unique index)
+        return res.status(400).json({
+          success: false,
+          error: 'No unique index or constraint matches the conflict columns',
+          code: 'INVALID_CONFLICT_COLUMNS',
+        });
+
+      case '25006': // read_only_sql_transaction
+        return res.status(403).json({
+          success: false,
+          error: 'API key is limited to read-only queries',
+          code: 'READ_ONLY_QUERY',
+        });
+
+      case '42501': // insufficient_privilege (includes row-level security violations)
+        return res.status(403).json({
+          success: false,
+          error: 'Permission denied for this operation',
+          code: 'PERMISSION_DENIED',
+        });
+
       case '57014': // query_canceled (timeout)
         return res.status(408).json({
           success: false,
@@ -128,6 +149,7 @@ export function errorHandler(err, req, res, next) {
       ? 'Internal server error' 
       : err.message,
     code: err.code || 'INTERNAL_ERROR',
+    details: err.details,
   });
 }
 
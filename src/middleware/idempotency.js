@@ -0,0 +1,177 @@
+import { createHash } from 'crypto';
+import {
+  IDEMPOTENCY_REFRESH_INTERVAL_MS,
+  claimIdempotencyKey,
+  refreshIdempotencyKey,
+  saveIdempotentResponse,
+  releaseIdempotencyKey,
+} from '../services/idempotencyKeys.js';
+
+/**
+ * Idempotency-Key support for write routes
+ * Clients that retry after a timeout send the same Idempotency-Key; the retry
+ * gets the stored response of the first request instead of running it again
+ */
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Response headers replayed with a stored response
+const REPLAYED_HEADERS = ['content-type', 'content-disposition'];
+
+// Transient failures are not stored, so a retry runs the request again
+const RETRYABLE_STATUSES = new Set([408, 429]);
+
+/**
+ * Keys are scoped to the credential (and token user) that sent them
+ */
+function keyOwner(req) {
+  return [req.apiKey?.id || req.apiKey?.name, req.apiKey?.tenantId, req.user?.id]
+    .map((part) => part ?? '')
+    .join(':');
+}
+
+function requestFingerprint(req) {
+  return createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body ?? null]))
+    .digest('hex');
+}
+
+function logFailure(message, key, error) {
+  console.error(JSON.stringify({
+    severity: 'ERROR',
+    message,
+    idempotencyKey: key,
+    error: error.message,
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Middleware: replay or record the response for an Idempotency-Key header
+ * Requests without the header pass through unchanged
+ */
+export async function idempotency(req, res, next) {
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be 1-255 printable ASCII characters',
+      code: 'INVALID_IDEMPOTENCY_KEY',
+    });
+  }
+
+  const owner = keyOwner(req);
+  const fingerprint = requestFingerprint(req);
+
+  let claim;
+  try {
+    claim = await claimIdempotencyKey(owner, key, fingerprint);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!claim.claimed) {
+    const { record } = claim;
+
+    if (record.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED',
+      });
+    }
+
+    if (record.status !== 'completed') {
+      res.setHeader('Retry-After', '1');
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still in progress',
+        code: 'IDEMPOTENCY_KEY_IN_USE',
+      });
+    }
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Idempotent response replayed',
+      idempotencyKey: key,
+      path: req.originalUrl,
+      apiKey: req.apiKey?.name,
+      user: req.user?.id,
+      timestamp: new Date().toISOString(),
+    }));
+
+    for (const [name, value] of Object.entries(record.response_headers || {})) {
+      res.setHeader(name, value);
+    }
+    res.setHeader('Idempotency-Replayed', 'true');
+    return res.status(record.response_status).send(record.response_body);
+  }
+
+  let body;
+  let closed = false;
+  let settled = false;
+
+  // Refresh the claim for as long as the handler runs, however long that is;
+  // only a claim whose instance stopped is taken over by a retry
+  const refresher = setInterval(() => {
+    refreshIdempotencyKey(owner, key).then(
+      (held) => {
+        if (!held) clearInterval(refresher);
+      },
+      (error) => logFailure('Failed to refresh idempotency key', key, error)
+    );
+  }, IDEMPOTENCY_REFRESH_INTERVAL_MS);
+  refresher.unref();
+
+  // Store the response for replay, or give the key up when the request failed
+  // (5xx, 408, 429) so that a retry runs it again
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    clearInterval(refresher);
+
+    if (res.statusCode >= 500 || RETRYABLE_STATUSES.has(res.statusCode)) {
+      releaseIdempotencyKey(owner, key).catch((error) => logFailure('Failed to release idempotency key', key, error));
+      return;
+    }
+
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+      if (res.getHeader(name) !== undefined) headers[name] = res.getHeader(name);
+    }
+
+    saveIdempotentResponse(owner, key, {
+      status: res.statusCode,
+      headers,
+      body: Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body)),
+    }).catch((error) => logFailure('Failed to store idempotent response', key, error));
+  };
+
+  // res.json() ends in res.send(), so the last body sent is the final one
+  const send = res.send;
+  res.send = function captureBody(payload) {
+    body = payload;
+    const result = send.call(this, payload);
+    // The client left while the handler ran; its work is done, so keep the response
+    if (closed) settle();
+    return result;
+  };
+
+  res.on('close', () => {
+    closed = true;
+    if (body !== undefined) {
+      settle();
+    } else if (res.writableFinished) {
+      // Ended without res.send(): nothing to replay
+      clearInterval(refresher);
+      releaseIdempotencyKey(owner, key).catch((error) => logFailure('Failed to release idempotency key', key, error));
+    }
+    // Otherwise the client disconnected while the handler is still running. The
+    // claim stays in progress and keeps being refreshed, so a retry cannot run the
+    // write a second time; the response is stored once the handler sends it
+  });
+
+  next();
+}
@@ -0,0 +1,210 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import pool from '../config/database.js';
+
+// Short lock timeout, so a claim goes stale within a test
+const LOCK_TIMEOUT_SECONDS = 1;
+process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = String(LOCK_TIMEOUT_SECONDS);
+const { idempotency } = await import('./idempotency.js');
+
+// In-memory stand-in for the idempotency_keys table
+const keys = new Map();
+
+function fakeQuery({ text, values = [] }) {
+  const [owner, key] = values;
+  const id = `${owner}|${key}`;
+  const record = keys.get(id);
+  let rows = [];
+  let rowCount = 0;
+
+  if (text.includes('INSERT INTO idempotency_keys')) {
+    // New key, or an in-progress claim not refreshed within the lock timeout
+    const abandoned = record?.status === 'in_progress'
+      && record.refreshedAt < Date.now() - LOCK_TIMEOUT_SECONDS * 1000;
+    if (!record || abandoned) {
+      keys.set(id, { fingerprint: values[2], status: 'in_progress', refreshedAt: Date.now() });
+      rowCount = 1;
+    }
+  } else if (text.includes('SET refreshed_at = now()')) {
+    if (record?.status === 'in_progress') {
+      record.refreshedAt = Date.now();
+      rowCount = 1;
+    }
+  } else if (text.includes('SELECT fingerprint')) {
+    rows = keys.has(id) ? [keys.get(id)] : [];
+    rowCount = rows.length;
+  } else if (text.includes("SET status = 'completed'")) {
+    Object.assign(keys.get(id), {
+      status: 'completed',
+      response_status: values[2],
+      response_headers: JSON.parse(values[3]),
+      response_body: values[4],
+    });
+    rowCount = 1;
+  } else if (text.includes("status = 'in_progress'") && text.startsWith('DELETE')) {
+    if (keys.get(id)?.status === 'in_progress') {
+      keys.delete(id);
+      rowCount = 1;
+    }
+  }
+
+  return Promise.resolve({ rows, rowCount });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const settle = () => sleep(20);
+
+describe('idempotency middleware', () => {
+  let server;
+  let port;
+  let runs;
+  let handler;
+
+  before(async () => {
+    mock.method(pool, 'query', fakeQuery);
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiKey = { id: 'key-1', name: 'test' };
+      next();
+    });
+    app.post('/write', idempotency, (req, res) => {
+      runs++;
+      return handler(req, res);
+    });
+    server = app.listen(0);
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    keys.clear();
+    runs = 0;
+    handler = (req, res) => res.status(201).json({ success: true, run: runs });
+  });
+
+  const post = (key, body = { amount: 1 }) => fetch(`http://127.0.0.1:${port}/write`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(key && { 'idempotency-key': key }) },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(5000),
+  });
+
+  it('replays the stored response to a retry', async () => {
+    const first = await post('k1');
+    assert.equal(first.status, 201);
+    await settle();
+
+    const retry = await post('k1');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotency-replayed'), 'true');
+    assert.deepEqual(await retry.json(), { success: true, run: 1 });
+    assert.equal(runs, 1);
+  });
+
+  it('rejects a malformed key', async () => {
+    const res = await post('bad key');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'INVALID_IDEMPOTENCY_KEY');
+  });
+
+  it('rejects a key reused for a different body', async () => {
+    await post('k2');
+    await settle();
+
+    const res = await post('k2', { amount: 2 });
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('answers 409 while the first request is running', async () => {
+    let finish;
+    handler = (req, res) => new Promise((resolve) => {
+      finish = () => resolve(res.json({ success: true }));
+    });
+
+    const first = post('k3');
+    await settle();
+    const retry = await post('k3');
+    assert.equal(retry.status, 409);
+    assert.equal(retry.headers.get('retry-after'), '1');
+    assert.equal((await retry.json()).code, 'IDEMPOTENCY_KEY_IN_USE');
+
+    finish();
+    assert.equal((await first).status, 200);
+  });
+
+  it('frees the key after a server error so a retry runs again', async () => {
+    handler = (req, res) => res.status(500).json({ success: false });
+    await post('k4');
+    await settle();
+
+    handler = (req, res) => res.json({ success: true });
+    const retry = await post('k4');
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotency-replayed'), null);
+    assert.equal(runs, 2);
+  });
+
+  it('keeps the claim when the client disconnects mid-request', async () => {
+    let finish;
+    handler = (req, res) => new Promise((resolve) => {
+      finish = () => resolve(res.status(201).json({ success: true, run: runs }));
+    });
+
+    // Send the request, then drop the connection while the handler runs
+    const body = JSON.stringify({ amount: 1 });
+    const req = http.request({
+      port,
+      method: 'POST',
+      path: '/write',
+      headers: { 'content-type': 'application/json', 'idempotency-key': 'k5', 'content-length': body.length },
+    });
+    req.on('error', () => {});
+    req.end(body);
+    await settle();
+    req.destroy();
+    await settle();
+
+    const during = await post('k5');
+    assert.equal(during.status, 409);
+
+    finish();
+    await settle();
+
+    const retry = await post('k5');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotency-replayed'), 'true');
+    assert.equal(runs, 1);
+  });
+
+  it('keeps the claim while a handler outlives the lock timeout', async () => {
+    handler = (req, res) => sleep(LOCK_TIMEOUT_SECONDS * 2500).then(() => res.status(201).json({ success: true }));
+
+    const first = post('k6');
+    await sleep(LOCK_TIMEOUT_SECONDS * 1800);
+
+    const retry = await post('k6');
+    assert.equal(retry.status, 409);
+    assert.equal((await retry.json()).code, 'IDEMPOTENCY_KEY_IN_USE');
+
+    assert.equal((await first).status, 201);
+    assert.equal(runs, 1);
+  });
+
+  it('lets a retry take over a claim nobody refreshes', async () => {
+    keys.set('key-1::|k7', { fingerprint: 'abandoned', status: 'in_progress', refreshedAt: Date.now() - 5000 });
+
+    const res = await post('k7');
+    assert.equal(res.status, 201);
+    assert.equal(runs, 1);
+  });
+});
@@ -1,32 +1,46 @@
 /**
  * SQL Query Validator
- * Prevents dangerous operations and SQL injection attempts
+ * Parses queries with the PostgreSQL grammar and checks statement types,
+ * referenced tables and called functions against the configured policy
  */
 
-// Dangerous SQL patterns that should be blocked in production
-const DANGEROUS_PATTERNS = [
-  /;\s*DROP\s+/i,
-  /;\s*DELETE\s+FROM\s+(?!.*WHERE)/i, // DELETE without WHERE
-  /;\s*TRUNCATE\s+/i,
-  /;\s*ALTER\s+/i,
-  /;\s*CREATE\s+/i,
-  /;\s*GRANT\s+/i,
-  /;\s*REVOKE\s+/i,
-  /INFORMATION_SCHEMA/i,
-  /PG_CATALOG/i,
-  /PG_TABLES/i,
-  /--\s*$/m, // SQL comments at end of line (potential injection)
-  /\/\*[\s\S]*?\*\//g, // Block comments
-  /;\s*COPY\s+/i,
-  /;\s*\\copy/i,
-  /pg_read_file/i,
-  /pg_write_file/i,
-  /lo_import/i,
-  /lo_export/i,
-];
-
-// Patterns that indicate multiple statements (potential injection)
-const MULTI_STATEMENT_PATTERN = /;\s*(?:SELECT|INSERT|UPDATE|DELETE|DROP|CREATE|ALTER|TRUNCATE)/i;
+import { parseSql } from '../services/sqlParser.js';
+import { getTenantSchema } from '../config/database.js';
+import { checkQueryPolicy, checkHelperPolicy } from '../services/queryPolicy.js';
+
+// Statement types blocked in production (prefix match: alter covers alter_table, alter_role, ...)
+const DANGEROUS_STATEMENTS = ['drop', 'truncate', 'alter', 'create', 'grant', 'revoke', 'copy', 'do'];
+
+// Functions blocked in every mode. Prefixes cover the server administration,
+// filesystem and large-object functions (pg_terminate_backend, pg_read_file,
+// lo_get, ...) and the dblink extension; the names run SQL passed as a string,
+// which would skip the table checks
+const DANGEROUS_FUNCTION_PREFIXES = ['pg_', 'lo_', 'dblink'];
+const DANGEROUS_FUNCTIONS = new Set([
+  'query_to_xml',
+  'query_to_xmlschema',
+  'query_to_xml_and_xmlschema',
+  'cursor_to_xml',
+  'cursor_to_xmlschema',
+  'table_to_xml',
+  'table_to_xmlschema',
+  'table_to_xml_and_xmlschema',
+  'schema_to_xml',
+  'schema_to_xmlschema',
+  'schema_to_xml_and_xmlschema',
+  'database_to_xml',
+  'database_to_xmlschema',
+  'database_to_xml_and_xmlschema',
+]);
+
+// Statements and functions that change session settings, including the
+// app.user_id / app.tenant_id / app.api_key identity that RLS policies read;
+// blocked in every mode
+const SESSION_STATEMENTS = ['variable_set', 'variable_reset'];
+const SESSION_FUNCTIONS = new Set(['set_config']);
+
+// Statements whose tables can be checked against ALLOWED_TABLES
+const DATA_STATEMENTS = ['select', 'insert', 'update', 'delete', 'merge'];
 
 // Maximum query length to prevent DoS
 const MAX_QUERY_LENGTH = parseInt(process.env.MAX_QUERY_LENGTH, 10) || 50000;
@@ -44,13 +58,23 @@ const BLOCKED_TABLES = process.env.BLOCKED_TABLES
   ? process.env.BLOCKED_TABLES.split(',').map(t => t.trim().toLowerCase())
   : ['pg_', 'information_schema', '_prisma_migrations'];
 
+// Tables this service keeps for itself (API keys and their audit log,
+// idempotency claims, signature nonces, report jobs with other callers' PDFs). Always blocked,
+// whatever BLOCKED_TABLES says, so a key cannot edit its own scopes or read
+// another caller's data through the query routes
+const INTERNAL_TABLES = new Set([
+  'api_keys', 'api_key_audit', 'idempotency_keys', 'signature_nonces', 'report_jobs',
+]);
+
 /**
  * Validate SQL query for security issues
  * @param {string} sql - SQL query to validate
  * @param {Array} params - Query parameters
- * @returns {{ valid: boolean, error?: string, code?: string }}
+ * @param {Object} [options]
+ * @param {string} [options.schema] - Schema a schema-mode tenant is confined to
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number, analysis?: Object }}
  */
-export function validateQuery(sql, params = []) {
+export function validateQuery(sql, params = [], { schema } = {}) {
   // Check query exists
   if (!sql || typeof sql !== 'string') {
     return { valid: false, error: 'SQL query is required', code: 'MISSING_SQL' };
@@ -74,30 +98,38 @@ export function validateQuery(sql, params = []) {
     };
   }
 
-  // Check for dangerous patterns in production
+  const analysis = parseSql(sql);
+  if (!analysis.valid) {
+    return { valid: false, error: analysis.error, code: 'SQL_SYNTAX_ERROR', position: analysis.position };
+  }
+
+  const sessionValidation = validateSessionSettings(analysis);
+  if (!sessionValidation.valid) {
+    return sessionValidation;
+  }
+
+  const functionValidation = validateFunctions(analysis);
+  if (!functionValidation.valid) {
+    return functionValidation;
+  }
+
+  // Check for dangerous statements in production
   if (process.env.NODE_ENV === 'production' || process.env.STRICT_SQL_VALIDATION === 'true') {
-    for (const pattern of DANGEROUS_PATTERNS) {
-      if (pattern.test(sql)) {
-        return { 
-          valid: false, 
-          error: 'Query contains potentially dangerous operations', 
-          code: 'DANGEROUS_QUERY' 
-        };
-      }
+    const strictValidation = validateStrict(analysis);
+    if (!strictValidation.valid) {
+      return strictValidation;
     }
+  }
 
-    // Check for multiple statements
-    if (MULTI_STATEMENT_PATTERN.test(sql)) {
-      return { 
-        valid: false, 
-        error: 'Multiple statements not allowed', 
-        code: 'MULTI_STATEMENT' 
-      };
+  if (schema) {
+    const schemaValidation = validateTenantSchema(analysis, schema);
+    if (!schemaValidation.valid) {
+      return schemaValidation;
     }
   }
 
   // Check table access
-  const tableValidation = validateTableAccess(sql);
+  const tableValidation = validateTableAccess(analysis);
   if (!tableValidation.valid) {
     return tableValidation;
   }
@@ -113,43 +145,219 @@ export function validateQuery(sql, params = []) {
     }
   }
 
-  return { valid: true };
+  return { valid: true, analysis };
 }
 
 /**
- * Validate table access permissions
+ * Whether a query is a single statement that only reads data and may run on
+ * a read replica. Locking reads, SELECT INTO, data-modifying CTEs and
+ * sequence functions count as writes
  * @param {string} sql - SQL query
- * @returns {{ valid: boolean, error?: string, code?: string }}
+ * @returns {boolean}
  */
-function validateTableAccess(sql) {
-  const sqlLower = sql.toLowerCase();
-  
-  // Check for blocked tables
-  for (const blockedTable of BLOCKED_TABLES) {
-    if (sqlLower.includes(blockedTable)) {
-      return { 
-        valid: false, 
-        error: `Access to system tables is not allowed`, 
-        code: 'BLOCKED_TABLE' 
+export function isSelectOnly(sql) {
+  if (!sql || typeof sql !== 'string') return false;
+
+  const analysis = parseSql(sql);
+  return analysis.valid && analysis.statements.length === 1 && analysis.statements[0].readOnly;
+}
+
+function describeStatement(statement) {
+  return statement.type.toUpperCase().replace(/_/g, ' ');
+}
+
+/**
+ * Session settings carry the caller's identity for row-level security
+ * (set_config(..., true) per transaction), so SQL may not change them
+ * @param {Object} analysis - Result of parseSql
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+function validateSessionSettings({ statements, functions }) {
+  const statement = statements.find((stmt) => SESSION_STATEMENTS.includes(stmt.type));
+  if (statement) {
+    return {
+      valid: false,
+      error: 'SET and RESET statements are not allowed',
+      code: 'SESSION_CHANGE_NOT_ALLOWED',
+      position: statement.position,
+    };
+  }
+
+  const fn = functions.find((f) => SESSION_FUNCTIONS.has(f.name.toLowerCase()));
+  if (fn) {
+    return {
+      valid: false,
+      error: `Function ${fn.name} is not allowed`,
+      code: 'SESSION_CHANGE_NOT_ALLOWED',
+      position: fn.position,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Production rules: a single statement, no DDL, privilege or COPY statements
+ * @param {Object} analysis - Result of parseSql
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+function validateStrict({ statements }) {
+  if (statements.length > 1) {
+    return {
+      valid: false,
+      error: 'Multiple statements not allowed',
+      code: 'MULTI_STATEMENT',
+      position: statements[1].position,
+    };
+  }
+
+  const dangerousStatement = statements.find((statement) =>
+    DANGEROUS_STATEMENTS.some((type) => statement.type.startsWith(type))
+  );
+  if (dangerousStatement) {
+    return {
+      valid: false,
+      error: `${describeStatement(dangerousStatement)} statements are not allowed`,
+      code: 'DANGEROUS_QUERY',
+      position: dangerousStatement.position,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Server administration, filesystem, large-object and dblink functions, and
+ * the XML functions that run SQL from a string
+ * @param {Object} analysis - Result of parseSql
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+function validateFunctions({ functions }) {
+  const dangerousFunction = functions.find((fn) => {
+    const name = fn.name.toLowerCase();
+    return DANGEROUS_FUNCTIONS.has(name)
+      || DANGEROUS_FUNCTION_PREFIXES.some((prefix) => name.startsWith(prefix));
+  });
+  if (dangerousFunction) {
+    return {
+      valid: false,
+      error: `Function ${dangerousFunction.name} is not allowed`,
+      code: 'DANGEROUS_QUERY',
+      position: dangerousFunction.position,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Schema tenants see their schema through search_path only, which does not
+ * stop schema-qualified names; reject any other schema (built-in functions in
+ * pg_catalog excepted). search_path itself cannot be changed (no SET or set_config)
+ * @param {Object} analysis - Result of parseSql
+ * @param {string} schema - The tenant's schema
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+function validateTenantSchema({ relations, functions }, schema) {
+  const relation = relations.find((r) => r.schema && r.schema !== schema);
+  if (relation) {
+    return {
+      valid: false,
+      error: `Access to schema '${relation.schema}' is not allowed`,
+      code: 'SCHEMA_NOT_ALLOWED',
+      position: relation.position,
+    };
+  }
+
+  const fn = functions.find((f) => f.schema && f.schema !== schema && f.schema !== 'pg_catalog');
+  if (fn) {
+    return {
+      valid: false,
+      error: `Access to schema '${fn.schema}' is not allowed`,
+      code: 'SCHEMA_NOT_ALLOWED',
+      position: fn.position,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Whether a name matches a blocklist entry (entries are prefixes, e.g. pg_)
+ */
+function isBlocked(name) {
+  const nameLower = name.toLowerCase();
+  return BLOCKED_TABLES.some((blocked) => nameLower.startsWith(blocked));
+}
+
+/**
+ * Whether a table is one of the service's own tables (in any schema)
+ */
+function isInternalTable(name) {
+  return INTERNAL_TABLES.has(name.toLowerCase());
+}
+
+/**
+ * Whether a relation is in ALLOWED_TABLES. References to other schemas than
+ * public must be listed as schema.table
+ */
+function isAllowed({ schema, name }) {
+  if (!schema || schema === 'public') {
+    return ALLOWED_TABLES.includes(name) || ALLOWED_TABLES.includes(`public.${name}`);
+  }
+  return ALLOWED_TABLES.includes(`${schema}.${name}`);
+}
+
+/**
+ * Validate table access on every relation the query references, including
+ * subqueries, CTE bodies and schema-qualified names (CTE aliases are skipped)
+ * @param {Object} analysis - Result of parseSql
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+function validateTableAccess({ statements, relations }) {
+  for (const relation of relations) {
+    const qualified = relation.schema ? `${relation.schema}.${relation.name}` : relation.name;
+
+    // Check for blocked tables
+    if ((relation.schema && isBlocked(relation.schema)) || isBlocked(relation.name)) {
+      return {
+        valid: false,
+        error: `Access to system table '${qualified}' is not allowed`,
+        code: 'BLOCKED_TABLE',
+        position: relation.position,
+      };
+    }
+
+    if (isInternalTable(relation.name)) {
+      return {
+        valid: false,
+        error: `Access to internal table '${qualified}' is not allowed`,
+        code: 'BLOCKED_TABLE',
+        position: relation.position,
+      };
+    }
+
+    // If allowed tables configured, verify access
+    if (ALLOWED_TABLES && ALLOWED_TABLES.length > 0 && !isAllowed(relation)) {
+      return {
+        valid: false,
+        error: `Access to table '${qualified}' is not allowed`,
+        code: 'TABLE_NOT_ALLOWED',
+        position: relation.position,
       };
     }
   }
 
-  // If allowed tables configured, verify access
+  // DDL and utility statements name objects outside relation nodes, so they cannot be checked
   if (ALLOWED_TABLES && ALLOWED_TABLES.length > 0) {
-    // Extract table names from query (basic extraction)
-    const tablePattern = /(?:FROM|INTO|UPDATE|JOIN)\s+["']?(\w+)["']?/gi;
-    let match;
-    
-    while ((match = tablePattern.exec(sql)) !== null) {
-      const tableName = match[1].toLowerCase();
-      if (!ALLOWED_TABLES.includes(tableName)) {
-        return { 
-          valid: false, 
-          error: `Access to table '${tableName}' is not allowed`, 
-          code: 'TABLE_NOT_ALLOWED' 
-        };
-      }
+    const unchecked = statements.find((statement) => !DATA_STATEMENTS.includes(statement.type));
+    if (unchecked) {
+      return {
+        valid: false,
+        error: `${describeStatement(unchecked)} statements are not allowed when ALLOWED_TABLES is set`,
+        code: 'TABLE_NOT_ALLOWED',
+        position: unchecked.position,
+      };
     }
   }
 
@@ -182,6 +390,10 @@ export function sanitizeTableName(table) {
     }
   }
 
+  if (isInternalTable(tableLower.split('.').pop())) {
+    return { valid: false, error: 'Access to this table is not allowed' };
+  }
+
   // Check allowed tables
   if (ALLOWED_TABLES && ALLOWED_TABLES.length > 0) {
     if (!ALLOWED_TABLES.includes(tableLower)) {
@@ -221,35 +433,302 @@ export function sanitizeColumnNames(columns) {
   return { valid: true, sanitized };
 }
 
+// Comparison operators of the helper filter DSL
+const FILTER_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+};
+
+const MAX_FILTER_DEPTH = 5;
+const MAX_IN_VALUES = 1000;
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a parameterized WHERE clause from the helper filter DSL
+ * {
+ *   status: 'open',                          // = (null means IS NULL)
+ *   amount: { gt: 100, lte: 5000 },          // eq, neq, gt, gte, lt, lte, like, ilike
+ *   country: { in: ['KW', 'AE'] },
+ *   closed_at: { isNull: true },             // false for IS NOT NULL
+ *   opened_at: { between: ['2024-01-01', '2024-12-31'] },
+ *   or: [{ risk: 'high' }, { pep: true }]    // and/or take arrays of filters
+ * }
+ * Conditions in one object are combined with AND
+ * @param {Object} where - Filter
+ * @param {number} [firstParam=1] - Number of the first placeholder
+ * @returns {{ valid: boolean, sql?: string, values?: any[], error?: string }}
+ */
+export function buildWhereClause(where, firstParam = 1) {
+  const values = [];
+  const placeholder = (value) => {
+    values.push(value);
+    return `$${firstParam + values.length - 1}`;
+  };
+
+  function condition(column, value) {
+    const columnValidation = sanitizeColumnNames([column]);
+    if (!columnValidation.valid || column === '*') {
+      return { error: `Invalid column name: ${column}` };
+    }
+    const col = columnValidation.sanitized[0];
+
+    if (value === null) return { sql: `${col} IS NULL` };
+    if (isScalar(value)) return { sql: `${col} = ${placeholder(value)}` };
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+      return { error: `Filter for ${column} must be a value or an operator object` };
+    }
+
+    const parts = [];
+    for (const [operator, operand] of Object.entries(value)) {
+      if (FILTER_OPERATORS[operator]) {
+        if (!isScalar(operand)) {
+          return { error: `${column}.${operator} must be a string, number or boolean` };
+        }
+        parts.push(`${col} ${FILTER_OPERATORS[operator]} ${placeholder(operand)}`);
+      } else if (operator === 'in') {
+        if (!Array.isArray(operand) || operand.length === 0 || operand.length > MAX_IN_VALUES
+          || !operand.every(isScalar)) {
+          return { error: `${column}.in must be an array of 1-${MAX_IN_VALUES} values` };
+        }
+        parts.push(`${col} = ANY(${placeholder(operand)})`);
+      } else if (operator === 'between') {
+        if (!Array.isArray(operand) || operand.length !== 2 || !operand.every(isScalar)) {
+          return { error: `${column}.between must be an array of two values` };
+        }
+        parts.push(`${col} BETWEEN ${placeholder(operand[0])} AND ${placeholder(operand[1])}`);
+      } else if (operator === 'isNull') {
+        if (typeof operand !== 'boolean') {
+          return { error: `${column}.isNull must be a boolean` };
+        }
+        parts.push(`${col} IS ${operand ? '' : 'NOT '}NULL`);
+      } else {
+        return { error: `Unknown filter operator: ${operator}` };
+      }
+    }
+    return { sql: parts.join(' AND ') };
+  }
+
+  function group(filter, depth) {
+    if (!isPlainObject(filter) || Object.keys(filter).length === 0) {
+      return { error: 'Filter must be a non-empty object' };
+    }
+    if (depth > MAX_FILTER_DEPTH) {
+      return { error: `Filters can be nested at most ${MAX_FILTER_DEPTH} levels deep` };
+    }
+
+    const parts = [];
+    for (const [key, value] of Object.entries(filter)) {
+      if (key === 'and' || key === 'or') {
+        if (!Array.isArray(value) || value.length === 0) {
+          return { error: `${key} must be a non-empty array of filters` };
+        }
+        const children = [];
+        for (const child of value) {
+          const built = group(child, depth + 1);
+          if (built.error) return built;
+          children.push(`(${built.sql})`);
+        }
+        parts.push(children.join(key === 'and' ? ' AND ' : ' OR '));
+        continue;
+      }
+
+      const built = condition(key, value);
+      if (built.error) return built;
+      parts.push(built.sql);
+    }
+
+    return { sql: parts.length === 1 ? parts[0] : parts.map((part) => `(${part})`).join(' AND ') };
+  }
+
+  const built = group(where, 1);
+  if (built.error) {
+    return { valid: false, error: built.error };
+  }
+  return { valid: true, sql: built.sql, values };
+}
+
+/**
+ * Columns a filter refers to, for per-key policies
+ * @param {Object} where - Filter (may be invalid)
+ * @returns {string[]}
+ */
+export function filterColumns(where) {
+  if (!isPlainObject(where)) return [];
+  return Object.entries(where).flatMap(([key, value]) => (
+    (key === 'and' || key === 'or') && Array.isArray(value)
+      ? value.flatMap(filterColumns)
+      : [key]
+  ));
+}
+
+function sortEntries(orderBy) {
+  if (orderBy === undefined) return [];
+  return (Array.isArray(orderBy) ? orderBy : [orderBy])
+    .map((entry) => (typeof entry === 'string' ? { column: entry } : entry));
+}
+
+/**
+ * Build an ORDER BY list
+ * @param {string|Object|Array} orderBy - 'column' or { column, direction?: 'asc'|'desc', nulls?: 'first'|'last' }, or an array of them
+ * @returns {{ valid: boolean, sql?: string, keys?: Array<{ column: string, direction: string, nulls: string }>, error?: string }}
+ */
+export function buildOrderBy(orderBy) {
+  const entries = sortEntries(orderBy);
+  const keys = [];
+
+  for (const entry of entries) {
+    const columnValidation = sanitizeColumnNames([entry?.column]);
+    if (!columnValidation.valid || entry.column === '*') {
+      return { valid: false, error: `Invalid orderBy column: ${entry?.column}` };
+    }
+
+    const direction = String(entry.direction || 'asc').toUpperCase();
+    if (!['ASC', 'DESC'].includes(direction)) {
+      return { valid: false, error: 'orderBy direction must be asc or desc' };
+    }
+
+    const nulls = entry.nulls === undefined ? '' : String(entry.nulls).toUpperCase();
+    if (nulls && !['FIRST', 'LAST'].includes(nulls)) {
+      return { valid: false, error: 'orderBy nulls must be first or last' };
+    }
+
+    keys.push({ column: columnValidation.sanitized[0], direction, nulls });
+  }
+
+  return { valid: true, sql: orderBySql(keys), keys };
+}
+
+/**
+ * ORDER BY list for keys from buildOrderBy
+ */
+export function orderBySql(keys) {
+  return keys.map(({ column, direction, nulls }) => `${column} ${direction}${nulls ? ` NULLS ${nulls}` : ''}`).join(', ');
+}
+
+/**
+ * Columns an orderBy refers to, for per-key policies
+ */
+export function sortColumns(orderBy) {
+  return sortEntries(orderBy).map((entry) => entry?.column).filter((column) => typeof column === 'string');
+}
+
+// Helper routes and the columns they touch, for per-key policies
+const HELPER_ROUTES = {
+  '/insert': ({ data, returning = ['*'] }) => [
+    ...new Set((Array.isArray(data) ? data : [data]).flatMap((row) => Object.keys(row || {}))),
+    ...returning,
+  ],
+  '/upsert': ({ data, conflictColumns, updateColumns, returning = ['*'] }) => [
+    ...new Set((Array.isArray(data) ? data : [data]).flatMap((row) => Object.keys(row || {}))),
+    ...(Array.isArray(conflictColumns) ? conflictColumns : []),
+    ...(Array.isArray(updateColumns) ? updateColumns : []),
+    ...returning,
+  ],
+  '/update': ({ data, where, returning = ['*'], version }) => [
+    ...Object.keys(data || {}),
+    ...(typeof version?.column === 'string' ? [version.column] : []),
+    ...filterColumns(where),
+    ...returning,
+  ],
+  '/delete': ({ where, returning = ['*'] }) => [...filterColumns(where), ...returning],
+  '/select': ({ columns = ['*'], where, orderBy, cursor, paginate, tieBreaker = 'id' }) => [
+    ...(Array.isArray(columns) ? columns : []),
+    ...filterColumns(where),
+    ...sortColumns(orderBy),
+    ...(cursor !== undefined || paginate === 'cursor' ? sortColumns(tieBreaker) : []),
+  ],
+};
+
+function policyDenied(res, validation, prefix = '') {
+  return res.status(403).json({
+    success: false,
+    error: `${prefix}${validation.error}`,
+    code: validation.code,
+    position: validation.position,
+  });
+}
+
 /**
  * Middleware to validate query requests
+ * Also enforces the authenticated key's query policy (req.apiKey.queryPolicy)
  */
 export function queryValidationMiddleware(req, res, next) {
   const { sql, params, queries } = req.body;
+  const policy = req.apiKey?.queryPolicy;
+  const schema = getTenantSchema(req.apiKey?.tenantId);
 
   // Single query validation
   if (sql) {
-    const validation = validateQuery(sql, params);
+    const validation = validateQuery(sql, params, { schema });
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
         error: validation.error,
         code: validation.code,
+        position: validation.position,
       });
     }
+
+    const policyCheck = checkQueryPolicy(policy, validation.analysis);
+    if (!policyCheck.valid) {
+      return policyDenied(res, policyCheck);
+    }
   }
 
   // Batch queries validation
   if (queries && Array.isArray(queries)) {
     for (let i = 0; i < queries.length; i++) {
-      const validation = validateQuery(queries[i].sql, queries[i].params);
+      const validation = validateQuery(queries[i].sql, queries[i].params, { schema });
       if (!validation.valid) {
         return res.status(400).json({
           success: false,
           error: `Query ${i + 1}: ${validation.error}`,
           code: validation.code,
+          position: validation.position,
         });
       }
+
+      const policyCheck = checkQueryPolicy(policy, validation.analysis);
+      if (!policyCheck.valid) {
+        return policyDenied(res, policyCheck, `Query ${i + 1}: `);
+      }
+    }
+  }
+
+  // Select/insert/update/delete helpers
+  const helperColumns = HELPER_ROUTES[req.path];
+  const { table } = req.body;
+  if (schema && helperColumns && typeof table === 'string' && table.includes('.')
+    && table.split('.')[0] !== schema) {
+    return res.status(400).json({
+      success: false,
+      error: `Access to schema '${table.split('.')[0]}' is not allowed`,
+      code: 'SCHEMA_NOT_ALLOWED',
+    });
+  }
+
+  if (policy && helperColumns) {
+    const policyCheck = checkHelperPolicy(policy, {
+      // An upsert is an INSERT statement (ON CONFLICT DO UPDATE needs no separate grant)
+      type: req.path === '/upsert' ? 'insert' : req.path.slice(1),
+      table: req.body.table,
+      columns: helperColumns(req.body),
+    });
+    if (!policyCheck.valid) {
+      return policyDenied(res, policyCheck);
     }
   }
 
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuery } from './queryValidator.js';
+
+describe('validateQuery', () => {
+  it('accepts a parameterised SELECT', () => {
+    assert.equal(validateQuery('SELECT id FROM cases WHERE id = $1', [1]).valid, true);
+  });
+
+  describe('session settings', () => {
+    for (const sql of [
+      "SET app.tenant_id = 'other'",
+      "SET LOCAL app.user_id TO 'admin'",
+      'RESET app.tenant_id',
+      'RESET ALL',
+      'SET ROLE postgres',
+      "SELECT set_config('app.tenant_id', 'other', false)",
+      "SELECT pg_catalog.set_config('app.api_key', 'x', true)",
+      "SELECT id FROM cases WHERE tenant_id = (SELECT SET_CONFIG('app.tenant_id', 'other', true))",
+    ]) {
+      it(`rejects ${sql}`, () => {
+        const result = validateQuery(sql);
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'SESSION_CHANGE_NOT_ALLOWED');
+      });
+    }
+
+    it('still allows reading a setting', () => {
+      assert.equal(validateQuery("SELECT current_setting('app.tenant_id', true)").valid, true);
+    });
+  });
+
+  describe('tenant schema', () => {
+    const options = { schema: 'tenant_a' };
+
+    for (const sql of [
+      'SELECT * FROM other_tenant.accounts',
+      'SELECT a.id FROM accounts a JOIN other_tenant.accounts b ON b.id = a.id',
+      'INSERT INTO other_tenant.accounts (id) VALUES (1)',
+      'SELECT other_tenant.secret_fn()',
+    ]) {
+      it(`rejects ${sql}`, () => {
+        const result = validateQuery(sql, [], options);
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'SCHEMA_NOT_ALLOWED');
+      });
+    }
+
+    it('rejects changing search_path', () => {
+      assert.equal(validateQuery('SET search_path = other_tenant', [], options).valid, false);
+      assert.equal(validateQuery("SELECT set_config('search_path', 'other_tenant', false)", [], options).valid, false);
+    });
+
+    it('allows unqualified names and the tenant schema', () => {
+      assert.equal(validateQuery('SELECT * FROM accounts', [], options).valid, true);
+      assert.equal(validateQuery('SELECT * FROM tenant_a.accounts', [], options).valid, true);
+      assert.equal(validateQuery('SELECT pg_catalog.lower(name) FROM accounts', [], options).valid, true);
+    });
+  });
+
+  describe('dangerous functions', () => {
+    for (const sql of [
+      'SELECT pg_terminate_backend(1234)',
+      'SELECT pg_cancel_backend(1234)',
+      "SELECT pg_catalog.pg_read_file('/etc/passwd')",
+      "SELECT PG_READ_BINARY_FILE('/etc/passwd', 0, 100)",
+      "SELECT * FROM pg_ls_dir('.')",
+      "SELECT * FROM pg_stat_file('postgresql.conf')",
+      'SELECT lo_get(16400)',
+      "SELECT lo_import('/etc/passwd')",
+      "SELECT dblink_connect('host=internal')",
+      "SELECT * FROM dblink('host=internal', 'SELECT 1') AS t(x int)",
+      "SELECT query_to_xml('SELECT * FROM audit', true, false, '')",
+      'SELECT id FROM cases WHERE id IN (SELECT pg_terminate_backend(pid) FROM sessions)',
+    ]) {
+      it(`rejects ${sql}`, () => {
+        const result = validateQuery(sql);
+        assert.equal(result.valid, false);
+        assert.equal(result.code, 'DANGEROUS_QUERY');
+      });
+    }
+
+    it('allows ordinary functions', () => {
+      assert.equal(validateQuery('SELECT lower(name), count(*) FROM cases GROUP BY 1').valid, true);
+    });
+  });
+});
+
@@ -147,7 +147,7 @@ setInterval(() => {
       memoryStore.delete(key);
     }
   }
-}, 60000);
+}, 60000).unref();
 
 export default {
   rateLimit,
@@ -0,0 +1,100 @@
+/**
+ * HMAC-SHA256 request signing with replay protection
+ *
+ * Signed requests carry:
+ *   x-signature-timestamp  Unix time in seconds
+ *   x-signature-nonce      Unique value per request (16-128 chars, [A-Za-z0-9_-])
+ *   x-signature            hex HMAC-SHA256 of the canonical string below
+ *
+ * Canonical string (newline separated):
+ *   timestamp, nonce, HTTP method, request path with query string,
+ *   hex SHA-256 of the raw request body
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { useSignatureNonce } from '../services/signatureNonces.js';
+
+// Configuration
+const MAX_SKEW_SECONDS = parseInt(process.env.SIGNATURE_MAX_SKEW_SECONDS, 10) || 300;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * express.json() verify hook that keeps the raw body for signature checks
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Whether the request carries any signature header
+ */
+export function hasSignature(req) {
+  return Boolean(
+    req.headers['x-signature'] || req.headers['x-signature-timestamp'] || req.headers['x-signature-nonce']
+  );
+}
+
+/**
+ * Build the string clients sign
+ * @param {Object} parts - { timestamp, nonce, method, path, body }
+ * @returns {string}
+ */
+export function canonicalRequest({ timestamp, nonce, method, path, body }) {
+  const bodyHash = createHash('sha256').update(body || '').digest('hex');
+  return [timestamp, nonce, method.toUpperCase(), path, bodyHash].join('\n');
+}
+
+/**
+ * Verify a signed request
+ * Nonces are recorded in Postgres (see services/signatureNonces.js), so a
+ * request is accepted once across all instances
+ * @param {Object} req - Express request (with rawBody from captureRawBody)
+ * @param {string} secret - Signing secret of the authenticated key
+ * @param {string} keyId - Namespace for the nonce store
+ * @returns {Promise<{ valid: boolean, error?: string, code?: string }>}
+ */
+export async function verifyRequestSignature(req, secret, keyId) {
+  const timestamp = req.headers['x-signature-timestamp'];
+  const nonce = req.headers['x-signature-nonce'];
+  const signature = req.headers['x-signature'];
+
+  if (!timestamp || !nonce || !signature) {
+    return {
+      valid: false,
+      error: 'x-signature, x-signature-timestamp and x-signature-nonce headers are required',
+      code: 'SIGNATURE_REQUIRED',
+    };
+  }
+
+  if (!/^\d{1,12}$/.test(timestamp) || !NONCE_PATTERN.test(nonce) || !SIGNATURE_PATTERN.test(signature)) {
+    return { valid: false, error: 'Malformed signature headers', code: 'INVALID_SIGNATURE' };
+  }
+
+  const now = Date.now();
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) {
+    return { valid: false, error: 'Request timestamp outside the allowed window', code: 'SIGNATURE_EXPIRED' };
+  }
+
+  const expected = createHmac('sha256', secret)
+    .update(canonicalRequest({
+      timestamp,
+      nonce,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+    }))
+    .digest();
+
+  if (!timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+    return { valid: false, error: 'Invalid request signature', code: 'INVALID_SIGNATURE' };
+  }
+
+  // Only remember nonces of correctly signed requests, for as long as their timestamp is acceptable
+  if (!(await useSignatureNonce(keyId, nonce, MAX_SKEW_SECONDS * 2))) {
+    return { valid: false, error: 'Request has already been used', code: 'SIGNATURE_REPLAYED' };
+  }
+
+  return { valid: true };
+}
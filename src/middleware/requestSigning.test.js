@@ -0,0 +1,108 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, randomBytes } from 'node:crypto';
+import pool from '../config/database.js';
+import { canonicalRequest, hasSignature, verifyRequestSignature } from './requestSigning.js';
+
+const SECRET = 'signing-secret';
+
+// In-memory stand-in for the signature_nonces table, shared like the real one
+const nonces = new Set();
+
+function fakeQuery({ text, values = [] }) {
+  if (!text.includes('INSERT INTO signature_nonces')) return Promise.resolve({ rows: [], rowCount: 0 });
+
+  const [keyId, nonce] = values;
+  const id = `${keyId}:${nonce}`;
+  if (nonces.has(id)) return Promise.resolve({ rows: [], rowCount: 0 });
+  nonces.add(id);
+  return Promise.resolve({ rows: [{ nonce }], rowCount: 1 });
+}
+
+/**
+ * Request signed with SECRET; overrides apply after signing
+ */
+function signedRequest({ body = '{"amount":1}', timestamp = Math.floor(Date.now() / 1000), headers = {} } = {}) {
+  const nonce = randomBytes(16).toString('hex');
+  const signature = createHmac('sha256', SECRET)
+    .update(canonicalRequest({ timestamp: String(timestamp), nonce, method: 'post', path: '/api/query?x=1', body }))
+    .digest('hex');
+
+  return {
+    method: 'POST',
+    originalUrl: '/api/query?x=1',
+    rawBody: Buffer.from(body),
+    headers: {
+      'x-signature-timestamp': String(timestamp),
+      'x-signature-nonce': nonce,
+      'x-signature': signature,
+      ...headers,
+    },
+  };
+}
+
+describe('hasSignature', () => {
+  it('detects any signature header', () => {
+    assert.equal(hasSignature({ headers: {} }), false);
+    assert.equal(hasSignature({ headers: { 'x-signature-nonce': 'n' } }), true);
+  });
+});
+
+describe('verifyRequestSignature', () => {
+  before(() => mock.method(pool, 'query', fakeQuery));
+  after(() => mock.restoreAll());
+
+  it('accepts a correctly signed request', async () => {
+    assert.deepEqual(await verifyRequestSignature(signedRequest(), SECRET, 'key-1'), { valid: true });
+  });
+
+  it('requires all signature headers', async () => {
+    const req = signedRequest();
+    delete req.headers['x-signature-nonce'];
+    assert.equal((await verifyRequestSignature(req, SECRET, 'key-1')).code, 'SIGNATURE_REQUIRED');
+  });
+
+  it('rejects malformed headers', async () => {
+    for (const headers of [
+      { 'x-signature-timestamp': '12.5' },
+      { 'x-signature-nonce': 'short' },
+      { 'x-signature': 'abc' },
+    ]) {
+      assert.equal((await verifyRequestSignature(signedRequest({ headers }), SECRET, 'key-1')).code, 'INVALID_SIGNATURE');
+    }
+  });
+
+  it('rejects a tampered body or a different secret', async () => {
+    const req = signedRequest();
+    req.rawBody = Buffer.from('{"amount":1000}');
+    assert.equal((await verifyRequestSignature(req, SECRET, 'key-1')).code, 'INVALID_SIGNATURE');
+    assert.equal((await verifyRequestSignature(signedRequest(), 'other-secret', 'key-1')).code, 'INVALID_SIGNATURE');
+  });
+
+  it('rejects timestamps outside the allowed window', async () => {
+    const stale = signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.equal((await verifyRequestSignature(stale, SECRET, 'key-1')).code, 'SIGNATURE_EXPIRED');
+  });
+
+  it('rejects a replayed nonce for the same key only', async () => {
+    const req = signedRequest();
+    assert.equal((await verifyRequestSignature(req, SECRET, 'key-1')).valid, true);
+    assert.equal((await verifyRequestSignature(req, SECRET, 'key-1')).code, 'SIGNATURE_REPLAYED');
+    assert.equal((await verifyRequestSignature(req, SECRET, 'key-2')).valid, true);
+  });
+
+  it('does not burn the nonce of a badly signed request', async () => {
+    const req = signedRequest();
+    assert.equal((await verifyRequestSignature(req, 'other-secret', 'key-1')).valid, false);
+    assert.equal((await verifyRequestSignature(req, SECRET, 'key-1')).valid, true);
+  });
+
+  it('fails instead of accepting the request when nonces cannot be stored', async () => {
+    mock.method(pool, 'query', () => Promise.reject(new Error('connection refused')));
+    try {
+      await assert.rejects(verifyRequestSignature(signedRequest(), SECRET, 'key-1'), /connection refused/);
+    } finally {
+      mock.method(pool, 'query', fakeQuery);
+    }
+  });
+});
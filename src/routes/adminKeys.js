@@ -0,0 +1,337 @@
+import { Router } from 'express';
+import {
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  setSignatureRequired,
+  setQueryPolicy,
+  isSigningConfigured,
+  getApiKeyAudit,
+  validateScopes,
+} from '../services/apiKeys.js';
+import { validateQueryPolicy } from '../services/queryPolicy.js';
+
+const router = Router();
+
+const KEY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_GRACE_PERIOD_SECONDS = 30 * 24 * 3600;
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Format a key row for API responses
+ */
+function formatKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.key_prefix,
+    scopes: key.scopes,
+    enabled: key.enabled,
+    expiresAt: key.expires_at,
+    createdAt: key.created_at,
+    updatedAt: key.updated_at,
+    rotatedAt: key.rotated_at,
+    previousSecretValidUntil: key.previous_key_expires_at,
+    revokedAt: key.revoked_at,
+    lastUsedAt: key.last_used_at,
+    lastUsedIp: key.last_used_ip,
+    requireSignature: key.require_signature,
+    tenantId: key.tenant_id,
+    queryPolicy: key.query_policy,
+  };
+}
+
+/**
+ * Who performed an admin operation, for the audit log
+ */
+function auditContext(req) {
+  return {
+    actor: req.headers['x-admin-actor'] || 'admin',
+    ip: req.clientIP || req.ip,
+  };
+}
+
+function keyNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'API key not found',
+    code: 'API_KEY_NOT_FOUND',
+  });
+}
+
+/**
+ * GET /admin/keys
+ * List keys with last use, so stale integrations can be found
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const keys = await listApiKeys();
+
+    res.json({
+      success: true,
+      keys: keys.map(formatKey),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/keys
+ * Create a key; the plain key is only returned in this response
+ * Body: { name: string, scopes: string[], expiresAt?: string, tenantId?: string, queryPolicy?: object }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt, tenantId, queryPolicy } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required',
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    const scopeValidation = validateScopes(scopes);
+    if (!scopeValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: scopeValidation.error,
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null
+      && (isNaN(new Date(expiresAt).getTime()) || new Date(expiresAt) <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a future date',
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    if (tenantId !== undefined && tenantId !== null && !TENANT_ID_PATTERN.test(tenantId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'tenantId must be 1-64 characters of [A-Za-z0-9_-]',
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    if (queryPolicy !== undefined && queryPolicy !== null) {
+      const policyValidation = validateQueryPolicy(queryPolicy);
+      if (!policyValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: policyValidation.error,
+          code: 'INVALID_API_KEY_REQUEST',
+        });
+      }
+    }
+
+    const { key, signingSecret, record } = await createApiKey(
+      { name: name.trim(), scopes, expiresAt, tenantId, queryPolicy },
+      auditContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      key,
+      signingSecret: signingSecret || undefined,
+      apiKey: formatKey(record),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/keys/:id/audit
+ * Operations performed on a key, newest first
+ */
+router.get('/:id/audit', async (req, res, next) => {
+  try {
+    if (!KEY_ID_PATTERN.test(req.params.id)) {
+      return keyNotFound(res);
+    }
+
+    const key = await getApiKey(req.params.id);
+    if (!key) {
+      return keyNotFound(res);
+    }
+
+    const entries = await getApiKeyAudit(req.params.id);
+
+    res.json({
+      success: true,
+      audit: entries.map((entry) => ({
+        action: entry.action,
+        actor: entry.actor,
+        ip: entry.ip,
+        details: entry.details || undefined,
+        createdAt: entry.created_at,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/keys/:id/rotate
+ * Issue a new secret; the old one stays valid for the grace period
+ * Body: { gracePeriodSeconds?: number }  // default API_KEY_ROTATION_GRACE_SECONDS, 0 = immediately
+ */
+router.post('/:id/rotate', async (req, res, next) => {
+  try {
+    if (!KEY_ID_PATTERN.test(req.params.id)) {
+      return keyNotFound(res);
+    }
+
+    const { gracePeriodSeconds } = req.body || {};
+    if (gracePeriodSeconds !== undefined
+      && (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_GRACE_PERIOD_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `gracePeriodSeconds must be an integer between 0 and ${MAX_GRACE_PERIOD_SECONDS}`,
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    const rotated = await rotateApiKey(
+      req.params.id,
+      gracePeriodSeconds === undefined ? {} : { gracePeriodSeconds },
+      auditContext(req)
+    );
+    if (!rotated) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      key: rotated.key,
+      signingSecret: rotated.signingSecret || undefined,
+      apiKey: formatKey(rotated.record),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/keys/:id/signing
+ * Require (or stop requiring) HMAC-signed requests for a key
+ * Body: { required: boolean }
+ * Returns the key's signing secret
+ */
+router.post('/:id/signing', async (req, res, next) => {
+  try {
+    if (!KEY_ID_PATTERN.test(req.params.id)) {
+      return keyNotFound(res);
+    }
+
+    const { required } = req.body || {};
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'required must be a boolean',
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    if (!isSigningConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Request signing is not configured (API_SIGNING_MASTER_KEY)',
+        code: 'SIGNING_NOT_CONFIGURED',
+      });
+    }
+
+    const updated = await setSignatureRequired(req.params.id, required, auditContext(req));
+    if (!updated) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      signingSecret: updated.signingSecret,
+      apiKey: formatKey(updated.record),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/keys/:id/policy
+ * Replace the key's query policy
+ * Body: { queryPolicy: { statements, tables?, maxRows?, maxCost?, maxEstimatedRows? } | null }  // null removes the policy
+ */
+router.post('/:id/policy', async (req, res, next) => {
+  try {
+    if (!KEY_ID_PATTERN.test(req.params.id)) {
+      return keyNotFound(res);
+    }
+
+    const { queryPolicy } = req.body || {};
+    if (queryPolicy === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'queryPolicy is required (null removes the policy)',
+        code: 'INVALID_API_KEY_REQUEST',
+      });
+    }
+
+    if (queryPolicy !== null) {
+      const policyValidation = validateQueryPolicy(queryPolicy);
+      if (!policyValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: policyValidation.error,
+          code: 'INVALID_API_KEY_REQUEST',
+        });
+      }
+    }
+
+    const record = await setQueryPolicy(req.params.id, queryPolicy, auditContext(req));
+    if (!record) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      apiKey: formatKey(record),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /admin/keys/:id/revoke
+ * Disable a key permanently
+ */
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    if (!KEY_ID_PATTERN.test(req.params.id)) {
+      return keyNotFound(res);
+    }
+
+    const record = await revokeApiKey(req.params.id, auditContext(req));
+    if (!record) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      apiKey: formatKey(record),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import { healthCheck } from '../config/database.js';
+import { getBrowserPoolStats } from '../services/browserPool.js';
+import { getReportWorkerStats } from '../services/reportJobs.js';
 
 const router = Router();
 
@@ -28,8 +30,12 @@ router.get('/', async (req, res) => {
         status: dbHealth.healthy ? 'connected' : 'disconnected',
         latency: dbHealth.latency,
         pool: dbHealth.poolStats,
+        tenantPools: dbHealth.tenantPools,
+        replicas: dbHealth.replicas,
         error: dbHealth.error,
       },
+      pdfRenderer: getBrowserPoolStats(),
+      reportWorker: getReportWorkerStats(),
     },
     memory: {
       heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
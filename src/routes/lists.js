@@ -0,0 +1,69 @@
+import { Router } from 'express';
+import { requireScope } from '../middleware/auth.js';
+import { LIST_SOURCES, getListSummaries, importList, importConfiguredLists } from '../services/listIngestion.js';
+
+const router = Router();
+
+/**
+ * GET /api/lists
+ * Sanctions lists with entry counts, current version and last import time
+ */
+router.get('/', requireScope('lists:read'), async (req, res, next) => {
+  try {
+    const lists = await getListSummaries();
+
+    res.json({
+      success: true,
+      lists,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/lists/import
+ * Import lists from their configured local files
+ * Body: {
+ *   lists?: string[],  // list ids, defaults to every configured list
+ *   force?: boolean    // re-import even if the file is unchanged
+ * }
+ */
+router.post('/import', requireScope('lists:import'), async (req, res, next) => {
+  try {
+    const { lists, force = false } = req.body || {};
+
+    if (lists !== undefined) {
+      const unknown = Array.isArray(lists) ? lists.filter((id) => !LIST_SOURCES[id]) : [lists];
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown list(s): ${unknown.join(', ')}. Valid lists: ${Object.keys(LIST_SOURCES).join(', ')}`,
+          code: 'UNKNOWN_LIST',
+        });
+      }
+    }
+
+    const results = [];
+    if (lists === undefined) {
+      results.push(...await importConfiguredLists({ force: Boolean(force) }));
+    } else {
+      for (const listId of lists) {
+        try {
+          results.push(await importList(listId, { force: Boolean(force) }));
+        } catch (error) {
+          results.push({ listId, error: error.message, code: error.code });
+        }
+      }
+    }
+
+    res.json({
+      success: results.every((r) => !r.error),
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,201 @@
+import { Router } from 'express';
+import { transaction } from '../config/database.js';
+import { getSessionContext } from '../middleware/auth.js';
+import { hasScope } from '../services/apiKeys.js';
+import { checkStatementPolicy, enforceRowLimit } from '../services/queryPolicy.js';
+import {
+  getNamedQuery,
+  listNamedQueries,
+  bindParams,
+  getCachedResult,
+  setCachedResult,
+  resultCacheKey,
+  pageQuery,
+} from '../services/queryCatalog.js';
+import {
+  queryFingerprint,
+  decodeCursor,
+  buildPage,
+  CURSOR_COLUMN_PREFIX,
+} from '../services/cursorPagination.js';
+
+const router = Router();
+
+/**
+ * Check a catalog query's statement type against the caller's query policy,
+ * as /api/query does for raw SQL
+ */
+function checkPolicy(req, definition) {
+  return checkStatementPolicy(req.apiKey?.queryPolicy, { type: definition.statementType, readOnly: definition.readOnly });
+}
+
+function queryNotFound(res, name) {
+  return res.status(404).json({
+    success: false,
+    error: `Unknown named query: ${name}`,
+    code: 'QUERY_NOT_FOUND',
+  });
+}
+
+/**
+ * GET /api/queries
+ * Named queries the caller's scopes allow, with their parameters
+ */
+router.get('/', (req, res) => {
+  const queries = listNamedQueries()
+    .filter((query) => hasScope(req.apiKey?.scopes, query.scope) && checkPolicy(req, query).valid)
+    .map((query) => ({
+      name: query.name,
+      version: query.version,
+      description: query.description,
+      params: query.params,
+      readOnly: query.readOnly,
+      cacheTtlSeconds: query.cacheTtlMs / 1000,
+      pagination: query.keyset
+        ? { type: 'cursor', pageSize: query.keyset.pageSize, maxPageSize: query.keyset.maxPageSize }
+        : undefined,
+    }));
+
+  res.json({
+    success: true,
+    queries,
+  });
+});
+
+/**
+ * POST /api/queries/:name
+ * Run a query from the catalog (QUERY_CATALOG_PATH)
+ * Body: { params?: { [name]: value }, cursor?: string, limit?: number }  // cursor/limit for keyset queries
+ * Read-only queries run in a read-only transaction and may be served by a read replica
+ */
+router.post('/:name', async (req, res, next) => {
+  try {
+    const definition = getNamedQuery(req.params.name);
+    if (!definition) {
+      return queryNotFound(res, req.params.name);
+    }
+
+    if (!hasScope(req.apiKey?.scopes, definition.scope)) {
+      console.warn(JSON.stringify({
+        severity: 'WARNING',
+        message: 'API key lacks required scope',
+        apiKey: req.apiKey?.name,
+        required: [definition.scope],
+        path: req.originalUrl,
+        timestamp: new Date().toISOString(),
+      }));
+
+      return res.status(403).json({
+        success: false,
+        error: `API key requires scope: ${definition.scope}`,
+        code: 'INSUFFICIENT_SCOPE',
+      });
+    }
+
+    const policyCheck = checkPolicy(req, definition);
+    if (!policyCheck.valid) {
+      return res.status(403).json({
+        success: false,
+        error: policyCheck.error,
+        code: policyCheck.code,
+      });
+    }
+
+    const binding = bindParams(definition, req.body?.params);
+    if (!binding.valid) {
+      return res.status(400).json({
+        success: false,
+        error: binding.error,
+        code: 'INVALID_QUERY_PARAMS',
+      });
+    }
+
+    // Keyset queries return one page per call and resume from `cursor`
+    const { keyset } = definition;
+    const { cursor, limit } = req.body || {};
+    const pageSize = keyset ? limit ?? keyset.pageSize : undefined;
+    const fingerprint = keyset ? queryFingerprint([definition.name, definition.version, binding.values]) : null;
+    let after = null;
+    if (keyset) {
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > keyset.maxPageSize) {
+        return res.status(400).json({
+          success: false,
+          error: `limit must be an integer between 1 and ${keyset.maxPageSize}`,
+          code: 'INVALID_PAGINATION',
+        });
+      }
+      if (cursor !== undefined && cursor !== null) {
+        const position = decodeCursor(cursor, fingerprint, keyset.keys.length);
+        if (!position.valid) {
+          return res.status(400).json({
+            success: false,
+            error: position.error,
+            code: 'INVALID_CURSOR',
+          });
+        }
+        after = position.values;
+      }
+    }
+
+    const start = Date.now();
+    const context = getSessionContext(req);
+    const cacheKey = resultCacheKey(definition, keyset ? [binding.values, after, pageSize] : binding.values, context);
+
+    let result = definition.cacheTtlMs ? getCachedResult(cacheKey) : undefined;
+    const cached = Boolean(result);
+    if (!result) {
+      const { sql, values } = keyset
+        ? pageQuery(definition, binding.values, after, pageSize)
+        : { sql: definition.sql, values: binding.values };
+
+      const queryResult = await transaction(
+        async (client) => enforceRowLimit(req.apiKey?.queryPolicy, await client.query(sql, values)),
+        definition.timeoutMs || 30000,
+        {
+          readOnly: definition.readOnly,
+          replica: definition.readOnly && req.headers['x-read-primary'] !== 'true',
+          context,
+        }
+      );
+
+      const page = keyset
+        ? buildPage(queryResult.rows, keyset.keys.length, pageSize, fingerprint)
+        : { rows: queryResult.rows };
+
+      result = {
+        data: page.rows,
+        rowCount: queryResult.rowCount,
+        fields: queryResult.fields
+          ?.filter(f => !f.name.startsWith(CURSOR_COLUMN_PREFIX))
+          .map(f => ({ name: f.name, dataTypeID: f.dataTypeID })),
+        nextCursor: keyset ? page.nextCursor : undefined,
+      };
+      setCachedResult(cacheKey, definition, result);
+    }
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Named query executed',
+      query: definition.name,
+      version: definition.version,
+      apiKey: req.apiKey?.name,
+      user: req.user?.id,
+      rowCount: result.rowCount,
+      cached,
+      duration: `${Date.now() - start}ms`,
+      timestamp: new Date().toISOString(),
+    }));
+
+    res.json({
+      success: true,
+      query: definition.name,
+      version: definition.version,
+      cached,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import pool from '../config/database.js';
+
+// The catalog is read when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+fs.writeFileSync(path.join(dir, 'cases.json'), JSON.stringify([
+  { name: 'cases.list', sql: 'SELECT id, status FROM cases' },
+  { name: 'cases.close', sql: "UPDATE cases SET status = 'closed' WHERE id = $1", params: [{ name: 'id', type: 'integer' }] },
+]));
+process.env.QUERY_CATALOG_PATH = dir;
+const { default: namedQueriesRouter } = await import('./namedQueries.js');
+
+describe('named queries and query policies', () => {
+  let server;
+  let url;
+  let policy;
+  let statements;
+
+  before(() => {
+    mock.method(pool, 'connect', async () => ({
+      query: async (text) => {
+        statements.push(text);
+        return { rows: [], rowCount: 0, fields: [] };
+      },
+      release: () => {},
+    }));
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiKey = { name: 'reader', scopes: ['queries:run'], queryPolicy: policy };
+      next();
+    });
+    app.use('/api/queries', namedQueriesRouter);
+    server = app.listen(0);
+    url = `http://127.0.0.1:${server.address().port}/api/queries`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (name, params) => fetch(`${url}/${name}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ params }),
+    signal: AbortSignal.timeout(2000),
+  });
+
+  it('rejects a named UPDATE for a SELECT-only key without running it', async () => {
+    policy = { statements: 'select' };
+    statements = [];
+    const res = await run('cases.close', { id: 7 });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'STATEMENT_NOT_PERMITTED');
+    assert.equal(statements.some((text) => text.startsWith('UPDATE')), false);
+  });
+
+  it('still runs named SELECTs for that key and lists only those', async () => {
+    policy = { statements: 'select' };
+    statements = [];
+    assert.equal((await run('cases.list')).status, 200);
+
+    const list = await (await fetch(url, { signal: AbortSignal.timeout(2000) })).json();
+    assert.deepEqual(list.queries.map((query) => query.name), ['cases.list']);
+  });
+
+  it('runs the named UPDATE for a key allowed to write', async () => {
+    policy = { statements: 'dml' };
+    statements = [];
+    assert.equal((await run('cases.close', { id: 7 })).status, 200);
+    assert.ok(statements.some((text) => text.startsWith('UPDATE')));
+  });
+});
@@ -1,27 +1,276 @@
 import { Router } from 'express';
-import { query, transaction } from '../config/database.js';
+import { transaction } from '../config/database.js';
 import { 
   validateQuery, 
+  isSelectOnly,
   sanitizeTableName, 
   sanitizeColumnNames,
+  buildWhereClause,
+  buildOrderBy,
+  orderBySql,
   queryValidationMiddleware 
 } from '../middleware/queryValidator.js';
+import { requireScope, getSessionContext } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { hasScope } from '../services/apiKeys.js';
+import { enforceRowLimit, enforceQueryCost } from '../services/queryPolicy.js';
+import {
+  queryFingerprint,
+  decodeCursor,
+  keysetCondition,
+  cursorColumns,
+  buildPage,
+} from '../services/cursorPagination.js';
+import { STREAM_FORMATS, STREAM_RELEASE_TIMEOUT_MS, streamQuery, failStream } from '../services/resultStream.js';
+import { isExplainable, explainStatement } from '../services/queryPlan.js';
 
 const router = Router();
 
+// Most rows one update/delete helper call may change
+const MAX_AFFECTED_ROWS = parseInt(process.env.MAX_AFFECTED_ROWS, 10) || 1000;
+
+// Marker column telling inserted rows from updated ones in upsert results
+const UPSERT_INSERTED_COLUMN = '__upsert_inserted';
+
+// Raw SQL can be switched off once clients have moved to named queries (/api/queries)
+const RAW_SQL_ENABLED = process.env.RAW_SQL_ENABLED !== 'false';
+const RAW_SQL_ROUTES = new Set(['/', '/batch', '/transaction']);
+
+router.use((req, res, next) => {
+  if (!RAW_SQL_ENABLED && RAW_SQL_ROUTES.has(req.path)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Raw SQL is disabled; use a named query (POST /api/queries/:name)',
+      code: 'RAW_SQL_DISABLED',
+    });
+  }
+  next();
+});
+
 // Apply query validation to all routes
 router.use(queryValidationMiddleware);
 
+/**
+ * Audit log of who ran what through the query routes
+ */
+router.use((req, res, next) => {
+  res.on('finish', () => {
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Query audit',
+      endpoint: req.originalUrl,
+      apiKey: req.apiKey?.name,
+      user: req.user?.id,
+      table: req.body?.table,
+      statements: Array.isArray(req.body?.queries) ? req.body.queries.length : 1,
+      status: res.statusCode,
+      timestamp: new Date().toISOString(),
+    }));
+  });
+  next();
+});
+
+/**
+ * Keys with only query:read run raw SQL inside a READ ONLY transaction
+ */
+function isReadOnly(req) {
+  return !hasScope(req.apiKey?.scopes, 'query:raw');
+}
+
+/**
+ * Run a callback in a transaction carrying the caller's identity, so that
+ * row-level security policies can use app.user_id / app.tenant_id
+ */
+function runAs(req, callback, timeout, { readOnly = isReadOnly(req), replica = false, rollback = false, releaseTimeout } = {}) {
+  return transaction(callback, timeout || 30000, {
+    readOnly, replica, rollback, releaseTimeout, context: getSessionContext(req),
+  });
+}
+
+/**
+ * Run one statement, enforcing the key's cost and row limits (maxCost,
+ * maxEstimatedRows and maxRows in its query policy)
+ */
+async function execute(req, client, sql, params) {
+  await enforceQueryCost(req.apiKey?.queryPolicy, client, sql, params);
+  return enforceRowLimit(req.apiKey?.queryPolicy, await client.query(sql, params));
+}
+
+/**
+ * Run an update/delete helper statement, rolling it back when it touches more
+ * than MAX_AFFECTED_ROWS rows (a filter broader than the caller meant)
+ */
+async function executeWrite(req, client, sql, params) {
+  const result = await execute(req, client, sql, params);
+  if (result.rowCount > MAX_AFFECTED_ROWS) {
+    const error = new Error(`Statement would affect ${result.rowCount} rows; the limit is ${MAX_AFFECTED_ROWS}. Nothing was changed`);
+    error.code = 'TOO_MANY_ROWS_AFFECTED';
+    error.statusCode = 400;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * SQL for the update helper's optimistic concurrency check
+ * A numeric expected value is a version counter and is incremented; anything
+ * else is a timestamp, compared at millisecond precision (as clients receive it
+ * in JSON) and set to now()
+ * @param {{ column: string, expected: number | string }} version
+ * @param {string[]} dataColumns - Columns the update sets
+ * @returns {{ valid: boolean, set?: string, matches?: string, error?: string }}
+ */
+function buildVersionCheck(version, dataColumns) {
+  const columnValidation = sanitizeColumnNames([version?.column]);
+  if (typeof version?.column !== 'string' || !columnValidation.valid || version.column === '*'
+    || !['number', 'string'].includes(typeof version.expected)) {
+    return { valid: false, error: 'version must be { column: string, expected: number | string }' };
+  }
+  if (dataColumns.includes(version.column)) {
+    return { valid: false, error: `Version column '${version.column}' is set automatically; remove it from data` };
+  }
+
+  const col = columnValidation.sanitized[0];
+  return typeof version.expected === 'number'
+    ? { valid: true, set: `${col} = ${col} + 1`, matches: col }
+    : { valid: true, set: `${col} = now()`, matches: `date_trunc('milliseconds', ${col})` };
+}
+
+/**
+ * Whether statements may be served by a read replica
+ * Clients send `x-read-primary: true` to read their own writes
+ */
+function useReplica(req, statements) {
+  return req.headers['x-read-primary'] !== 'true' && statements.every((sql) => isSelectOnly(sql));
+}
+
+/**
+ * Answer with a preview instead of running the statements when the body asks for one
+ * dryRun: the SQL and parameters that would run. explain: EXPLAIN (FORMAT JSON)
+ * plans; with analyze the statements really run, in a transaction that is rolled
+ * back, after passing the key's cost limits
+ * @param {Array<{ sql: string, params?: any[] }>} statements - What the route would run, in order
+ * @param {Object} [options] - Transaction options for the route (timeout, readOnly, replica)
+ * @returns {Promise<boolean>} Whether a preview was sent
+ */
+async function sendPreview(req, res, statements, { timeout, readOnly, replica = false } = {}) {
+  const { dryRun, explain, analyze } = req.body;
+  if (dryRun !== true && explain !== true) {
+    if (analyze === true) {
+      res.status(400).json({
+        success: false,
+        error: 'analyze requires explain: true',
+        code: 'INVALID_PREVIEW',
+      });
+      return true;
+    }
+    return false;
+  }
+
+  if (dryRun === true && explain === true) {
+    res.status(400).json({
+      success: false,
+      error: 'dryRun and explain cannot be combined',
+      code: 'INVALID_PREVIEW',
+    });
+    return true;
+  }
+
+  if (dryRun === true) {
+    res.json({
+      success: true,
+      dryRun: true,
+      statements: statements.map(({ sql, params = [] }) => ({ sql: sql.trim(), params })),
+    });
+    return true;
+  }
+
+  const index = statements.findIndex(({ sql }) => !isExplainable(sql));
+  if (index !== -1) {
+    res.status(400).json({
+      success: false,
+      error: `${statements.length > 1 ? `Query ${index + 1}: ` : ''}Only single SELECT, INSERT, UPDATE, DELETE or MERGE statements can be explained`,
+      code: 'EXPLAIN_NOT_SUPPORTED',
+    });
+    return true;
+  }
+
+  // One transaction, so later statements are planned against earlier changes
+  const plans = await runAs(req, async (client) => {
+    const explained = [];
+    for (const { sql, params = [] } of statements) {
+      // ANALYZE runs the statement, so it is held to the key's cost limits like a real run
+      if (analyze === true) await enforceQueryCost(req.apiKey?.queryPolicy, client, sql, params);
+      explained.push({ sql: sql.trim(), params, ...await explainStatement(client, sql, params, { analyze: analyze === true }) });
+    }
+    return explained;
+  }, timeout, { readOnly, replica: replica && analyze !== true, rollback: true });
+
+  res.json({
+    success: true,
+    explain: true,
+    analyze: analyze === true,
+    plans,
+  });
+  return true;
+}
+
 /**
  * POST /api/query
- * Execute a single SQL query
+ * Execute a single SQL query; plain SELECTs may be served by a read replica
  * Body: { sql: string, params?: any[], timeout?: number }
+ * With `Accept: application/x-ndjson` or `text/csv`, a SELECT's rows are streamed
+ * through a server-side cursor instead of being buffered into one JSON response
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireScope('query:raw', 'query:read'), async (req, res, next) => {
+  const format = req.accepts(['application/json', ...Object.keys(STREAM_FORMATS)]);
+  const streaming = Boolean(STREAM_FORMATS[format]);
+
   try {
     const { sql, params = [], timeout } = req.body;
+
+    if (await sendPreview(req, res, [{ sql, params }], { timeout, replica: useReplica(req, [sql]) })) {
+      return;
+    }
+
+    if (streaming) {
+      if (!isSelectOnly(sql)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only a single read-only SELECT can be streamed',
+          code: 'STREAM_NOT_SUPPORTED',
+        });
+      }
+
+      const start = Date.now();
+      const { rowCount, cancelled } = await runAs(
+        req,
+        async (client) => {
+          await enforceQueryCost(req.apiKey?.queryPolicy, client, sql, params);
+          return streamQuery(res, client, sql, params, { format, policy: req.apiKey?.queryPolicy });
+        },
+        timeout,
+        { replica: useReplica(req, [sql]), releaseTimeout: STREAM_RELEASE_TIMEOUT_MS }
+      );
+
+      console.log(JSON.stringify({
+        severity: cancelled ? 'WARNING' : 'INFO',
+        message: cancelled ? 'Query stream cancelled by client' : 'Query stream completed',
+        apiKey: req.apiKey?.name,
+        user: req.user?.id,
+        format,
+        rowCount,
+        duration: `${Date.now() - start}ms`,
+        timestamp: new Date().toISOString(),
+      }));
+
+      if (!cancelled) res.end();
+      return;
+    }
     
-    const result = await query(sql, params, timeout);
+    const result = await runAs(req, (client) => execute(req, client, sql, params), timeout, {
+      replica: useReplica(req, [sql]),
+    });
 
     res.json({
       success: true,
@@ -30,6 +279,10 @@ router.post('/', async (req, res, next) => {
       fields: result.fields?.map(f => ({ name: f.name, dataTypeID: f.dataTypeID })),
     });
   } catch (error) {
+    // Status and headers are gone once rows have been streamed
+    if (streaming && res.headersSent) {
+      return failStream(res, format, error);
+    }
     next(error);
   }
 });
@@ -39,7 +292,7 @@ router.post('/', async (req, res, next) => {
  * Execute multiple queries in sequence (not transactional)
  * Body: { queries: Array<{ sql: string, params?: any[] }>, timeout?: number }
  */
-router.post('/batch', async (req, res, next) => {
+router.post('/batch', requireScope('query:raw', 'query:read'), async (req, res, next) => {
   try {
     const { queries, timeout } = req.body;
 
@@ -61,9 +314,16 @@ router.post('/batch', async (req, res, next) => {
       });
     }
 
+    // Each statement commits on its own, as before. Replicas serve the batch only
+    // if every statement reads, so a later SELECT sees earlier writes
+    const replica = useReplica(req, queries.map((q) => q.sql));
+    if (await sendPreview(req, res, queries, { timeout, replica })) {
+      return;
+    }
+
     const results = [];
     for (const q of queries) {
-      const result = await query(q.sql, q.params || [], timeout);
+      const result = await runAs(req, (client) => execute(req, client, q.sql, q.params || []), timeout, { replica });
       results.push({
         data: result.rows,
         rowCount: result.rowCount,
@@ -84,7 +344,7 @@ router.post('/batch', async (req, res, next) => {
  * Execute multiple queries within a transaction
  * Body: { queries: Array<{ sql: string, params?: any[] }>, timeout?: number }
  */
-router.post('/transaction', async (req, res, next) => {
+router.post('/transaction', requireScope('query:raw', 'query:read'), idempotency, async (req, res, next) => {
   try {
     const { queries, timeout } = req.body;
 
@@ -106,17 +366,21 @@ router.post('/transaction', async (req, res, next) => {
       });
     }
 
-    const results = await transaction(async (client) => {
+    if (await sendPreview(req, res, queries, { timeout })) {
+      return;
+    }
+
+    const results = await runAs(req, async (client) => {
       const txResults = [];
       for (const q of queries) {
-        const result = await client.query(q.sql, q.params || []);
+        const result = await execute(req, client, q.sql, q.params || []);
         txResults.push({
           data: result.rows,
           rowCount: result.rowCount,
         });
       }
       return txResults;
-    }, timeout || 30000);
+    }, timeout);
 
     res.json({
       success: true,
@@ -127,12 +391,169 @@ router.post('/transaction', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/query/select
+ * Helper for SELECT with filters, sorting and pagination
+ * Body: {
+ *   table: string,
+ *   columns?: string[],      // default ['*']
+ *   where?: object,          // filter DSL, see buildWhereClause
+ *   orderBy?: string | { column, direction?, nulls? } | Array<...>,
+ *   limit?: number,          // default SELECT_DEFAULT_LIMIT, max MAX_SELECT_ROWS
+ *   offset?: number,
+ *   count?: boolean,         // also return the number of matching rows as `total`
+ *   paginate?: 'offset' | 'cursor',
+ *   cursor?: string,         // nextCursor of the previous page (implies paginate: 'cursor')
+ *   tieBreaker?: string      // unique column ending the sort order in cursor mode, default 'id'
+ * }
+ */
+router.post('/select', requireScope('query:read', 'query:raw'), async (req, res, next) => {
+  try {
+    const {
+      table, columns = ['*'], where, orderBy, limit, offset = 0, count = false,
+      paginate, cursor, tieBreaker = 'id',
+    } = req.body;
+
+    // Validate table name
+    const tableValidation = sanitizeTableName(table);
+    if (!tableValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: tableValidation.error,
+        code: 'INVALID_TABLE',
+      });
+    }
+
+    const columnValidation = sanitizeColumnNames(columns);
+    if (!columnValidation.valid || columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: columnValidation.error || 'Columns array cannot be empty',
+        code: 'INVALID_COLUMN',
+      });
+    }
+
+    const whereClause = where === undefined ? null : buildWhereClause(where);
+    if (whereClause && !whereClause.valid) {
+      return res.status(400).json({
+        success: false,
+        error: whereClause.error,
+        code: 'INVALID_FILTER',
+      });
+    }
+
+    const orderClause = buildOrderBy(orderBy);
+    if (!orderClause.valid) {
+      return res.status(400).json({
+        success: false,
+        error: orderClause.error,
+        code: 'INVALID_ORDER_BY',
+      });
+    }
+
+    // Limit page size
+    const maxSelectRows = parseInt(process.env.MAX_SELECT_ROWS, 10) || 1000;
+    const defaultLimit = parseInt(process.env.SELECT_DEFAULT_LIMIT, 10) || 100;
+    const pageSize = limit ?? Math.min(defaultLimit, maxSelectRows);
+    const keyset = cursor !== undefined || paginate === 'cursor';
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxSelectRows
+      || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${maxSelectRows}, offset a non-negative integer`,
+        code: 'INVALID_PAGINATION',
+      });
+    }
+    if ((paginate !== undefined && !['offset', 'cursor'].includes(paginate)) || (keyset && offset !== 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'paginate must be offset or cursor; cursor pagination does not take an offset',
+        code: 'INVALID_PAGINATION',
+      });
+    }
+
+    // Cursor pagination sorts by a unique tie-breaker last, so the order is total
+    const sortKeys = [...orderClause.keys];
+    if (keyset) {
+      const tieBreakerClause = buildOrderBy(tieBreaker);
+      if (!tieBreakerClause.valid || tieBreakerClause.keys.length !== 1) {
+        return res.status(400).json({
+          success: false,
+          error: tieBreakerClause.error || 'tieBreaker must be a single column',
+          code: 'INVALID_ORDER_BY',
+        });
+      }
+      if (!sortKeys.some((key) => key.column === tieBreakerClause.keys[0].column)) {
+        sortKeys.push(tieBreakerClause.keys[0]);
+      }
+    }
+
+    const fingerprint = queryFingerprint([tableValidation.sanitized, where ?? null, sortKeys]);
+    const position = typeof cursor === 'string' ? decodeCursor(cursor, fingerprint, sortKeys.length) : null;
+    if (cursor !== undefined && cursor !== null && !position?.valid) {
+      return res.status(400).json({
+        success: false,
+        error: position?.error || 'Cursor must be a string',
+        code: 'INVALID_CURSOR',
+      });
+    }
+
+    const filterSql = whereClause ? `WHERE ${whereClause.sql}` : '';
+    const values = whereClause ? [...whereClause.values] : [];
+    const conditions = whereClause ? [`(${whereClause.sql})`] : [];
+    if (position) {
+      const after = keysetCondition(sortKeys, position.values, values.length + 1);
+      conditions.push(`(${after.sql})`);
+      values.push(...after.values);
+    }
+
+    const sql = `
+      SELECT ${[...columnValidation.sanitized, ...(keyset ? cursorColumns(sortKeys) : [])].join(', ')}
+      FROM "${tableValidation.sanitized}"
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ${sortKeys.length > 0 ? `ORDER BY ${orderBySql(sortKeys)}` : ''}
+      LIMIT ${pageSize} OFFSET ${offset}
+    `;
+
+    const countSql = `SELECT count(*) AS total FROM "${tableValidation.sanitized}" ${filterSql}`;
+
+    const selectStatements = [{ sql, params: values }];
+    if (count) selectStatements.push({ sql: countSql, params: whereClause ? whereClause.values : [] });
+    if (await sendPreview(req, res, selectStatements, { readOnly: true, replica: useReplica(req, [sql]) })) {
+      return;
+    }
+
+    const { result, total } = await runAs(req, async (client) => ({
+      result: await execute(req, client, sql, values),
+      total: count
+        ? parseInt((await client.query(countSql, whereClause ? whereClause.values : [])).rows[0].total, 10)
+        : undefined,
+    }), undefined, { readOnly: true, replica: useReplica(req, [sql]) });
+
+    const page = keyset
+      ? buildPage(result.rows, sortKeys.length, pageSize, fingerprint)
+      : { rows: result.rows };
+
+    res.json({
+      success: true,
+      data: page.rows,
+      rowCount: result.rowCount,
+      total,
+      limit: pageSize,
+      offset: keyset ? undefined : offset,
+      nextCursor: keyset ? page.nextCursor : undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/query/insert
  * Helper for INSERT operations with RETURNING
  * Body: { table: string, data: object | object[], returning?: string[] }
  */
-router.post('/insert', async (req, res, next) => {
+router.post('/insert', requireScope('query:write'), idempotency, async (req, res, next) => {
   try {
     const { table, data, returning = ['*'] } = req.body;
 
@@ -213,7 +634,11 @@ router.post('/insert', async (req, res, next) => {
       RETURNING ${returningValidation.sanitized.join(', ')}
     `;
 
-    const result = await query(sql, values);
+    if (await sendPreview(req, res, [{ sql, params: values }], { readOnly: false })) {
+      return;
+    }
+
+    const result = await runAs(req, (client) => execute(req, client, sql, values), undefined, { readOnly: false });
 
     res.json({
       success: true,
@@ -225,14 +650,167 @@ router.post('/insert', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/query/upsert
+ * Helper for INSERT ... ON CONFLICT; reports which rows were inserted and which updated
+ * Body: { table: string, data: object | object[], conflictColumns: string[],
+ *         updateColumns?: string[], returning?: string[] }
+ * updateColumns defaults to every data column outside the conflict target; [] means DO NOTHING
+ */
+router.post('/upsert', requireScope('query:write'), idempotency, async (req, res, next) => {
+  try {
+    const { table, data, conflictColumns, returning = ['*'] } = req.body;
+
+    const tableValidation = sanitizeTableName(table);
+    if (!tableValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: tableValidation.error,
+        code: 'INVALID_TABLE',
+      });
+    }
+
+    if (!data) {
+      return res.status(400).json({
+        success: false,
+        error: 'Data is required',
+        code: 'MISSING_DATA',
+      });
+    }
+
+    const rows = Array.isArray(data) ? data : [data];
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Data array cannot be empty',
+        code: 'EMPTY_DATA',
+      });
+    }
+
+    const maxInsertRows = parseInt(process.env.MAX_INSERT_ROWS, 10) || 1000;
+    if (rows.length > maxInsertRows) {
+      return res.status(400).json({
+        success: false,
+        error: `Insert batch size exceeds maximum of ${maxInsertRows}`,
+        code: 'INSERT_TOO_LARGE',
+      });
+    }
+
+    const columns = Object.keys(rows[0]);
+    const columnValidation = sanitizeColumnNames(columns);
+    if (!columnValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: columnValidation.error,
+        code: 'INVALID_COLUMN',
+      });
+    }
+
+    // The conflict target must name data columns backed by a unique index or constraint
+    const conflictValidation = Array.isArray(conflictColumns) && conflictColumns.length > 0
+      ? sanitizeColumnNames(conflictColumns)
+      : { valid: false, error: 'conflictColumns must be a non-empty array of column names' };
+    const missingConflict = conflictValidation.valid && conflictColumns.find((col) => !columns.includes(col));
+    if (!conflictValidation.valid || missingConflict) {
+      return res.status(400).json({
+        success: false,
+        error: conflictValidation.error || `Conflict column '${missingConflict}' is missing from data`,
+        code: 'INVALID_CONFLICT_COLUMNS',
+      });
+    }
+
+    const updateColumns = req.body.updateColumns ?? columns.filter((col) => !conflictColumns.includes(col));
+    const updateValidation = Array.isArray(updateColumns)
+      ? sanitizeColumnNames(updateColumns)
+      : { valid: false, error: 'updateColumns must be an array' };
+    const missingUpdate = updateValidation.valid && updateColumns.find((col) => !columns.includes(col));
+    if (!updateValidation.valid || missingUpdate) {
+      return res.status(400).json({
+        success: false,
+        error: updateValidation.error || `Update column '${missingUpdate}' is missing from data`,
+        code: 'INVALID_UPDATE_COLUMNS',
+      });
+    }
+
+    const returningValidation = sanitizeColumnNames(returning);
+    if (!returningValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: returningValidation.error,
+        code: 'INVALID_RETURNING',
+      });
+    }
+
+    // DO UPDATE cannot touch the same row twice in one statement
+    const conflictKeys = new Set(rows.map((row) => JSON.stringify(conflictColumns.map((col) => row[col] ?? null))));
+    if (updateColumns.length > 0 && conflictKeys.size < rows.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Data contains more than one row with the same conflict column values',
+        code: 'DUPLICATE_CONFLICT_KEY',
+      });
+    }
+
+    const values = [];
+    const placeholders = [];
+
+    rows.forEach((row, rowIndex) => {
+      const rowPlaceholders = [];
+      columns.forEach((col, colIndex) => {
+        values.push(row[col]);
+        rowPlaceholders.push(`$${rowIndex * columns.length + colIndex + 1}`);
+      });
+      placeholders.push(`(${rowPlaceholders.join(', ')})`);
+    });
+
+    const action = updateColumns.length > 0
+      ? `DO UPDATE SET ${updateValidation.sanitized.map((col) => `${col} = EXCLUDED.${col}`).join(', ')}`
+      : 'DO NOTHING';
+
+    // A freshly inserted row version has no deleting transaction (xmax = 0)
+    const sql = `
+      INSERT INTO "${tableValidation.sanitized}" (${columnValidation.sanitized.join(', ')})
+      VALUES ${placeholders.join(', ')}
+      ON CONFLICT (${conflictValidation.sanitized.join(', ')}) ${action}
+      RETURNING ${returningValidation.sanitized.join(', ')}, (xmax = 0) AS "${UPSERT_INSERTED_COLUMN}"
+    `;
+
+    if (await sendPreview(req, res, [{ sql, params: values }], { readOnly: false })) {
+      return;
+    }
+
+    const result = await runAs(req, (client) => execute(req, client, sql, values), undefined, { readOnly: false });
+
+    const actions = result.rows.map((row) => (row[UPSERT_INSERTED_COLUMN] ? 'inserted' : 'updated'));
+    const inserted = actions.filter((rowAction) => rowAction === 'inserted').length;
+
+    res.json({
+      success: true,
+      data: result.rows.map(({ [UPSERT_INSERTED_COLUMN]: _, ...row }) => row),
+      actions,
+      rowCount: result.rowCount,
+      inserted,
+      updated: actions.length - inserted,
+      skipped: rows.length - actions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/query/update
  * Helper for UPDATE operations
- * Body: { table: string, data: object, where: object, returning?: string[] }
+ * Body: { table: string, data: object, where: object, returning?: string[],
+ *         version?: { column: string, expected: number | string } }
+ * `where` uses the select helper's filter DSL (see buildWhereClause)
+ * With `version` the update only applies to rows still at the expected version
+ * (optimistic concurrency): a number column is incremented, a timestamp column
+ * set to now(). If no row matches, the current rows are returned with 409
  */
-router.post('/update', async (req, res, next) => {
+router.post('/update', requireScope('query:write'), idempotency, async (req, res, next) => {
   try {
-    const { table, data, where, returning = ['*'] } = req.body;
+    const { table, data, where, returning = ['*'], version } = req.body;
 
     // Validate table name
     const tableValidation = sanitizeTableName(table);
@@ -262,7 +840,6 @@ router.post('/update', async (req, res, next) => {
 
     // Validate column names
     const dataColumns = Object.keys(data);
-    const whereColumns = Object.keys(where);
     
     const dataColValidation = sanitizeColumnNames(dataColumns);
     if (!dataColValidation.valid) {
@@ -273,12 +850,13 @@ router.post('/update', async (req, res, next) => {
       });
     }
 
-    const whereColValidation = sanitizeColumnNames(whereColumns);
-    if (!whereColValidation.valid) {
+    // Placeholders after the SET values
+    const whereClause = buildWhereClause(where, dataColumns.length + 1);
+    if (!whereClause.valid) {
       return res.status(400).json({
         success: false,
-        error: whereColValidation.error,
-        code: 'INVALID_WHERE_COLUMN',
+        error: whereClause.error,
+        code: 'INVALID_FILTER',
       });
     }
 
@@ -291,33 +869,76 @@ router.post('/update', async (req, res, next) => {
       });
     }
 
+    const versionCheck = version === undefined ? null : buildVersionCheck(version, dataColumns);
+    if (versionCheck && !versionCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        error: versionCheck.error,
+        code: 'INVALID_VERSION',
+      });
+    }
+
     const setClauses = [];
-    const whereClauses = [];
     const values = [];
-    let paramIndex = 1;
 
     // Build SET clause
     for (let i = 0; i < dataColumns.length; i++) {
-      setClauses.push(`${dataColValidation.sanitized[i]} = $${paramIndex}`);
+      setClauses.push(`${dataColValidation.sanitized[i]} = $${i + 1}`);
       values.push(data[dataColumns[i]]);
-      paramIndex++;
     }
 
-    // Build WHERE clause
-    for (let i = 0; i < whereColumns.length; i++) {
-      whereClauses.push(`${whereColValidation.sanitized[i]} = $${paramIndex}`);
-      values.push(where[whereColumns[i]]);
-      paramIndex++;
+    const params = [...values, ...whereClause.values];
+    const conditions = [whereClause.sql];
+    if (versionCheck) {
+      setClauses.push(versionCheck.set);
+      params.push(version.expected);
+      conditions.push(`${versionCheck.matches} = $${params.length}`);
     }
 
     const sql = `
       UPDATE "${tableValidation.sanitized}"
       SET ${setClauses.join(', ')}
-      WHERE ${whereClauses.join(' AND ')}
+      WHERE ${conditions.map((condition) => `(${condition})`).join(' AND ')}
       RETURNING ${returningValidation.sanitized.join(', ')}
     `;
 
-    const result = await query(sql, values);
+    if (await sendPreview(req, res, [{ sql, params }], { readOnly: false })) {
+      return;
+    }
+
+    const { result, current } = await runAs(req, async (client) => {
+      const updated = await executeWrite(req, client, sql, params);
+      if (!versionCheck || updated.rowCount > 0) return { result: updated };
+
+      // Nothing at the expected version: return what is there now
+      const currentWhere = buildWhereClause(where);
+      const currentRows = await execute(
+        req,
+        client,
+        `SELECT ${returningValidation.sanitized.join(', ')} FROM "${tableValidation.sanitized}" WHERE ${currentWhere.sql}`,
+        currentWhere.values
+      );
+      return { result: updated, current: currentRows.rows };
+    }, undefined, { readOnly: false });
+
+    if (current?.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `${version.column} is no longer ${version.expected}; the row was changed by another request`,
+        code: 'VERSION_CONFLICT',
+        current,
+      });
+    }
+
+    // A versioned update is for a row the client has read; it is gone (deleted,
+    // or never matched), which the client must not mistake for a no-op
+    if (current) {
+      return res.status(404).json({
+        success: false,
+        error: 'No row matches the filter; it may have been deleted',
+        code: 'ROW_NOT_FOUND',
+      });
+    }
 
     res.json({
       success: true,
@@ -333,8 +954,9 @@ router.post('/update', async (req, res, next) => {
  * POST /api/query/delete
  * Helper for DELETE operations
  * Body: { table: string, where: object, returning?: string[] }
+ * `where` uses the select helper's filter DSL (see buildWhereClause)
  */
-router.post('/delete', async (req, res, next) => {
+router.post('/delete', requireScope('query:write'), idempotency, async (req, res, next) => {
   try {
     const { table, where, returning = ['*'] } = req.body;
 
@@ -356,14 +978,12 @@ router.post('/delete', async (req, res, next) => {
       });
     }
 
-    // Validate column names
-    const whereColumns = Object.keys(where);
-    const whereColValidation = sanitizeColumnNames(whereColumns);
-    if (!whereColValidation.valid) {
+    const whereClause = buildWhereClause(where);
+    if (!whereClause.valid) {
       return res.status(400).json({
         success: false,
-        error: whereColValidation.error,
-        code: 'INVALID_WHERE_COLUMN',
+        error: whereClause.error,
+        code: 'INVALID_FILTER',
       });
     }
 
@@ -376,21 +996,22 @@ router.post('/delete', async (req, res, next) => {
       });
     }
 
-    const whereClauses = [];
-    const values = [];
-
-    for (let i = 0; i < whereColumns.length; i++) {
-      whereClauses.push(`${whereColValidation.sanitized[i]} = $${i + 1}`);
-      values.push(where[whereColumns[i]]);
-    }
-
     const sql = `
       DELETE FROM "${tableValidation.sanitized}"
-      WHERE ${whereClauses.join(' AND ')}
+      WHERE ${whereClause.sql}
       RETURNING ${returningValidation.sanitized.join(', ')}
     `;
 
-    const result = await query(sql, values);
+    if (await sendPreview(req, res, [{ sql, params: whereClause.values }], { readOnly: false })) {
+      return;
+    }
+
+    const result = await runAs(
+      req,
+      (client) => executeWrite(req, client, sql, whereClause.values),
+      undefined,
+      { readOnly: false }
+    );
 
     res.json({
       success: true,
@@ -0,0 +1,138 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import pool from '../config/database.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+// The internal tables stay blocked whatever BLOCKED_TABLES says
+process.env.BLOCKED_TABLES = 'legacy_';
+const { default: queryRouter } = await import('./query.js');
+
+/**
+ * Serve the query routes to a fixed API key
+ */
+function listen(apiKey) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.apiKey = apiKey;
+    next();
+  });
+  app.use('/api/query', queryRouter);
+  app.use(errorHandler);
+  const server = app.listen(0);
+
+  const post = (path, body) => fetch(`http://127.0.0.1:${server.address().port}/api/query${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(2000),
+  });
+  return { server, post };
+}
+
+describe('query helpers on internal tables', () => {
+  let server;
+  let post;
+  let queries;
+
+  before(() => {
+    queries = 0;
+    mock.method(pool, 'query', async () => {
+      queries++;
+      return { rows: [], rowCount: 0 };
+    });
+    mock.method(pool, 'connect', async () => {
+      queries++;
+      throw new Error('unexpected connection');
+    });
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'log', () => {});
+
+    ({ server, post } = listen({ id: 'key-1', name: 'writer', scopes: ['query:write', 'query:raw'] }));
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  it('rejects a key granting itself every scope through the update helper', async () => {
+    for (const table of ['api_keys', 'public.api_keys', 'API_KEYS']) {
+      const res = await post('/update', { table, data: { scopes: ['*'] }, where: { name: 'writer' } });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).code, 'INVALID_TABLE');
+    }
+    assert.equal(queries, 0);
+  });
+
+  it('rejects the other helpers on internal tables', async () => {
+    for (const [path, body] of [
+      ['/select', { table: 'report_jobs' }],
+      ['/insert', { table: 'idempotency_keys', data: { key: 'k' } }],
+      ['/delete', { table: 'api_key_audit', where: { id: 1 } }],
+    ]) {
+      const res = await post(path, body);
+      assert.equal(res.status, 400, path);
+      assert.equal((await res.json()).code, 'INVALID_TABLE');
+    }
+    assert.equal(queries, 0);
+  });
+
+  it('rejects raw SQL reading internal tables', async () => {
+    const res = await post('/', { sql: 'SELECT k.key_hash FROM cases c JOIN api_keys k ON k.id = c.owner_id' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, 'BLOCKED_TABLE');
+    assert.equal(queries, 0);
+  });
+});
+
+describe('explain previews with cost limits', () => {
+  let server;
+  let post;
+  let statements;
+
+  before(() => {
+    // Planner estimate of 500 for every statement
+    mock.method(pool, 'connect', async () => ({
+      query: async (text) => {
+        statements.push(text);
+        return text.startsWith('EXPLAIN')
+          ? { rows: [{ 'QUERY PLAN': [{ Plan: { 'Total Cost': 500, 'Plan Rows': 10, 'Actual Rows': 10 } }] }] }
+          : { rows: [], rowCount: 0 };
+      },
+      release: () => {},
+    }));
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+
+    ({ server, post } = listen({
+      id: 'key-2',
+      name: 'limited',
+      scopes: ['query:raw'],
+      queryPolicy: { statements: 'dml', maxCost: 100 },
+    }));
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const body = { sql: "DELETE FROM cases WHERE status = 'closed'", explain: true };
+
+  it('rejects an ANALYZE preview above the cost limit without running it', async () => {
+    statements = [];
+    const res = await post('/', { ...body, analyze: true });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).code, 'QUERY_TOO_EXPENSIVE');
+    assert.equal(statements.some((text) => text.includes('ANALYZE')), false);
+  });
+
+  it('still plans a plain EXPLAIN above the limit', async () => {
+    statements = [];
+    const res = await post('/', body);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).plans[0].totalCost, 500);
+  });
+});
@@ -1,7 +1,10 @@
 import { Router } from 'express';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import { generateReceiptPDF } from '../services/pdfGenerator.js';
-import { generateScreeningReportPDF } from '../services/screeningReportGenerator.js';
+import { generateScreeningReportPDF, validateScreeningReportData } from '../services/screeningReportGenerator.js';
 import { generateSTRPDF } from '../services/strGenerator.js';
+import { generateSTRGoAML } from '../services/goamlGenerator.js';
 
 const router = Router();
 
@@ -23,7 +26,7 @@ const router = Router();
  *   uploader?: { name?: string, email?: string }
  * }
  */
-router.post('/generate-receipt-pdf', async (req, res, next) => {
+router.post('/generate-receipt-pdf', requireScope('reports:generate'), idempotency, async (req, res, next) => {
   const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const startTime = Date.now();
 
@@ -33,6 +36,8 @@ router.post('/generate-receipt-pdf', async (req, res, next) => {
         severity: 'INFO',
         message: 'Receipt PDF generation request received',
         requestId,
+        apiKey: req.apiKey?.name,
+        user: req.user?.id,
         timestamp: new Date().toISOString(),
       })
     );
@@ -262,10 +267,14 @@ router.post('/generate-receipt-pdf', async (req, res, next) => {
  *   suspiciousCount?: number,
  *   matches?: Array<{ name?: string, score?: number | string, listSource?: string, dob?: unknown, nationality?: unknown, description?: string }>,
  *   transactions?: Array<{ date?: string, type?: string, amount?: number | string, currency?: string, to?: string, from?: string }>,
- *   suspiciousTransactions?: Array<{ transaction: { date?: string, type?: string, amount?: number | string, currency?: string, to?: string, from?: string }, reason: string, riskPoints: number }>
+ *   suspiciousTransactions?: Array<{ transaction: { date?: string, type?: string, amount?: number | string, currency?: string, to?: string, from?: string }, reason: string, riskPoints: number }>,
+ *   listsScreened?: Array<string | { name: string, status?: string, count?: number }>,
+ *   queryLists?: Array<string | { name: string }>,
+ *   analystComments?: string,
+ *   auditTrail?: Array<string | { timestamp?: string, action: string, user?: string, details?: unknown }>
  * }
  */
-router.post('/generate-screening-report-pdf', async (req, res, next) => {
+router.post('/generate-screening-report-pdf', requireScope('reports:generate'), idempotency, async (req, res, next) => {
   const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const startTime = Date.now();
 
@@ -275,6 +284,8 @@ router.post('/generate-screening-report-pdf', async (req, res, next) => {
         severity: 'INFO',
         message: 'Screening report PDF generation request received',
         requestId,
+        apiKey: req.apiKey?.name,
+        user: req.user?.id,
         timestamp: new Date().toISOString(),
       })
     );
@@ -289,6 +300,16 @@ router.post('/generate-screening-report-pdf', async (req, res, next) => {
       });
     }
 
+    const validation = validateScreeningReportData(reportData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        code: 'INVALID_BODY',
+        field: validation.field,
+      });
+    }
+
     const pdfBuffer = await generateScreeningReportPDF(reportData);
 
     if (!pdfBuffer || pdfBuffer.length === 0) {
@@ -347,7 +368,7 @@ router.post('/generate-screening-report-pdf', async (req, res, next) => {
  *   notes?: string[]
  * }
  */
-router.post('/generate-str-pdf', async (req, res, next) => {
+router.post('/generate-str-pdf', requireScope('reports:generate'), idempotency, async (req, res, next) => {
   const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const startTime = Date.now();
 
@@ -357,6 +378,8 @@ router.post('/generate-str-pdf', async (req, res, next) => {
         severity: 'INFO',
         message: 'STR PDF generation request received',
         requestId,
+        apiKey: req.apiKey?.name,
+        user: req.user?.id,
         timestamp: new Date().toISOString(),
       })
     );
@@ -419,4 +442,109 @@ router.post('/generate-str-pdf', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/generate-str-goaml
+ * Generate STR as goAML XML for submission to the FIU
+ * Body: same as /api/generate-str-pdf, plus optional goAML fields:
+ *   profile.type?: 'person' | 'entity',
+ *   transactions[].id?, transactions[].fundsCode?, transactions[].exchangeRate?,
+ *   goaml?: {
+ *     rentityId?: number, rentityBranch?: string, entityReference?: string,
+ *     reason?: string, action?: string, indicators: string[], fundsCode?: string,
+ *     reportingPerson?: { firstName: string, lastName: string, email?: string }
+ *   }
+ */
+router.post('/generate-str-goaml', requireScope('reports:generate'), async (req, res, next) => {
+  const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const startTime = Date.now();
+
+  try {
+    const strData = req.body;
+
+    if (!strData || typeof strData !== 'object') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body',
+        code: 'INVALID_BODY',
+      });
+    }
+
+    const result = await generateSTRGoAML(strData);
+
+    if (result.code === 'GOAML_SCHEMA_NOT_CONFIGURED') {
+      console.error(
+        JSON.stringify({
+          severity: 'ERROR',
+          message: 'STR goAML export requested but GOAML_XSD_PATH is not set',
+          requestId,
+          timestamp: new Date().toISOString(),
+        })
+      );
+
+      return res.status(503).json({
+        success: false,
+        error: 'goAML export is not configured: no goAML schema to validate against',
+        code: result.code,
+      });
+    }
+
+    if (!result.valid) {
+      console.warn(
+        JSON.stringify({
+          severity: 'WARNING',
+          message: 'STR goAML export rejected',
+          requestId,
+          code: result.code,
+          errorCount: result.errors.length,
+          timestamp: new Date().toISOString(),
+        })
+      );
+
+      return res.status(422).json({
+        success: false,
+        error: result.code === 'GOAML_MAPPING_ERROR'
+          ? 'STR data is missing or has invalid goAML fields'
+          : 'Generated goAML report failed schema validation',
+        code: result.code,
+        errors: result.errors,
+      });
+    }
+
+    const filenameSafe = ((strData.profile?.name || 'report').replace(/\s+/g, '_'));
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filenameSafe}_STR.xml"`);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    res.status(200).send(result.xml);
+
+    const duration = Date.now() - startTime;
+    console.log(
+      JSON.stringify({
+        severity: 'INFO',
+        message: 'STR goAML export completed',
+        requestId,
+        duration: `${duration}ms`,
+        transactionCount: strData.transactions?.length || 0,
+        timestamp: new Date().toISOString(),
+      })
+    );
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(
+      JSON.stringify({
+        severity: 'ERROR',
+        message: 'STR goAML export failed',
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString(),
+      })
+    );
+
+    error.code = error.code || 'GOAML_GENERATION_ERROR';
+    next(error);
+  }
+});
+
 export default router;
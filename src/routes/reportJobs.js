@@ -0,0 +1,180 @@
+import { Router } from 'express';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import {
+  REPORT_TYPES,
+  createReportJob,
+  getReportJob,
+  getReportJobResult,
+} from '../services/reportJobs.js';
+
+const router = Router();
+
+router.use(requireScope('reports:generate'));
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Format a job row for API responses
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    error: job.error || undefined,
+    filename: job.result_filename || undefined,
+    pdfSize: job.result_size ?? undefined,
+    requestedBy: {
+      apiKey: job.requested_by_key || undefined,
+      user: job.requested_by_user || undefined,
+    },
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    startedAt: job.started_at || undefined,
+    completedAt: job.completed_at || undefined,
+    statusUrl: `/api/reports/jobs/${job.id}`,
+    downloadUrl: job.status === 'completed' ? `/api/reports/jobs/${job.id}/download` : undefined,
+  };
+}
+
+/**
+ * The caller a job belongs to
+ */
+function jobOwner(req) {
+  return {
+    apiKey: req.apiKey?.name,
+    user: req.user?.id,
+    tenantId: req.apiKey?.tenantId,
+  };
+}
+
+function jobNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Report job not found',
+    code: 'JOB_NOT_FOUND',
+  });
+}
+
+/**
+ * POST /api/reports/jobs
+ * Queue a PDF report for background generation
+ * Body: {
+ *   type: 'receipt' | 'screening-report' | 'str',
+ *   payload: object  // same body as the matching /api/generate-*-pdf route
+ * }
+ */
+router.post('/', idempotency, async (req, res, next) => {
+  try {
+    const { type, payload } = req.body;
+
+    if (!REPORT_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        error: `Report type must be one of: ${Object.keys(REPORT_TYPES).join(', ')}`,
+        code: 'INVALID_REPORT_TYPE',
+      });
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid report payload',
+        code: 'INVALID_BODY',
+      });
+    }
+
+    const validation = REPORT_TYPES[type].validate?.(payload);
+    if (validation && !validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        code: 'INVALID_BODY',
+        field: validation.field,
+      });
+    }
+
+    const job = await createReportJob(type, payload, jobOwner(req));
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Report job queued',
+      jobId: job.id,
+      type,
+      apiKey: req.apiKey?.name,
+      user: req.user?.id,
+      timestamp: new Date().toISOString(),
+    }));
+
+    res.status(202).json({
+      success: true,
+      job: formatJob(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/jobs/:id
+ * Get report job status; jobs queued by another key, user or tenant are not found
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!JOB_ID_PATTERN.test(req.params.id)) {
+      return jobNotFound(res);
+    }
+
+    const job = await getReportJob(req.params.id, jobOwner(req));
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reports/jobs/:id/download
+ * Download the finished PDF; only for the caller that queued the job
+ */
+router.get('/:id/download', async (req, res, next) => {
+  try {
+    if (!JOB_ID_PATTERN.test(req.params.id)) {
+      return jobNotFound(res);
+    }
+
+    const job = await getReportJobResult(req.params.id, jobOwner(req));
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    if (job.status !== 'completed' || !job.pdf) {
+      return res.status(409).json({
+        success: false,
+        error: `Report is not ready (status: ${job.status})`,
+        code: job.status === 'failed' ? 'JOB_FAILED' : 'JOB_NOT_READY',
+        status: job.status,
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${job.filename || 'report.pdf'}"`);
+    res.setHeader('Content-Length', job.pdf.length);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    res.status(200).send(job.pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
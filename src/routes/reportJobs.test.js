@@ -0,0 +1,83 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import pool from '../config/database.js';
+import reportJobsRouter from './reportJobs.js';
+
+const JOB_ID = '0b6f2a4e-3c1d-4e5f-8a9b-0c1d2e3f4a5b';
+
+// One finished job, queued by key "alice" for user u1 of tenant t1
+const job = {
+  id: JOB_ID,
+  type: 'receipt',
+  status: 'completed',
+  attempts: 1,
+  max_attempts: 3,
+  result: Buffer.from('%PDF-1.4'),
+  result_filename: 'receipt.pdf',
+  requested_by_key: 'alice',
+  requested_by_user: 'u1',
+  requested_by_tenant: 't1',
+};
+
+// Stand-in for the report_jobs lookups, applying the owner condition
+function fakeQuery({ text, values = [] }) {
+  if (!text.includes('FROM report_jobs')) return Promise.resolve({ rows: [], rowCount: 0 });
+
+  const [id, apiKey, user, tenant] = values;
+  const visible = id === job.id && text.includes('requested_by_key IS NOT DISTINCT FROM $2')
+    && apiKey === job.requested_by_key && user === job.requested_by_user && tenant === job.requested_by_tenant;
+  return Promise.resolve({ rows: visible ? [job] : [], rowCount: visible ? 1 : 0 });
+}
+
+describe('report job ownership', () => {
+  let server;
+  let url;
+  let caller;
+
+  before(() => {
+    mock.method(pool, 'query', fakeQuery);
+    mock.method(console, 'log', () => {});
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.apiKey = { name: caller.apiKey, scopes: ['reports:generate'], tenantId: caller.tenantId };
+      req.user = caller.user ? { id: caller.user } : undefined;
+      next();
+    });
+    app.use('/api/reports/jobs', reportJobsRouter);
+    server = app.listen(0);
+    url = `http://127.0.0.1:${server.address().port}/api/reports/jobs/${JOB_ID}`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const get = (path = '') => fetch(`${url}${path}`, { signal: AbortSignal.timeout(2000) });
+
+  it('lets the caller that queued a job read and download it', async () => {
+    caller = { apiKey: 'alice', user: 'u1', tenantId: 't1' };
+    assert.equal((await get()).status, 200);
+
+    const download = await get('/download');
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/pdf');
+  });
+
+  for (const [name, other] of [
+    ['another key', { apiKey: 'mallory', user: 'u1', tenantId: 't1' }],
+    ['another user of the same key', { apiKey: 'alice', user: 'u2', tenantId: 't1' }],
+    ['another tenant', { apiKey: 'alice', user: 'u1', tenantId: 't2' }],
+  ]) {
+    it(`answers 404 to ${name}`, async () => {
+      caller = other;
+      for (const path of ['', '/download']) {
+        const res = await get(path);
+        assert.equal(res.status, 404);
+        assert.equal((await res.json()).code, 'JOB_NOT_FOUND');
+      }
+    });
+  }
+});
@@ -0,0 +1,85 @@
+import { Router } from 'express';
+import { requireScope } from '../middleware/auth.js';
+import { LIST_SOURCES } from '../services/listIngestion.js';
+import { screenSubject } from '../services/screening.js';
+
+const router = Router();
+
+const MAX_NAME_LENGTH = 500;
+const MAX_LIMIT = 500;
+const ENTITY_TYPES = ['person', 'individual', 'entity', 'organization'];
+
+function invalid(res, error) {
+  return res.status(400).json({
+    success: false,
+    error,
+    code: 'INVALID_SCREENING_REQUEST',
+  });
+}
+
+/**
+ * POST /api/screen
+ * Screen a name against the ingested sanctions lists
+ * Body: {
+ *   name: string,
+ *   dateOfBirth?: string,
+ *   nationality?: string,
+ *   entityType?: 'person' | 'individual' | 'entity' | 'organization',
+ *   threshold?: number,  // 0..1, default SCREENING_MATCH_THRESHOLD
+ *   limit?: number,
+ *   lists?: string[]     // list ids, default all
+ * }
+ * The response can be passed straight to /api/generate-screening-report-pdf
+ */
+router.post('/', requireScope('screening:run'), async (req, res, next) => {
+  try {
+    const { name, dateOfBirth, nationality, entityType, threshold, limit, lists } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return invalid(res, `name is required (max ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (entityType !== undefined
+      && (typeof entityType !== 'string' || !ENTITY_TYPES.includes(entityType.toLowerCase()))) {
+      return invalid(res, `entityType must be one of: ${ENTITY_TYPES.join(', ')}`);
+    }
+    if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 1)) {
+      return invalid(res, 'threshold must be a number between 0 and 1');
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+      return invalid(res, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (lists !== undefined && (!Array.isArray(lists) || lists.some((id) => !LIST_SOURCES[id]))) {
+      return invalid(res, `lists must be an array of: ${Object.keys(LIST_SOURCES).join(', ')}`);
+    }
+
+    const normalizedType = entityType === undefined
+      ? undefined
+      : ({ individual: 'person', organization: 'entity' }[entityType.toLowerCase()] || entityType.toLowerCase());
+
+    const result = await screenSubject(
+      { name: name.trim(), dateOfBirth, nationality, entityType: normalizedType },
+      { threshold, limit, lists }
+    );
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Name screening completed',
+      totalMatches: result.totalMatches,
+      duration: `${result.executionTime}ms`,
+      timestamp: new Date().toISOString(),
+    }));
+
+    res.json({
+      success: true,
+      name: name.trim(),
+      dateOfBirth,
+      nationality,
+      entityType: normalizedType,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import screeningRouter from './screening.js';
+
+describe('POST /api/screen validation', () => {
+  let server;
+  let url;
+
+  before(() => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiKey = { name: 'test', scopes: ['screening:run'] };
+      next();
+    });
+    app.use('/api/screen', screeningRouter);
+    server = app.listen(0);
+    url = `http://127.0.0.1:${server.address().port}/api/screen`;
+  });
+
+  after(() => server.close());
+
+  const screen = (body) => fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  for (const entityType of [['person'], 1, { type: 'person' }, 'vessel']) {
+    it(`rejects entityType ${JSON.stringify(entityType)} with 400`, async () => {
+      const res = await screen({ name: 'Osama bin Laden', entityType });
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, /entityType must be one of/);
+    });
+  }
+
+  it('rejects a missing name', async () => {
+    const res = await screen({ entityType: 'person' });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,491 @@
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { query } from '../config/database.js';
+
+/**
+ * API key store
+ * Keys are stored as SHA-256 hashes in Postgres and looked up by their public
+ * prefix. A key looks like `aml_<prefix>_<secret>`; only the prefix is stored in
+ * clear text so the key can be identified in logs and admin listings
+ */
+
+// Configuration
+const CACHE_TTL_MS = parseInt(process.env.API_KEY_CACHE_TTL_MS, 10) || 60000;
+const ROTATION_GRACE_SECONDS = parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS, 10) || 86400;
+const USAGE_WRITE_INTERVAL_MS = parseInt(process.env.API_KEY_USAGE_WRITE_INTERVAL_MS, 10) || 60000;
+const SIGNING_MASTER_KEY = process.env.API_SIGNING_MASTER_KEY;
+
+/**
+ * Known scopes. A key may also hold `*` (everything) or `<group>:*`
+ */
+export const SCOPES = [
+  'query:read',        // POST /api/query, /batch, /transaction in a read-only transaction; /select
+  'query:write',       // insert/update/delete helpers
+  'query:raw',         // arbitrary SQL through /api/query, /batch, /transaction
+  'reports:generate',  // PDF and goAML generation, report jobs
+  'lists:read',        // GET /api/lists
+  'lists:import',      // POST /api/lists/import
+  'screening:run',     // POST /api/screen
+  'queries:run',       // POST /api/queries/:name (named queries without their own scope)
+];
+
+const KEY_PATTERN = /^aml_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+const CREATE_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL UNIQUE,
+    key_hash TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS previous_key_hash TEXT,
+    ADD COLUMN IF NOT EXISTS previous_key_expires_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_used_ip TEXT,
+    ADD COLUMN IF NOT EXISTS require_signature BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS tenant_id TEXT,
+    ADD COLUMN IF NOT EXISTS query_policy JSONB;
+  CREATE TABLE IF NOT EXISTS api_key_audit (
+    id BIGSERIAL PRIMARY KEY,
+    key_id UUID,
+    key_name TEXT,
+    action TEXT NOT NULL,
+    actor TEXT,
+    ip TEXT,
+    details JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE INDEX IF NOT EXISTS api_key_audit_key_idx ON api_key_audit (key_id, created_at);
+`;
+
+// Columns safe to return from admin endpoints (never hashes)
+const KEY_COLUMNS = `
+  id, name, key_prefix, scopes, enabled, expires_at, created_at, updated_at,
+  rotated_at, previous_key_expires_at, revoked_at, last_used_at, last_used_ip,
+  require_signature, tenant_id, query_policy
+`;
+
+let tableReady = null;
+const cache = new Map();
+const lastUsageWrite = new Map();
+// Whether the store holds any key, cached like key lookups: { present, cachedAt }
+let storedKeys = null;
+
+/**
+ * Create the keys table on first use
+ * @returns {Promise<void>}
+ */
+export function ensureApiKeysTable() {
+  if (!tableReady) {
+    tableReady = query(CREATE_TABLE_SQL).then(
+      () => undefined,
+      (error) => {
+        // Allow the next caller to retry
+        tableReady = null;
+        throw error;
+      }
+    );
+  }
+  return tableReady;
+}
+
+function hashSecret(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a scope list grants a scope
+ * @param {string[]} scopes - Scopes held by the key
+ * @param {string} required - Scope to check
+ * @returns {boolean}
+ */
+export function hasScope(scopes, required) {
+  if (!Array.isArray(scopes)) return false;
+  const [group] = required.split(':');
+  return scopes.includes('*') || scopes.includes(required) || scopes.includes(`${group}:*`);
+}
+
+/**
+ * Validate requested scopes
+ * @param {unknown} scopes
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { valid: false, error: 'scopes must be a non-empty array' };
+  }
+
+  const groups = new Set(SCOPES.map((s) => s.split(':')[0]));
+  const unknown = scopes.filter((scope) =>
+    scope !== '*' && !SCOPES.includes(scope) && !(scope.endsWith(':*') && groups.has(scope.slice(0, -2)))
+  );
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${SCOPES.join(', ')}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Derive the HMAC signing secret for a key secret
+ * Secrets are derived from API_SIGNING_MASTER_KEY rather than stored, and change
+ * whenever the key is rotated
+ * @param {string} prefix - Key prefix
+ * @param {string} keyHash - Stored hash of the key secret
+ * @returns {string|null} null when signing is not configured
+ */
+function deriveSigningSecret(prefix, keyHash) {
+  if (!SIGNING_MASTER_KEY) return null;
+  return createHmac('sha256', SIGNING_MASTER_KEY).update(`${prefix}:${keyHash}`).digest('base64url');
+}
+
+/**
+ * Whether request signing can be used
+ */
+export function isSigningConfigured() {
+  return Boolean(SIGNING_MASTER_KEY);
+}
+
+function generateKey(prefix) {
+  return `aml_${prefix}_${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Record a key operation in api_key_audit
+ * @param {Object} entry
+ * @param {Object} [entry.key] - Affected key row ({ id, name })
+ * @param {string} entry.action - created | rotated | revoked | policy_updated | signing_*
+ * @param {Object} [entry.context] - { actor, ip }
+ * @param {Object} [entry.details] - Extra data (never secrets)
+ */
+async function writeAudit({ key, action, context = {}, details }) {
+  await query(
+    `INSERT INTO api_key_audit (key_id, key_name, action, actor, ip, details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [key?.id || null, key?.name || null, action, context.actor || null, context.ip || null,
+      details ? JSON.stringify(details) : null]
+  );
+}
+
+/**
+ * Create a key. The plain key is returned once and never stored
+ * @param {Object} options
+ * @param {string} options.name - Unique name of the consumer
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {Date|string} [options.expiresAt] - Optional expiry
+ * @param {string} [options.tenantId] - Tenant the key's queries run as (app.tenant_id)
+ * @param {Object} [options.queryPolicy] - Statement/table/row limits (see queryPolicy.js)
+ * @param {Object} [context] - { actor, ip } for the audit log
+ * @returns {Promise<{ key: string, signingSecret: string|null, record: Object }>}
+ */
+export async function createApiKey({ name, scopes, expiresAt, tenantId, queryPolicy }, context) {
+  await ensureApiKeysTable();
+
+  const prefix = randomBytes(8).toString('hex');
+  const key = generateKey(prefix);
+  const keyHash = hashSecret(key);
+
+  const result = await query(
+    `INSERT INTO api_keys (id, name, key_prefix, key_hash, scopes, expires_at, tenant_id, query_policy)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${KEY_COLUMNS}`,
+    [randomUUID(), name, prefix, keyHash, scopes, expiresAt || null, tenantId || null,
+      queryPolicy ? JSON.stringify(queryPolicy) : null]
+  );
+  const record = result.rows[0];
+  storedKeys = { present: true, cachedAt: Date.now() };
+
+  await writeAudit({
+    key: record,
+    action: 'created',
+    context,
+    details: {
+      scopes,
+      expiresAt: record.expires_at,
+      tenantId: record.tenant_id || undefined,
+      queryPolicy: record.query_policy || undefined,
+    },
+  });
+
+  return { key, signingSecret: deriveSigningSecret(prefix, keyHash), record };
+}
+
+/**
+ * List all keys
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listApiKeys() {
+  await ensureApiKeysTable();
+  const result = await query(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY created_at`);
+  return result.rows;
+}
+
+/**
+ * Get one key
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>}
+ */
+export async function getApiKey(id) {
+  await ensureApiKeysTable();
+  const result = await query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Issue a new secret for a key. The previous secret keeps working until the
+ * grace period ends so consumers can roll over without downtime
+ * @param {string} id - Key id
+ * @param {Object} [options]
+ * @param {number} [options.gracePeriodSeconds] - How long the old secret stays valid
+ * @param {Object} [context] - { actor, ip } for the audit log
+ * @returns {Promise<{ key: string, signingSecret: string|null, record: Object }|null>} null if the key doesn't exist or is revoked
+ */
+export async function rotateApiKey(id, { gracePeriodSeconds = ROTATION_GRACE_SECONDS } = {}, context) {
+  await ensureApiKeysTable();
+
+  const current = await query('SELECT key_prefix FROM api_keys WHERE id = $1 AND revoked_at IS NULL', [id]);
+  if (!current.rows[0]) return null;
+
+  // The prefix is kept so the key stays identifiable across rotations
+  const key = generateKey(current.rows[0].key_prefix);
+  const keyHash = hashSecret(key);
+
+  const result = await query(
+    `UPDATE api_keys
+     SET previous_key_hash = CASE WHEN $3 > 0 THEN key_hash END,
+         previous_key_expires_at = CASE WHEN $3 > 0 THEN now() + ($3 * interval '1 second') END,
+         key_hash = $2, rotated_at = now(), updated_at = now()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [id, keyHash, gracePeriodSeconds]
+  );
+  const record = result.rows[0];
+  if (!record) return null;
+
+  cache.delete(record.key_prefix);
+  await writeAudit({ key: record, action: 'rotated', context, details: { gracePeriodSeconds } });
+
+  return { key, signingSecret: deriveSigningSecret(record.key_prefix, keyHash), record };
+}
+
+/**
+ * Turn mandatory request signing on or off for a key
+ * @param {string} id - Key id
+ * @param {boolean} required - Reject unsigned requests
+ * @param {Object} [context] - { actor, ip } for the audit log
+ * @returns {Promise<{ signingSecret: string|null, record: Object }|null>} null if the key doesn't exist or is revoked
+ */
+export async function setSignatureRequired(id, required, context) {
+  await ensureApiKeysTable();
+
+  const result = await query(
+    `UPDATE api_keys SET require_signature = $2, updated_at = now()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}, key_hash`,
+    [id, required]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const { key_hash: keyHash, ...record } = row;
+  cache.delete(record.key_prefix);
+  await writeAudit({ key: record, action: required ? 'signing_required' : 'signing_optional', context });
+
+  return { signingSecret: deriveSigningSecret(record.key_prefix, keyHash), record };
+}
+
+/**
+ * Replace a key's query policy
+ * @param {string} id - Key id
+ * @param {Object|null} queryPolicy - New policy, or null to remove it
+ * @param {Object} [context] - { actor, ip } for the audit log
+ * @returns {Promise<Object|null>} Updated key, or null if it doesn't exist or is revoked
+ */
+export async function setQueryPolicy(id, queryPolicy, context) {
+  await ensureApiKeysTable();
+
+  const result = await query(
+    `UPDATE api_keys SET query_policy = $2, updated_at = now()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [id, queryPolicy ? JSON.stringify(queryPolicy) : null]
+  );
+  const record = result.rows[0];
+  if (!record) return null;
+
+  cache.delete(record.key_prefix);
+  await writeAudit({ key: record, action: 'policy_updated', context, details: { queryPolicy } });
+
+  return record;
+}
+
+/**
+ * Permanently disable a key, including any secret still in its rotation grace period
+ * @param {string} id - Key id
+ * @param {Object} [context] - { actor, ip } for the audit log
+ * @returns {Promise<Object|null>} Updated key, or null if it doesn't exist
+ */
+export async function revokeApiKey(id, context) {
+  await ensureApiKeysTable();
+
+  const result = await query(
+    `UPDATE api_keys
+     SET enabled = false, previous_key_hash = NULL, previous_key_expires_at = NULL,
+         revoked_at = COALESCE(revoked_at, now()), updated_at = now()
+     WHERE id = $1
+     RETURNING ${KEY_COLUMNS}`,
+    [id]
+  );
+  const record = result.rows[0];
+  if (!record) return null;
+
+  cache.delete(record.key_prefix);
+  await writeAudit({ key: record, action: 'revoked', context });
+
+  return record;
+}
+
+/**
+ * Audit entries for a key, newest first
+ * @param {string} id - Key id
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getApiKeyAudit(id) {
+  await ensureApiKeysTable();
+  const result = await query(
+    `SELECT id, key_id, key_name, action, actor, ip, details, created_at
+     FROM api_key_audit WHERE key_id = $1 ORDER BY created_at DESC, id DESC`,
+    [id]
+  );
+  return result.rows;
+}
+
+/**
+ * Look up a key by prefix, with a short in-memory cache
+ */
+async function findByPrefix(prefix) {
+  const cached = cache.get(prefix);
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+    return cached.row;
+  }
+
+  await ensureApiKeysTable();
+  const result = await query(
+    `SELECT id, name, key_prefix, key_hash, previous_key_hash, previous_key_expires_at, scopes, enabled,
+            expires_at, revoked_at, require_signature, tenant_id, query_policy
+     FROM api_keys WHERE key_prefix = $1`,
+    [prefix]
+  );
+
+  const row = result.rows[0] || null;
+  cache.set(prefix, { row, cachedAt: Date.now() });
+  return row;
+}
+
+function hashMatches(presented, stored) {
+  return Boolean(stored) && timingSafeEqual(presented, Buffer.from(stored, 'hex'));
+}
+
+/**
+ * Record last use, at most once per interval per key
+ */
+function recordUsage(keyId, ip) {
+  const now = Date.now();
+  if (now - (lastUsageWrite.get(keyId) || 0) < USAGE_WRITE_INTERVAL_MS) return;
+  lastUsageWrite.set(keyId, now);
+
+  query(
+    'UPDATE api_keys SET last_used_at = now(), last_used_ip = $2 WHERE id = $1',
+    [keyId, ip || null]
+  ).catch((error) => {
+    console.error(JSON.stringify({
+      severity: 'ERROR',
+      message: 'Failed to record API key usage',
+      keyId,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }));
+  });
+}
+
+/**
+ * Verify a presented key
+ * @param {string} key - Value of the x-api-key header
+ * @param {Object} [context] - { ip } of the caller, recorded as last use
+ * @returns {Promise<{ valid: boolean, key?: Object, signingSecret?: string|null, error?: string, code?: string }>}
+ */
+export async function verifyApiKey(key, context = {}) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match) {
+    return { valid: false, error: 'Invalid API key', code: 'INVALID_API_KEY' };
+  }
+
+  const row = await findByPrefix(match[1]);
+  const presented = Buffer.from(hashSecret(key), 'hex');
+  const isCurrent = row && hashMatches(presented, row.key_hash);
+  const isPrevious = row && !isCurrent && hashMatches(presented, row.previous_key_hash)
+    && new Date(row.previous_key_expires_at) > new Date();
+  if (!isCurrent && !isPrevious) {
+    return { valid: false, error: 'Invalid API key', code: 'INVALID_API_KEY' };
+  }
+
+  if (row.revoked_at) {
+    return { valid: false, error: 'API key has been revoked', code: 'API_KEY_REVOKED' };
+  }
+
+  if (!row.enabled) {
+    return { valid: false, error: 'API key is disabled', code: 'API_KEY_DISABLED' };
+  }
+
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return { valid: false, error: 'API key has expired', code: 'API_KEY_EXPIRED' };
+  }
+
+  recordUsage(row.id, context.ip);
+
+  return {
+    valid: true,
+    key: {
+      id: row.id,
+      name: row.name,
+      scopes: row.scopes,
+      tenantId: row.tenant_id,
+      queryPolicy: row.query_policy,
+      requireSignature: row.require_signature,
+      previousSecret: isPrevious || undefined,
+    },
+    // Requests made with the previous secret are signed with its derived secret
+    signingSecret: deriveSigningSecret(row.key_prefix, isPrevious ? row.previous_key_hash : row.key_hash),
+  };
+}
+
+/**
+ * Whether any key exists in the store, cached for CACHE_TTL_MS
+ * Checked on every request without a key, so it must not hit the database each time
+ * @returns {Promise<boolean>}
+ */
+export async function hasStoredApiKeys() {
+  if (storedKeys && Date.now() - storedKeys.cachedAt < CACHE_TTL_MS) {
+    return storedKeys.present;
+  }
+
+  await ensureApiKeysTable();
+  const result = await query('SELECT EXISTS (SELECT 1 FROM api_keys) AS present');
+  storedKeys = { present: result.rows[0].present, cachedAt: Date.now() };
+  return storedKeys.present;
+}
+
+/**
+ * Drop cached lookups, e.g. after a key is changed
+ */
+export function clearApiKeyCache() {
+  cache.clear();
+  storedKeys = null;
+}
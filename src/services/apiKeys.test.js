@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/database.js';
+import { hasStoredApiKeys, createApiKey, clearApiKeyCache } from './apiKeys.js';
+
+describe('hasStoredApiKeys', () => {
+  let present;
+  let lookups;
+
+  beforeEach(() => {
+    present = false;
+    lookups = 0;
+    clearApiKeyCache();
+    mock.method(pool, 'query', async ({ text }) => {
+      if (text.includes('SELECT EXISTS')) {
+        lookups++;
+        return { rows: [{ present }], rowCount: 1 };
+      }
+      if (text.includes('INSERT INTO api_keys')) {
+        return { rows: [{ id: 'k1', name: 'first', key_prefix: '0123456789abcdef' }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('queries the store once per cache period', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal(await hasStoredApiKeys(), false);
+    }
+    assert.equal(lookups, 1);
+  });
+
+  it('knows about a key created on this instance without asking again', async () => {
+    assert.equal(await hasStoredApiKeys(), false);
+    await createApiKey({ name: 'first', scopes: ['query:read'] });
+    assert.equal(await hasStoredApiKeys(), true);
+    assert.equal(lookups, 1);
+  });
+
+  it('asks again once the cache is cleared', async () => {
+    await hasStoredApiKeys();
+    present = true;
+    clearApiKeyCache();
+    assert.equal(await hasStoredApiKeys(), true);
+    assert.equal(lookups, 2);
+  });
+});
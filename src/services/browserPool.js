@@ -0,0 +1,351 @@
+import { chromium } from 'playwright';
+
+/**
+ * Shared Chromium pool for PDF rendering
+ * Keeps browsers warm between requests, isolates each render in its own
+ * context, caps concurrent renders and relaunches browsers that crash
+ */
+
+// Configuration
+const POOL_SIZE = parseInt(process.env.PDF_BROWSER_POOL_SIZE, 10) || 1;
+const MAX_CONCURRENT_RENDERS = parseInt(process.env.PDF_MAX_CONCURRENT_RENDERS, 10) || 4;
+const MAX_RENDERS_PER_BROWSER = parseInt(process.env.PDF_BROWSER_MAX_RENDERS, 10) || 200;
+const RENDER_QUEUE_TIMEOUT = parseInt(process.env.PDF_RENDER_QUEUE_TIMEOUT, 10) || 30000;
+
+// Pooled browsers host many contexts, so --single-process is not used here:
+// it makes Chromium unstable once more than one context is open
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--disable-software-rasterizer',
+    '--disable-extensions',
+    '--disable-background-networking',
+    '--disable-background-timer-throttling',
+    '--disable-renderer-backgrounding',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-breakpad',
+    '--disable-component-extensions-with-background-pages',
+    '--disable-features=TranslateUI',
+    '--disable-ipc-flooding-protection',
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--no-pings',
+  ],
+  timeout: 30000,
+};
+
+// Pool state
+const browsers = [];
+const waitQueue = [];
+let activeRenders = 0;
+let nextBrowserId = 1;
+let isShuttingDown = false;
+
+const counters = {
+  launched: 0,
+  launchFailures: 0,
+  crashed: 0,
+  recycled: 0,
+  rendersCompleted: 0,
+  rendersFailed: 0,
+  queueTimeouts: 0,
+};
+
+/**
+ * Create an error that the global error handler maps to an HTTP status
+ */
+function poolError(message, code, statusCode = 503) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Launch a new browser and add it to the pool
+ * The entry is registered immediately so concurrent callers share the launch
+ * @returns {Promise<Object>} Pool entry once the browser is ready
+ */
+function launchBrowser() {
+  const entry = {
+    id: nextBrowserId++,
+    browser: null,
+    active: 0,
+    renders: 0,
+    retiring: false,
+    closing: false,
+    launchedAt: null,
+  };
+  browsers.push(entry);
+
+  entry.ready = chromium.launch(LAUNCH_OPTIONS)
+    .then((browser) => {
+      entry.browser = browser;
+      entry.launchedAt = new Date();
+      counters.launched++;
+      browser.on('disconnected', () => handleDisconnect(entry));
+
+      console.log(JSON.stringify({
+        severity: 'INFO',
+        message: 'PDF browser launched',
+        browserId: entry.id,
+        poolSize: browsers.length,
+        timestamp: new Date().toISOString(),
+      }));
+
+      return entry;
+    })
+    .catch((error) => {
+      counters.launchFailures++;
+      removeEntry(entry);
+
+      console.error(JSON.stringify({
+        severity: 'ERROR',
+        message: 'PDF browser launch failed',
+        browserId: entry.id,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }));
+
+      throw error;
+    });
+
+  return entry.ready;
+}
+
+function removeEntry(entry) {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) {
+    browsers.splice(index, 1);
+  }
+}
+
+/**
+ * Relaunch a browser in the background to keep the pool warm
+ */
+function replenish() {
+  if (isShuttingDown) return;
+  if (browsers.filter((e) => !e.retiring).length >= POOL_SIZE) return;
+  launchBrowser().catch(() => {
+    // Already logged; the next render will retry the launch
+  });
+}
+
+/**
+ * Called when a browser goes away, either on purpose or because it crashed
+ */
+function handleDisconnect(entry) {
+  removeEntry(entry);
+  if (entry.closing) return;
+
+  counters.crashed++;
+  console.error(JSON.stringify({
+    severity: 'ERROR',
+    message: 'PDF browser disconnected unexpectedly, relaunching',
+    browserId: entry.id,
+    activeRenders: entry.active,
+    renders: entry.renders,
+    timestamp: new Date().toISOString(),
+  }));
+
+  replenish();
+}
+
+/**
+ * Close a browser that is no longer needed
+ */
+async function closeEntry(entry) {
+  entry.closing = true;
+  removeEntry(entry);
+  if (entry.browser) {
+    await entry.browser.close().catch(() => {
+      // Ignore - browser might already be gone
+    });
+  }
+}
+
+/**
+ * Retire a browser once it has served enough renders, so leaked memory
+ * in the renderer is reclaimed periodically
+ */
+function recycleIfNeeded(entry) {
+  // Crashed browsers have already been removed and replaced
+  if (!browsers.includes(entry)) return;
+
+  if (!entry.retiring && entry.renders >= MAX_RENDERS_PER_BROWSER) {
+    entry.retiring = true;
+    replenish();
+  }
+
+  if (entry.retiring && entry.active === 0 && !entry.closing) {
+    counters.recycled++;
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Recycling PDF browser',
+      browserId: entry.id,
+      renders: entry.renders,
+      timestamp: new Date().toISOString(),
+    }));
+    closeEntry(entry);
+  }
+}
+
+/**
+ * Pick the least busy browser, launching one if the pool is not full
+ * @returns {Promise<Object>} Pool entry
+ */
+function pickBrowser() {
+  const candidates = browsers.filter((e) => !e.retiring && !e.closing);
+  const idle = candidates.find((e) => e.browser && e.active === 0);
+
+  if (idle) return idle.ready;
+  if (candidates.length < POOL_SIZE) return launchBrowser();
+
+  const leastBusy = candidates.reduce((a, b) => (a.active <= b.active ? a : b));
+  return leastBusy.ready;
+}
+
+/**
+ * Wait for a free render slot
+ */
+function acquireSlot() {
+  if (activeRenders < MAX_CONCURRENT_RENDERS) {
+    activeRenders++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      const index = waitQueue.indexOf(waiter);
+      if (index !== -1) waitQueue.splice(index, 1);
+      counters.queueTimeouts++;
+      reject(poolError('PDF renderer is busy, try again later', 'PDF_RENDERER_BUSY'));
+    }, RENDER_QUEUE_TIMEOUT);
+    waitQueue.push(waiter);
+  });
+}
+
+/**
+ * Hand the slot to the next waiter, or free it
+ */
+function releaseSlot() {
+  const next = waitQueue.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activeRenders--;
+  }
+}
+
+/**
+ * Run a callback with a fresh page from the pool
+ * Each call gets its own browser context, which is closed afterwards
+ * @param {Function} callback - Async function receiving a Playwright page
+ * @returns {Promise<any>} Callback result
+ */
+export async function withPage(callback) {
+  if (isShuttingDown) {
+    throw poolError('PDF renderer is shutting down', 'PDF_RENDERER_UNAVAILABLE');
+  }
+
+  await acquireSlot();
+
+  let entry = null;
+  let context = null;
+
+  try {
+    entry = await pickBrowser();
+    entry.active++;
+
+    context = await entry.browser.newContext();
+    const page = await context.newPage();
+    page.setDefaultTimeout(30000);
+
+    const result = await callback(page);
+    counters.rendersCompleted++;
+    return result;
+  } catch (error) {
+    counters.rendersFailed++;
+    throw error;
+  } finally {
+    if (context) {
+      await context.close().catch(() => {
+        // Ignore - context is gone if the browser crashed
+      });
+    }
+
+    if (entry) {
+      entry.active--;
+      entry.renders++;
+      recycleIfNeeded(entry);
+    }
+
+    releaseSlot();
+  }
+}
+
+/**
+ * Launch browsers up to the configured pool size
+ * @returns {Promise<void>}
+ */
+export async function warmBrowserPool() {
+  const launches = [];
+  while (browsers.filter((e) => !e.retiring).length < POOL_SIZE) {
+    launches.push(launchBrowser());
+  }
+  await Promise.all(launches);
+}
+
+/**
+ * Get browser pool statistics for monitoring
+ */
+export function getBrowserPoolStats() {
+  return {
+    poolSize: POOL_SIZE,
+    maxConcurrentRenders: MAX_CONCURRENT_RENDERS,
+    activeRenders,
+    queuedRenders: waitQueue.length,
+    browsers: browsers.map((e) => ({
+      id: e.id,
+      connected: e.browser ? e.browser.isConnected() : false,
+      activeRenders: e.active,
+      renders: e.renders,
+      retiring: e.retiring,
+      launchedAt: e.launchedAt?.toISOString(),
+    })),
+    ...counters,
+  };
+}
+
+/**
+ * Close all pooled browsers and reject queued renders
+ */
+export async function closeBrowserPool() {
+  isShuttingDown = true;
+
+  while (waitQueue.length > 0) {
+    const waiter = waitQueue.shift();
+    clearTimeout(waiter.timer);
+    waiter.reject(poolError('PDF renderer is shutting down', 'PDF_RENDERER_UNAVAILABLE'));
+  }
+
+  const pending = browsers.map((entry) =>
+    entry.ready.then(closeEntry, () => {
+      // Launch failed - nothing to close
+    })
+  );
+  await Promise.all(pending);
+}
+
+export default {
+  withPage,
+  warmBrowserPool,
+  getBrowserPoolStats,
+  closeBrowserPool,
+};
@@ -0,0 +1,160 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * Keyset (cursor) pagination
+ * A cursor carries the sort-key values of the last row of a page, encrypted
+ * and authenticated (AES-256-GCM) so clients can neither read nor edit it.
+ * The authentication also covers a fingerprint of the query (table or named
+ * query, filters, sort order), so a cursor only resumes the query it was
+ * issued for. Pages continue with
+ *   WHERE (a, b) "after" (last a, last b)
+ * instead of OFFSET, which stays fast however deep the client pages
+ */
+
+// Configuration
+const CURSOR_TTL_SECONDS = parseInt(process.env.CURSOR_TTL_SECONDS, 10) || 86400;
+
+// Without a configured secret, cursors only work on the instance that issued them
+const CURSOR_KEY = process.env.CURSOR_SECRET
+  ? createHash('sha256').update(process.env.CURSOR_SECRET).digest()
+  : randomBytes(32);
+if (!process.env.CURSOR_SECRET && process.env.NODE_ENV === 'production') {
+  console.warn(JSON.stringify({
+    severity: 'WARNING',
+    message: 'CURSOR_SECRET is not set; pagination cursors will not work across instances or restarts',
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+// Alias prefix of the extra columns holding sort-key values as text
+export const CURSOR_COLUMN_PREFIX = '__cursor_';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Fingerprint of the query a cursor belongs to
+ * @param {Array} parts - Anything that changes the result order or filter
+ * @returns {string}
+ */
+export function queryFingerprint(parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('base64url');
+}
+
+/**
+ * Create a cursor that resumes after a row
+ * @param {Array<string|null>} values - Sort-key values of the last row
+ * @param {string} fingerprint - From queryFingerprint
+ * @returns {string}
+ */
+export function encodeCursor(values, fingerprint) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', CURSOR_KEY, iv);
+  cipher.setAAD(Buffer.from(fingerprint));
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify({ k: values, t: Math.floor(Date.now() / 1000) })),
+    cipher.final(),
+  ]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+/**
+ * Verify and decode a cursor
+ * @param {string} cursor
+ * @param {string} fingerprint - Fingerprint of the query being resumed
+ * @param {number} keyCount - Number of sort keys
+ * @returns {{ valid: boolean, values?: Array<string|null>, error?: string }}
+ */
+export function decodeCursor(cursor, fingerprint, keyCount) {
+  const invalid = { valid: false, error: 'Cursor is invalid, expired or belongs to a different query' };
+  if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) return invalid;
+
+  const raw = Buffer.from(cursor, 'base64url');
+  if (raw.length <= IV_LENGTH + TAG_LENGTH) return invalid;
+
+  let decoded;
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', CURSOR_KEY, raw.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(fingerprint));
+    decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    decoded = JSON.parse(Buffer.concat([
+      decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final(),
+    ]).toString('utf8'));
+  } catch {
+    return invalid;
+  }
+
+  if (!Array.isArray(decoded.k) || decoded.k.length !== keyCount
+    || Math.floor(Date.now() / 1000) - decoded.t > CURSOR_TTL_SECONDS) {
+    return invalid;
+  }
+
+  return { valid: true, values: decoded.k };
+}
+
+/**
+ * Condition selecting the rows that sort after the cursor position
+ * For keys (a, b): a after x OR (a = x AND b after y). "After" follows each
+ * key's direction and NULLS FIRST/LAST (Postgres default: NULLS LAST for ASC)
+ * @param {Array<{ column: string, direction: 'ASC'|'DESC', nulls?: string }>} keys - Quoted column SQL
+ * @param {Array<string|null>} values - Cursor values, as text
+ * @param {number} firstParam - Number of the first placeholder
+ * @returns {{ sql: string, values: Array<string> }}
+ */
+export function keysetCondition(keys, values, firstParam) {
+  const params = [];
+  const placeholder = (value) => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}`;
+  };
+
+  const equal = (key, value) => (value === null ? `${key.column} IS NULL` : `${key.column} = ${placeholder(value)}`);
+
+  const after = (key, value) => {
+    const nullsLast = (key.nulls || (key.direction === 'DESC' ? 'FIRST' : 'LAST')) === 'LAST';
+    if (value === null) {
+      return nullsLast ? 'FALSE' : `${key.column} IS NOT NULL`;
+    }
+    const comparison = `${key.column} ${key.direction === 'DESC' ? '<' : '>'} ${placeholder(value)}`;
+    return nullsLast ? `(${comparison} OR ${key.column} IS NULL)` : comparison;
+  };
+
+  const branches = keys.map((key, i) => [
+    ...keys.slice(0, i).map((previous, j) => equal(previous, values[j])),
+    after(key, values[i]),
+  ].join(' AND '));
+
+  return { sql: branches.map((branch) => `(${branch})`).join(' OR '), values: params };
+}
+
+/**
+ * Extra select-list entries returning each sort key as text, so cursors keep
+ * full precision (timestamps with microseconds, numerics, bigints)
+ */
+export function cursorColumns(keys) {
+  return keys.map((key, i) => `${key.column}::text AS "${CURSOR_COLUMN_PREFIX}${i}"`);
+}
+
+/**
+ * Remove the cursor columns from a page and build the next cursor
+ * @param {Object[]} rows - Rows including the cursor columns
+ * @param {number} keyCount - Number of sort keys
+ * @param {number} limit - Page size; a short page means there is no next page
+ * @param {string} fingerprint
+ * @returns {{ rows: Object[], nextCursor: string|null }}
+ */
+export function buildPage(rows, keyCount, limit, fingerprint) {
+  const last = rows[rows.length - 1];
+  const nextCursor = rows.length === limit && last
+    ? encodeCursor(Array.from({ length: keyCount }, (_, i) => last[`${CURSOR_COLUMN_PREFIX}${i}`]), fingerprint)
+    : null;
+
+  const stripped = rows.map((row) => {
+    const copy = { ...row };
+    for (let i = 0; i < keyCount; i++) delete copy[`${CURSOR_COLUMN_PREFIX}${i}`];
+    return copy;
+  });
+
+  return { rows: stripped, nextCursor };
+}
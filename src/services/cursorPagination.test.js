@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CURSOR_COLUMN_PREFIX,
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  cursorColumns,
+  buildPage,
+} from './cursorPagination.js';
+
+const fingerprint = queryFingerprint(['cases', { status: 'open' }, [['created_at', 'DESC'], ['id', 'ASC']]]);
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips the sort-key values', () => {
+    const values = ['2024-03-01 10:00:00.123456+00', null];
+    assert.deepEqual(decodeCursor(encodeCursor(values, fingerprint), fingerprint, 2), { valid: true, values });
+  });
+
+  it('rejects a cursor issued for a different query', () => {
+    const other = queryFingerprint(['cases', { status: 'closed' }, [['created_at', 'DESC'], ['id', 'ASC']]]);
+    assert.equal(decodeCursor(encodeCursor(['a', '1'], fingerprint), other, 2).valid, false);
+  });
+
+  it('rejects a cursor with the wrong number of keys', () => {
+    assert.equal(decodeCursor(encodeCursor(['a'], fingerprint), fingerprint, 2).valid, false);
+  });
+
+  it('rejects tampered or malformed cursors', () => {
+    const cursor = encodeCursor(['a', '1'], fingerprint);
+    const flipped = cursor[20] === 'A' ? 'B' : 'A';
+    assert.equal(decodeCursor(`${cursor.slice(0, 20)}${flipped}${cursor.slice(21)}`, fingerprint, 2).valid, false);
+    assert.equal(decodeCursor('not a cursor', fingerprint, 2).valid, false);
+    assert.equal(decodeCursor('abc', fingerprint, 2).valid, false);
+    assert.equal(decodeCursor(42, fingerprint, 2).valid, false);
+  });
+});
+
+describe('keysetCondition', () => {
+  const keys = [{ column: '"created_at"', direction: 'DESC' }, { column: '"id"', direction: 'ASC' }];
+
+  it('compares each key in its direction, with NULLs in their default place', () => {
+    assert.deepEqual(keysetCondition(keys, ['2024-03-01', '7'], 3), {
+      sql: '("created_at" < $3) OR ("created_at" = $4 AND ("id" > $5 OR "id" IS NULL))',
+      values: ['2024-03-01', '2024-03-01', '7'],
+    });
+  });
+
+  it('handles NULL cursor values', () => {
+    // DESC sorts NULLs first, so non-NULL rows come after a NULL position
+    assert.deepEqual(keysetCondition(keys, [null, null], 1), {
+      sql: '("created_at" IS NOT NULL) OR ("created_at" IS NULL AND FALSE)',
+      values: [],
+    });
+  });
+
+  it('honours explicit NULLS FIRST and LAST', () => {
+    const { sql } = keysetCondition([{ column: '"score"', direction: 'ASC', nulls: 'FIRST' }], ['5'], 1);
+    assert.equal(sql, '("score" > $1)');
+  });
+});
+
+describe('buildPage', () => {
+  const rows = [
+    { id: 1, [`${CURSOR_COLUMN_PREFIX}0`]: '1' },
+    { id: 2, [`${CURSOR_COLUMN_PREFIX}0`]: '2' },
+  ];
+
+  it('strips the cursor columns and resumes after the last row of a full page', () => {
+    const page = buildPage(rows, 1, 2, fingerprint);
+    assert.deepEqual(page.rows, [{ id: 1 }, { id: 2 }]);
+    assert.deepEqual(decodeCursor(page.nextCursor, fingerprint, 1).values, ['2']);
+  });
+
+  it('returns no cursor for a short page', () => {
+    assert.equal(buildPage(rows, 1, 3, fingerprint).nextCursor, null);
+    assert.equal(buildPage([], 1, 3, fingerprint).nextCursor, null);
+  });
+
+  it('selects the sort keys as text under the cursor prefix', () => {
+    assert.deepEqual(cursorColumns([{ column: '"id"' }]), [`"id"::text AS "${CURSOR_COLUMN_PREFIX}0"`]);
+  });
+});
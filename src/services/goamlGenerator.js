@@ -0,0 +1,451 @@
+import { readFile } from 'fs/promises';
+import { validateXML } from 'xmllint-wasm';
+
+// Reporting entity configuration (issued by the FIU on goAML registration)
+const GOAML_RENTITY_ID = process.env.GOAML_RENTITY_ID;
+const GOAML_RENTITY_BRANCH = process.env.GOAML_RENTITY_BRANCH;
+const GOAML_CURRENCY_LOCAL = process.env.GOAML_CURRENCY_LOCAL || 'KWD';
+const GOAML_COUNTRY_LOCAL = process.env.GOAML_COUNTRY_LOCAL || 'KW';
+const GOAML_DEFAULT_FUNDS_CODE = process.env.GOAML_DEFAULT_FUNDS_CODE;
+
+let schemaPromise = null;
+
+/**
+ * Load the goAML XSD issued by the FIU (GOAML_XSD_PATH) once
+ * No schema ships with the service: reports are only produced once one is configured
+ * @returns {Promise<string|null>} null when GOAML_XSD_PATH is not set
+ */
+function loadSchema() {
+  const schemaPath = process.env.GOAML_XSD_PATH;
+  if (!schemaPath) return Promise.resolve(null);
+
+  if (!schemaPromise) {
+    schemaPromise = readFile(schemaPath, 'utf8').catch((error) => {
+      schemaPromise = null;
+      throw error;
+    });
+  }
+  return schemaPromise;
+}
+
+/**
+ * Generate a goAML STR XML document from the same payload as generateSTRPDF
+ * @param {Object} strData - { profile, transactions, status, notes, goaml? }
+ * @returns {Promise<{ valid: boolean, xml?: string, code?: string, errors?: Array<Object> }>}
+ */
+export async function generateSTRGoAML(strData) {
+  const mapping = mapSTRToGoAML(strData);
+  if (mapping.errors.length > 0) {
+    return { valid: false, code: 'GOAML_MAPPING_ERROR', errors: mapping.errors };
+  }
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${renderElement('report', mapping.report, 0)}`;
+
+  const schema = await loadSchema();
+  if (!schema) {
+    return { valid: false, code: 'GOAML_SCHEMA_NOT_CONFIGURED', errors: [] };
+  }
+
+  const result = await validateXML({
+    xml: [{ fileName: 'report.xml', contents: xml }],
+    schema: [{ fileName: 'goaml.xsd', contents: schema }],
+  });
+
+  if (!result.valid) {
+    return {
+      valid: false,
+      code: 'GOAML_SCHEMA_INVALID',
+      errors: result.errors.map((e) => ({
+        line: e.loc?.lineNumber,
+        message: e.message,
+      })),
+    };
+  }
+
+  return { valid: true, xml };
+}
+
+/**
+ * Map the STR payload into an ordered goAML element tree
+ * Elements are [name, value] pairs so the XSD sequence order is preserved
+ * @returns {{ report: Array, errors: Array<{ field: string, element: string, message: string }> }}
+ */
+export function mapSTRToGoAML(strData) {
+  const shapeErrors = checkShape(strData);
+  if (shapeErrors.length > 0) {
+    return { report: null, errors: shapeErrors };
+  }
+
+  const { profile = {}, transactions = [], notes = [], goaml = {} } = strData;
+  const errors = [];
+
+  const requireValue = (value, field, element, message) => {
+    if (value === undefined || value === null || value === '') {
+      errors.push({ field, element, message: message || 'Required value is missing' });
+    }
+    return value;
+  };
+
+  const rentityId = requireValue(
+    goaml.rentityId ?? GOAML_RENTITY_ID,
+    'goaml.rentityId',
+    'report/rentity_id',
+    'Reporting entity id is required (set GOAML_RENTITY_ID or goaml.rentityId)'
+  );
+
+  const reason = requireValue(
+    goaml.reason ?? profile.reason,
+    'profile.reason',
+    'report/reason',
+    'Reason for suspicion is required'
+  );
+
+  const indicators = Array.isArray(goaml.indicators) ? goaml.indicators.filter(Boolean) : [];
+  if (indicators.length === 0) {
+    errors.push({
+      field: 'goaml.indicators',
+      element: 'report/report_indicators/indicator',
+      message: 'At least one report indicator code is required',
+    });
+  }
+
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    errors.push({
+      field: 'transactions',
+      element: 'report/transaction',
+      message: 'At least one transaction is required for an STR',
+    });
+  }
+
+  const subject = mapParty(profile, 'profile', errors);
+  const noteList = Array.isArray(notes) ? notes : [notes];
+  const action = goaml.action ?? (noteList.length > 0 ? noteList.join('\n') : undefined);
+
+  const report = [
+    ['rentity_id', rentityId],
+    ['rentity_branch', goaml.rentityBranch ?? GOAML_RENTITY_BRANCH],
+    ['submission_code', 'E'],
+    ['report_code', 'STR'],
+    ['entity_reference', goaml.entityReference ?? profile.id],
+    ['submission_date', formatDateTime(new Date())],
+    ['currency_code_local', GOAML_CURRENCY_LOCAL],
+    ['reporting_person', goaml.reportingPerson
+      ? mapPerson(goaml.reportingPerson, 'goaml.reportingPerson', errors)
+      : undefined],
+    ['reason', reason],
+    ['action', action],
+    ...(Array.isArray(transactions) ? transactions : []).map((tx, index) => [
+      'transaction',
+      mapTransaction(tx, index, subject, profile, goaml, errors),
+    ]),
+    ['report_indicators', indicators.map((code) => ['indicator', code])],
+  ];
+
+  return { report, errors };
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+const isString = (value) => typeof value === 'string';
+const isText = (value) => isString(value) || typeof value === 'number';
+const isParty = (value) => isString(value) || (isPlainObject(value) && isOptional(value.name, isString));
+
+/**
+ * Check the payload's structure, so that mapping never reads a field of null
+ * or calls a string method on a number
+ * @returns {Array<{ field: string, element: string, message: string }>}
+ */
+function checkShape(strData) {
+  const errors = [];
+  const expect = (valid, field, element, message) => {
+    if (!valid) errors.push({ field, element, message });
+    return valid;
+  };
+
+  if (!expect(isPlainObject(strData), 'body', 'report', 'STR data must be an object')) return errors;
+  const { profile, transactions, notes, goaml } = strData;
+
+  if (expect(profile === undefined || isPlainObject(profile), 'profile', 'report', 'profile must be an object')) {
+    expect(isOptional(profile?.name, isString), 'profile.name', 'person/last_name', 'profile.name must be a string');
+  }
+
+  if (expect(goaml === undefined || isPlainObject(goaml), 'goaml', 'report', 'goaml must be an object')) {
+    expect(isOptional(goaml?.indicators, Array.isArray), 'goaml.indicators', 'report/report_indicators',
+      'goaml.indicators must be an array of indicator codes');
+    expect(isOptional(goaml?.reportingPerson, isPlainObject), 'goaml.reportingPerson', 'report/reporting_person',
+      'goaml.reportingPerson must be an object');
+  }
+
+  expect(isOptional(notes, (value) => isText(value) || (Array.isArray(value) && value.every(isText))),
+    'notes', 'report/action', 'notes must be a string or an array of strings');
+
+  if (expect(isOptional(transactions, Array.isArray), 'transactions', 'report/transaction', 'transactions must be an array')) {
+    (transactions || []).forEach((tx, index) => {
+      const field = `transactions[${index}]`;
+      const element = `report/transaction[${index + 1}]`;
+      if (!expect(isPlainObject(tx), field, element, 'Transaction must be an object')) return;
+
+      expect(isOptional(tx.currency, isString), `${field}.currency`,
+        `${element}/foreign_currency_code`, 'Currency must be an ISO 4217 code string');
+      for (const side of ['from', 'to']) {
+        expect(isOptional(tx[side], isParty), `${field}.${side}`,
+          `${element}/t_${side}`, `${side} must be a name or a party object with a string name`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Map one transaction, placing the report subject on the side it is missing from
+ */
+function mapTransaction(tx, index, subject, profile, goaml, errors) {
+  const field = `transactions[${index}]`;
+  const element = `report/transaction[${index + 1}]`;
+
+  const date = parseDate(tx.date);
+  if (!date) {
+    errors.push({ field: `${field}.date`, element: `${element}/date_transaction`, message: 'Valid transaction date is required' });
+  }
+
+  const amount = Number(tx.amount);
+  if (tx.amount === undefined || tx.amount === null || tx.amount === '' || !Number.isFinite(amount)) {
+    errors.push({ field: `${field}.amount`, element: `${element}/amount_local`, message: 'Numeric transaction amount is required' });
+  } else if (amount <= 0) {
+    // A zero amount would also make the derived exchange rate NaN
+    errors.push({ field: `${field}.amount`, element: `${element}/amount_local`, message: 'Transaction amount must be greater than zero' });
+  }
+
+  const currency = (tx.currency || GOAML_CURRENCY_LOCAL).toUpperCase();
+  let amountLocal = amount;
+  let foreignCurrency;
+
+  // goAML reports amounts in local currency; foreign amounts need a rate
+  if (currency !== GOAML_CURRENCY_LOCAL) {
+    const rate = Number(tx.exchangeRate);
+    if (tx.amountLocal !== undefined) {
+      amountLocal = Number(tx.amountLocal);
+      if (!Number.isFinite(amountLocal) || amountLocal <= 0) {
+        errors.push({
+          field: `${field}.amountLocal`,
+          element: `${element}/amount_local`,
+          message: 'amountLocal must be a number greater than zero',
+        });
+      }
+    } else if (Number.isFinite(rate) && rate > 0) {
+      amountLocal = amount * rate;
+    } else {
+      errors.push({
+        field: `${field}.exchangeRate`,
+        element: `${element}/amount_local`,
+        message: `Exchange rate or amountLocal is required for ${currency} transactions`,
+      });
+    }
+
+    foreignCurrency = [
+      ['foreign_currency_code', currency],
+      ['foreign_amount', formatAmount(amount)],
+      ['foreign_exchange_rate', Number.isFinite(rate) && rate > 0 ? rate : formatRate(amountLocal / amount)],
+    ];
+  }
+
+  const transmodeCode = tx.transmodeCode ?? tx.type;
+  if (!transmodeCode) {
+    errors.push({ field: `${field}.type`, element: `${element}/transmode_code`, message: 'Transaction type is required' });
+  }
+
+  const fundsCode = tx.fundsCode ?? goaml.fundsCode ?? GOAML_DEFAULT_FUNDS_CODE;
+  if (!fundsCode) {
+    errors.push({
+      field: `${field}.fundsCode`,
+      element: `${element}/t_from/from_funds_code`,
+      message: 'Funds type code is required (set GOAML_DEFAULT_FUNDS_CODE or fundsCode)',
+    });
+  }
+
+  // The subject is the side that is missing, or the side carrying the subject's name
+  const subjectName = (profile.name || '').trim().toLowerCase();
+  const isSubject = (party) => !party || partyName(party).trim().toLowerCase() === subjectName;
+  const fromMyClient = isSubject(tx.from);
+  const toMyClient = !fromMyClient && isSubject(tx.to);
+
+  const fromParty = fromMyClient ? subject : mapParty(toPartyObject(tx.from), `${field}.from`, errors);
+  const toParty = toMyClient ? subject : mapParty(toPartyObject(tx.to), `${field}.to`, errors);
+
+  return [
+    ['transactionnumber', tx.id ?? tx.reference ?? `${profile.id || 'STR'}-${index + 1}`],
+    ['internal_ref_number', tx.reference],
+    ['transaction_location', tx.location],
+    ['transaction_description', tx.description],
+    ['date_transaction', date ? formatDateTime(date) : undefined],
+    ['transmode_code', transmodeCode],
+    ['amount_local', Number.isFinite(amountLocal) ? formatAmount(amountLocal) : undefined],
+    [fromMyClient ? 't_from_my_client' : 't_from', [
+      ['from_funds_code', fundsCode],
+      ['from_foreign_currency', foreignCurrency],
+      [`from_${fromParty.kind}`, fromParty.elements],
+      ['from_country', fromParty.country],
+    ]],
+    [toMyClient ? 't_to_my_client' : 't_to', [
+      ['to_funds_code', fundsCode],
+      ['to_foreign_currency', foreignCurrency],
+      [`to_${toParty.kind}`, toParty.elements],
+      ['to_country', toParty.country],
+    ]],
+  ];
+}
+
+/**
+ * Map a party to a goAML person or entity
+ * @returns {{ kind: 'person' | 'entity', elements: Array, country: string }}
+ */
+function mapParty(party, field, errors) {
+  // Person country errors are reported once, by mapPerson
+  const country = countryCode(party.country, `${field}.country`, 'country', party.type === 'entity' ? errors : [])
+    || GOAML_COUNTRY_LOCAL;
+
+  if (party.type === 'entity') {
+    if (!party.name) {
+      errors.push({ field: `${field}.name`, element: 'entity/name', message: 'Entity name is required' });
+    }
+    return {
+      kind: 'entity',
+      country,
+      elements: [
+        ['name', party.name],
+        ['business', party.sector],
+        ['incorporation_number', party.id],
+        ['incorporation_country_code', countryCode(party.country, `${field}.country`, 'entity/incorporation_country_code', [])],
+      ],
+    };
+  }
+
+  return {
+    kind: 'person',
+    country,
+    elements: mapPerson(party, field, errors),
+  };
+}
+
+/**
+ * Map a person, splitting a full name into first/middle/last
+ */
+function mapPerson(person, field, errors) {
+  let { firstName, middleName, lastName } = person;
+
+  if (!firstName && !lastName && person.name) {
+    const parts = String(person.name).trim().split(/\s+/);
+    if (parts.length >= 2) {
+      firstName = parts[0];
+      lastName = parts[parts.length - 1];
+      middleName = parts.slice(1, -1).join(' ') || undefined;
+    }
+  }
+
+  if (!firstName || !lastName) {
+    errors.push({
+      field: `${field}.name`,
+      element: 'person/first_name, person/last_name',
+      message: 'Person requires a first and last name',
+    });
+  }
+
+  const birthdate = parseDate(person.dob ?? person.birthdate);
+  if ((person.dob ?? person.birthdate) && !birthdate) {
+    errors.push({ field: `${field}.dob`, element: 'person/birthdate', message: 'Invalid date of birth' });
+  }
+
+  return [
+    ['gender', person.gender],
+    ['first_name', firstName],
+    ['middle_name', middleName],
+    ['last_name', lastName],
+    ['birthdate', birthdate ? formatDateTime(birthdate) : undefined],
+    ['ssn', person.id],
+    ['passport_number', person.passportNumber],
+    ['nationality1', countryCode(person.nationality ?? person.country, `${field}.country`, 'person/nationality1', errors)],
+    ['email', person.email],
+    ['occupation', person.occupation ?? person.sector],
+  ];
+}
+
+/**
+ * Accept counterparties as plain name strings or objects
+ */
+function toPartyObject(party) {
+  if (!party) return {};
+  if (typeof party === 'string') return { name: party };
+  return party;
+}
+
+function partyName(party) {
+  return typeof party === 'string' ? party : party.name || '';
+}
+
+/**
+ * goAML uses ISO 3166-1 alpha-2 codes
+ */
+function countryCode(value, field, element, errors) {
+  if (!value) return undefined;
+  const code = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(code)) {
+    errors.push({ field, element, message: `'${value}' is not an ISO 3166-1 alpha-2 country code` });
+    return undefined;
+  }
+  return code;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * goAML dateTime format without milliseconds or zone
+ */
+function formatDateTime(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+function formatAmount(value) {
+  return Number(value).toFixed(3);
+}
+
+function formatRate(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(6)) : undefined;
+}
+
+/**
+ * Render an element tree; empty values are omitted
+ */
+function renderElement(name, value, depth) {
+  if (value === undefined || value === null || value === '') return '';
+
+  const indent = '  '.repeat(depth);
+  if (Array.isArray(value)) {
+    const children = value
+      .map(([childName, childValue]) => renderElement(childName, childValue, depth + 1))
+      .filter(Boolean)
+      .join('\n');
+    if (!children) return '';
+    return `${indent}<${name}>\n${children}\n${indent}</${name}>`;
+  }
+
+  return `${indent}<${name}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Escape XML special characters
+ */
+function escapeXml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;',
+  };
+  return String(text).replace(/[&<>"']/g, (m) => map[m]);
+}
@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { generateSTRGoAML, mapSTRToGoAML } from './goamlGenerator.js';
+
+// Stand-in for the FIU's schema: a numeric rentity_id, then anything
+const TEST_XSD = `<?xml version="1.0" encoding="UTF-8"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" elementFormDefault="qualified">
+  <xs:element name="report">
+    <xs:complexType>
+      <xs:sequence>
+        <xs:element name="rentity_id" type="xs:positiveInteger"/>
+        <xs:any processContents="skip" minOccurs="0" maxOccurs="unbounded"/>
+      </xs:sequence>
+    </xs:complexType>
+  </xs:element>
+</xs:schema>`;
+
+const validSTR = () => ({
+  profile: { name: 'Ahmed Ali Hassan', id: '285010112345', country: 'KW', reason: 'Structured cash deposits' },
+  transactions: [
+    { date: '2024-03-01T10:00:00Z', type: 'DEPOSIT', amount: 2900, currency: 'KWD', to: 'Acme Trading' },
+  ],
+  notes: ['Escalated to MLRO'],
+  goaml: { rentityId: 1234, indicators: ['STR01'], fundsCode: 'K' },
+});
+
+const fields = (result) => result.errors.map((error) => error.field);
+
+describe('generateSTRGoAML without GOAML_XSD_PATH', () => {
+  it('refuses to produce XML it cannot validate', async () => {
+    const result = await generateSTRGoAML(validSTR());
+    assert.deepEqual(result, { valid: false, code: 'GOAML_SCHEMA_NOT_CONFIGURED', errors: [] });
+  });
+
+  it('still reports missing goAML fields', async () => {
+    const data = validSTR();
+    delete data.goaml.indicators;
+    assert.equal((await generateSTRGoAML(data)).code, 'GOAML_MAPPING_ERROR');
+  });
+});
+
+describe('generateSTRGoAML with GOAML_XSD_PATH', () => {
+  const schemaDir = mkdtempSync(join(tmpdir(), 'goaml-test-'));
+
+  before(() => {
+    const schemaPath = join(schemaDir, 'goaml.xsd');
+    writeFileSync(schemaPath, TEST_XSD);
+    process.env.GOAML_XSD_PATH = schemaPath;
+  });
+
+  after(() => {
+    delete process.env.GOAML_XSD_PATH;
+    rmSync(schemaDir, { recursive: true, force: true });
+  });
+
+  it('returns XML that passes the configured schema', async () => {
+    const result = await generateSTRGoAML(validSTR());
+    assert.equal(result.valid, true, JSON.stringify(result.errors));
+    assert.match(result.xml, /<report_code>STR<\/report_code>/);
+    assert.match(result.xml, /<amount_local>2900\.000<\/amount_local>/);
+  });
+
+  it('reports schema violations', async () => {
+    const data = validSTR();
+    data.goaml.rentityId = 'not-a-number';
+
+    const result = await generateSTRGoAML(data);
+    assert.equal(result.code, 'GOAML_SCHEMA_INVALID');
+    assert.match(result.errors[0].message, /rentity_id/);
+  });
+
+  it('reports missing goAML fields', async () => {
+    const data = validSTR();
+    delete data.goaml.indicators;
+    delete data.profile.reason;
+
+    const result = await generateSTRGoAML(data);
+    assert.equal(result.code, 'GOAML_MAPPING_ERROR');
+    assert.deepEqual(fields(result).sort(), ['goaml.indicators', 'profile.reason']);
+  });
+});
+
+describe('mapSTRToGoAML', () => {
+  for (const [name, change, field] of [
+    ['a null profile', (data) => { data.profile = null; }, 'profile'],
+    ['a null goaml block', (data) => { data.goaml = null; }, 'goaml'],
+    ['a null transaction', (data) => { data.transactions = [null]; }, 'transactions[0]'],
+    ['transactions that are not an array', (data) => { data.transactions = { amount: 1 }; }, 'transactions'],
+    ['a numeric currency', (data) => { data.transactions[0].currency = 414; }, 'transactions[0].currency'],
+    ['a numeric counterparty name', (data) => { data.transactions[0].to = { name: 7 }; }, 'transactions[0].to'],
+    ['a numeric profile name', (data) => { data.profile.name = 42; }, 'profile.name'],
+  ]) {
+    it(`reports ${name} as a field error`, () => {
+      const data = validSTR();
+      change(data);
+      assert.deepEqual(fields(mapSTRToGoAML(data)), [field]);
+    });
+  }
+
+  it('rejects a zero amount instead of deriving a NaN exchange rate', () => {
+    const data = validSTR();
+    Object.assign(data.transactions[0], { amount: 0, currency: 'USD', amountLocal: 0 });
+
+    const result = mapSTRToGoAML(data);
+    assert.deepEqual(fields(result), ['transactions[0].amount', 'transactions[0].amountLocal']);
+    assert.doesNotMatch(JSON.stringify(result.report), /NaN/);
+  });
+
+  it('converts foreign amounts with the exchange rate', () => {
+    const data = validSTR();
+    Object.assign(data.transactions[0], { amount: 1000, currency: 'usd', exchangeRate: 0.307 });
+
+    const { report, errors } = mapSTRToGoAML(data);
+    assert.deepEqual(errors, []);
+    const transaction = report.find(([name]) => name === 'transaction')[1];
+    assert.deepEqual(transaction.find(([name]) => name === 'amount_local'), ['amount_local', '307.000']);
+  });
+});
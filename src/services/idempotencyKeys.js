@@ -0,0 +1,166 @@
+import { query } from '../config/database.js';
+
+/**
+ * Idempotency keys
+ * The first request with a key claims it; its response is stored in Postgres
+ * and replayed to retries, so every instance answers a retry the same way.
+ * The instance running the request refreshes its claim; a claim nobody has
+ * refreshed for IDEMPOTENCY_LOCK_TIMEOUT_SECONDS (crashed instance) is taken over
+ */
+
+// Configuration
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400;
+const IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, 10) || 300;
+
+// How often a running request refreshes its claim
+export const IDEMPOTENCY_REFRESH_INTERVAL_MS = (IDEMPOTENCY_LOCK_TIMEOUT_SECONDS * 1000) / 3;
+
+// Expired keys are deleted at most this often per instance
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const CREATE_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    owner TEXT NOT NULL,
+    key TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'in_progress',
+    response_status INTEGER,
+    response_headers JSONB,
+    response_body BYTEA,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (owner, key)
+  );
+  CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx
+    ON idempotency_keys (expires_at);
+  ALTER TABLE idempotency_keys
+    ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMPTZ NOT NULL DEFAULT now();
+`;
+
+let tableReady = null;
+let lastPurge = 0;
+
+/**
+ * Create the idempotency table on first use
+ * @returns {Promise<void>}
+ */
+export function ensureIdempotencyTable() {
+  if (!tableReady) {
+    tableReady = query(CREATE_TABLE_SQL).then(
+      () => undefined,
+      (error) => {
+        // Allow the next caller to retry
+        tableReady = null;
+        throw error;
+      }
+    );
+  }
+  return tableReady;
+}
+
+function purgeExpiredKeys() {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+
+  query('DELETE FROM idempotency_keys WHERE expires_at < now()').catch((error) => {
+    console.error(JSON.stringify({
+      severity: 'ERROR',
+      message: 'Failed to purge expired idempotency keys',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }));
+  });
+}
+
+/**
+ * Claim a key for a request, or return the earlier request's record
+ * Expired keys and abandoned claims (not refreshed within the lock timeout) are taken over
+ * @param {string} owner - Credential the key belongs to
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} fingerprint - Hash of the request (method, path, body)
+ * @returns {Promise<{ claimed: boolean, record?: Object }>}
+ */
+export async function claimIdempotencyKey(owner, key, fingerprint) {
+  await ensureIdempotencyTable();
+  purgeExpiredKeys();
+
+  const claim = await query(
+    `INSERT INTO idempotency_keys (owner, key, fingerprint, expires_at)
+     VALUES ($1, $2, $3, now() + make_interval(secs => $4))
+     ON CONFLICT (owner, key) DO UPDATE SET
+       fingerprint = EXCLUDED.fingerprint,
+       status = 'in_progress',
+       response_status = NULL,
+       response_headers = NULL,
+       response_body = NULL,
+       created_at = now(),
+       refreshed_at = now(),
+       completed_at = NULL,
+       expires_at = EXCLUDED.expires_at
+     WHERE idempotency_keys.expires_at < now()
+       OR (idempotency_keys.status = 'in_progress'
+         AND idempotency_keys.refreshed_at < now() - make_interval(secs => $5))
+     RETURNING key`,
+    [owner, key, fingerprint, IDEMPOTENCY_TTL_SECONDS, IDEMPOTENCY_LOCK_TIMEOUT_SECONDS]
+  );
+  if (claim.rowCount > 0) {
+    return { claimed: true };
+  }
+
+  const existing = await query(
+    `SELECT fingerprint, status, response_status, response_headers, response_body
+     FROM idempotency_keys WHERE owner = $1 AND key = $2`,
+    [owner, key]
+  );
+  if (existing.rowCount === 0) {
+    // Deleted between the two statements; claim it afresh
+    return claimIdempotencyKey(owner, key, fingerprint);
+  }
+
+  return { claimed: false, record: existing.rows[0] };
+}
+
+/**
+ * Keep a claim alive while its request runs, so a retry does not take it over
+ * @param {string} owner
+ * @param {string} key
+ * @returns {Promise<boolean>} Whether the claim is still held (false once it expired)
+ */
+export async function refreshIdempotencyKey(owner, key) {
+  const result = await query(
+    `UPDATE idempotency_keys SET refreshed_at = now()
+     WHERE owner = $1 AND key = $2 AND status = 'in_progress' AND expires_at > now()`,
+    [owner, key]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Store the response of a claimed key for replay
+ * @param {string} owner
+ * @param {string} key
+ * @param {{ status: number, headers: Object, body: Buffer }} response
+ * @returns {Promise<void>}
+ */
+export async function saveIdempotentResponse(owner, key, { status, headers, body }) {
+  await query(
+    `UPDATE idempotency_keys
+     SET status = 'completed', response_status = $3, response_headers = $4, response_body = $5, completed_at = now()
+     WHERE owner = $1 AND key = $2`,
+    [owner, key, status, JSON.stringify(headers), body]
+  );
+}
+
+/**
+ * Give up a claim so the request can be retried (failed or aborted requests)
+ * @param {string} owner
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function releaseIdempotencyKey(owner, key) {
+  await query(
+    `DELETE FROM idempotency_keys WHERE owner = $1 AND key = $2 AND status = 'in_progress'`,
+    [owner, key]
+  );
+}
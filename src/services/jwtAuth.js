@@ -0,0 +1,212 @@
+import { createPublicKey, verify } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { SCOPES } from './apiKeys.js';
+
+/**
+ * JWT bearer token verification against locally configured keys
+ * Supports RS256 and ES256 tokens signed by keys from a JWKS file and/or a
+ * static PEM public key. Claims are mapped to API scopes and a user id
+ */
+
+// Configuration
+const JWKS_PATH = process.env.JWT_JWKS_PATH;
+const PUBLIC_KEY_PATH = process.env.JWT_PUBLIC_KEY_PATH;
+const ISSUER = process.env.JWT_ISSUER;
+const AUDIENCES = process.env.JWT_AUDIENCE
+  ? process.env.JWT_AUDIENCE.split(',').map(a => a.trim()).filter(Boolean)
+  : [];
+const ALGORITHMS = process.env.JWT_ALGORITHMS
+  ? process.env.JWT_ALGORITHMS.split(',').map(a => a.trim())
+  : ['RS256', 'ES256'];
+const CLOCK_TOLERANCE_SECONDS = parseInt(process.env.JWT_CLOCK_TOLERANCE_SECONDS, 10) || 30;
+const USER_ID_CLAIM = process.env.JWT_USER_ID_CLAIM || 'sub';
+const SCOPE_CLAIM = process.env.JWT_SCOPE_CLAIM || 'scope';
+const ROLE_CLAIM = process.env.JWT_ROLE_CLAIM || 'role';
+const TENANT_CLAIM = process.env.JWT_TENANT_CLAIM || 'tenant_id';
+const JWKS_RELOAD_INTERVAL_MS = 60000;
+
+// Key type and curve each algorithm must be verified with
+const ALGORITHM_KEYS = {
+  RS256: { type: 'rsa' },
+  ES256: { type: 'ec', curve: 'prime256v1', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * Role to scopes mapping, e.g. JWT_ROLE_SCOPES="analyst=query:read,reports:generate;ops=*"
+ */
+const ROLE_SCOPES = Object.fromEntries(
+  (process.env.JWT_ROLE_SCOPES || '')
+    .split(';')
+    .map(entry => entry.split('='))
+    .filter(([role, scopes]) => role && scopes)
+    .map(([role, scopes]) => [role.trim(), scopes.split(',').map(s => s.trim()).filter(Boolean)])
+);
+
+let jwks = { keys: new Map(), loadedAt: 0, mtimeMs: 0 };
+let staticKey = null;
+
+/**
+ * Whether JWT authentication is configured
+ */
+export function isJwtConfigured() {
+  return Boolean((JWKS_PATH || PUBLIC_KEY_PATH) && ISSUER && AUDIENCES.length > 0);
+}
+
+/**
+ * Load (or reload) the JWKS file
+ */
+function loadJwks() {
+  const { mtimeMs } = statSync(JWKS_PATH);
+  jwks.loadedAt = Date.now();
+  if (mtimeMs === jwks.mtimeMs) return;
+
+  const parsed = JSON.parse(readFileSync(JWKS_PATH, 'utf8'));
+  const keys = new Map();
+  for (const jwk of parsed.keys || []) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    try {
+      keys.set(jwk.kid || '', { key: createPublicKey({ key: jwk, format: 'jwk' }), alg: jwk.alg });
+    } catch (error) {
+      console.error(JSON.stringify({
+        severity: 'ERROR',
+        message: 'Skipping unusable JWKS key',
+        kid: jwk.kid,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }));
+    }
+  }
+
+  jwks = { keys, loadedAt: jwks.loadedAt, mtimeMs };
+  console.log(JSON.stringify({
+    severity: 'INFO',
+    message: 'JWKS loaded',
+    path: JWKS_PATH,
+    keys: [...keys.keys()],
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Find the verification key for a token header
+ */
+function resolveKey(header) {
+  if (JWKS_PATH) {
+    // Pick up rotated keys: reload when the kid is unknown, at most once per interval
+    if (jwks.loadedAt === 0 || (!jwks.keys.has(header.kid || '')
+      && Date.now() - jwks.loadedAt > JWKS_RELOAD_INTERVAL_MS)) {
+      loadJwks();
+    }
+
+    const entry = header.kid
+      ? jwks.keys.get(header.kid)
+      : (jwks.keys.size === 1 ? [...jwks.keys.values()][0] : null);
+    if (entry) {
+      if (entry.alg && entry.alg !== header.alg) return null;
+      return entry.key;
+    }
+  }
+
+  if (PUBLIC_KEY_PATH) {
+    staticKey = staticKey || createPublicKey(readFileSync(PUBLIC_KEY_PATH, 'utf8'));
+    return staticKey;
+  }
+
+  return null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function isJsonObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Scopes granted by the token's scope and role claims
+ * Scope claims may only grant known scopes; `*` requires a role mapping
+ */
+function mapScopes(claims) {
+  const scopeClaim = claims[SCOPE_CLAIM] ?? claims.scp;
+  const claimed = Array.isArray(scopeClaim)
+    ? scopeClaim
+    : String(scopeClaim || '').split(' ').filter(Boolean);
+
+  const roleClaim = claims[ROLE_CLAIM] ?? claims.roles;
+  const roles = Array.isArray(roleClaim) ? roleClaim : [roleClaim].filter(Boolean);
+
+  return [...new Set([
+    ...claimed.filter(scope => SCOPES.includes(scope)),
+    ...roles.flatMap(role => ROLE_SCOPES[role] || []),
+  ])];
+}
+
+/**
+ * Verify a bearer token
+ * @param {string} token - Compact JWS
+ * @returns {{ valid: boolean, user?: Object, scopes?: string[], error?: string, code?: string }}
+ */
+export function verifyJwt(token) {
+  const invalid = (error, code = 'INVALID_TOKEN') => ({ valid: false, error, code });
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return invalid('Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    return invalid('Malformed token');
+  }
+  // Valid JSON is not necessarily an object: 'null' or '42' decode without error
+  if (!isJsonObject(header) || !isJsonObject(claims)) return invalid('Malformed token');
+
+  const algorithm = ALGORITHM_KEYS[header.alg];
+  if (!algorithm || !ALGORITHMS.includes(header.alg)) {
+    return invalid(`Token algorithm not allowed: ${header.alg}`);
+  }
+
+  const key = resolveKey(header);
+  if (!key) return invalid('No key found for token');
+  if (key.asymmetricKeyType !== algorithm.type
+    || (algorithm.curve && key.asymmetricKeyDetails?.namedCurve !== algorithm.curve)) {
+    return invalid('Token key does not match its algorithm');
+  }
+
+  const signatureValid = verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureValid) return invalid('Invalid token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') return invalid('Token has no expiry');
+  if (claims.exp + CLOCK_TOLERANCE_SECONDS < now) return invalid('Token has expired', 'TOKEN_EXPIRED');
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE_SECONDS > now) {
+    return invalid('Token is not yet valid');
+  }
+
+  if (claims.iss !== ISSUER) return invalid('Token issuer not accepted');
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.some(aud => AUDIENCES.includes(aud))) return invalid('Token audience not accepted');
+
+  const userId = claims[USER_ID_CLAIM];
+  if (!userId) return invalid(`Token has no ${USER_ID_CLAIM} claim`);
+
+  return {
+    valid: true,
+    scopes: mapScopes(claims),
+    user: {
+      id: String(userId),
+      issuer: claims.iss,
+      email: claims.email,
+      name: claims.name,
+      tenantId: claims[TENANT_CLAIM] === undefined ? undefined : String(claims[TENANT_CLAIM]),
+    },
+  };
+}
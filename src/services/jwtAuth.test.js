@@ -0,0 +1,89 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'node:crypto';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const ISSUER = 'https://idp.example.com';
+const AUDIENCE = 'aml-api';
+
+const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const keyDir = mkdtempSync(join(tmpdir(), 'jwt-test-'));
+
+const encode = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign an ES256 token; header and payload may be any JSON text
+ */
+function token(payload, header = { alg: 'ES256', typ: 'JWT' }) {
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+const claims = (overrides = {}) => ({
+  sub: 'user-1',
+  iss: ISSUER,
+  aud: AUDIENCE,
+  exp: Math.floor(Date.now() / 1000) + 300,
+  scope: 'query:read unknown:scope',
+  ...overrides,
+});
+
+describe('verifyJwt', () => {
+  let verifyJwt;
+
+  before(async () => {
+    const keyPath = join(keyDir, 'public.pem');
+    writeFileSync(keyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+    Object.assign(process.env, { JWT_PUBLIC_KEY_PATH: keyPath, JWT_ISSUER: ISSUER, JWT_AUDIENCE: AUDIENCE });
+    ({ verifyJwt } = await import('./jwtAuth.js'));
+  });
+
+  after(() => rmSync(keyDir, { recursive: true, force: true }));
+
+  it('accepts a valid token and keeps only known scopes', () => {
+    const result = verifyJwt(token(claims()));
+    assert.equal(result.valid, true);
+    assert.equal(result.user.id, 'user-1');
+    assert.deepEqual(result.scopes, ['query:read']);
+  });
+
+  for (const [name, header, payload] of [
+    ['a null header', 'null', claims()],
+    ['a numeric header', '42', claims()],
+    ['an array header', '["ES256"]', claims()],
+    ['a null payload', undefined, 'null'],
+    ['a numeric payload', undefined, '1700000000'],
+    ['a string payload', undefined, '"sub"'],
+  ]) {
+    it(`rejects ${name} as malformed`, () => {
+      const result = verifyJwt(token(payload, header));
+      assert.deepEqual(result, { valid: false, error: 'Malformed token', code: 'INVALID_TOKEN' });
+    });
+  }
+
+  it('rejects tokens that are not three segments or not JSON', () => {
+    assert.equal(verifyJwt('abc').error, 'Malformed token');
+    assert.equal(verifyJwt('e30.bm90IGpzb24.c2ln').error, 'Malformed token');
+  });
+
+  it('rejects a tampered signature', () => {
+    const [header, , signature] = token(claims()).split('.');
+    const result = verifyJwt(`${header}.${encode(claims({ sub: 'admin' }))}.${signature}`);
+    assert.equal(result.error, 'Invalid token signature');
+  });
+
+  it('rejects algorithms outside the allowlist', () => {
+    assert.match(verifyJwt(token(claims(), { alg: 'none' })).error, /algorithm not allowed/);
+    assert.match(verifyJwt(token(claims(), { alg: 'HS256' })).error, /algorithm not allowed/);
+  });
+
+  it('checks expiry, issuer and audience', () => {
+    assert.equal(verifyJwt(token(claims({ exp: 1000 }))).code, 'TOKEN_EXPIRED');
+    assert.equal(verifyJwt(token(claims({ exp: undefined }))).error, 'Token has no expiry');
+    assert.equal(verifyJwt(token(claims({ iss: 'https://evil.example.com' }))).error, 'Token issuer not accepted');
+    assert.equal(verifyJwt(token(claims({ aud: 'other-api' }))).error, 'Token audience not accepted');
+  });
+});
@@ -0,0 +1,476 @@
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { query, transaction } from '../config/database.js';
+import { parseOfacSdnXml, parseUnConsolidatedXml, parseEuFsfCsv, parsePepCsv } from './listParsers.js';
+
+/**
+ * Sanctions and PEP list ingestion
+ * Parses local list files into normalized tables and records, per import, which
+ * entries were added, removed or changed since the previous version of the list
+ */
+
+// Configuration
+const IMPORT_TIMEOUT_MS = parseInt(process.env.LIST_IMPORT_TIMEOUT_MS, 10) || 600000;
+const INSERT_BATCH_SIZE = parseInt(process.env.LIST_IMPORT_BATCH_SIZE, 10) || 500;
+
+/**
+ * Supported lists, keyed by the list id stored in screening_lists
+ */
+export const LIST_SOURCES = {
+  'ofac-sdn': {
+    name: 'OFAC Specially Designated Nationals (SDN)',
+    category: 'sanctions',
+    parse: parseOfacSdnXml,
+    path: process.env.SANCTIONS_OFAC_SDN_PATH,
+  },
+  'un-consolidated': {
+    name: 'UN Security Council Consolidated List',
+    category: 'sanctions',
+    parse: parseUnConsolidatedXml,
+    path: process.env.SANCTIONS_UN_PATH,
+  },
+  'eu-fsf': {
+    name: 'EU Financial Sanctions Files (FSF)',
+    category: 'sanctions',
+    parse: parseEuFsfCsv,
+    path: process.env.SANCTIONS_EU_PATH,
+  },
+  // No public PEP list covers every jurisdiction, so PEPs come from a file the operator maintains
+  'pep-local': {
+    name: 'Politically Exposed Persons (local list)',
+    category: 'pep',
+    parse: parsePepCsv,
+    path: process.env.PEP_LIST_PATH,
+  },
+};
+
+const CREATE_TABLES_SQL = `
+  CREATE TABLE IF NOT EXISTS screening_lists (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    current_version_id INTEGER,
+    last_imported_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE TABLE IF NOT EXISTS screening_list_versions (
+    id SERIAL PRIMARY KEY,
+    list_id TEXT NOT NULL REFERENCES screening_lists (id) ON DELETE CASCADE,
+    source_version TEXT,
+    source_path TEXT,
+    file_hash TEXT NOT NULL,
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    added_count INTEGER NOT NULL DEFAULT 0,
+    removed_count INTEGER NOT NULL DEFAULT 0,
+    changed_count INTEGER NOT NULL DEFAULT 0,
+    duration_ms INTEGER,
+    imported_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+  CREATE TABLE IF NOT EXISTS screening_entities (
+    id BIGSERIAL PRIMARY KEY,
+    list_id TEXT NOT NULL REFERENCES screening_lists (id) ON DELETE CASCADE,
+    source_id TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    name TEXT NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    dates_of_birth TEXT[] NOT NULL DEFAULT '{}',
+    nationalities TEXT[] NOT NULL DEFAULT '{}',
+    listed_on TEXT,
+    remarks TEXT,
+    content_hash TEXT NOT NULL,
+    first_seen_version_id INTEGER NOT NULL,
+    updated_version_id INTEGER NOT NULL,
+    UNIQUE (list_id, source_id)
+  );
+  CREATE TABLE IF NOT EXISTS screening_entity_aliases (
+    entity_id BIGINT NOT NULL REFERENCES screening_entities (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    alias_type TEXT
+  );
+  CREATE TABLE IF NOT EXISTS screening_entity_identifiers (
+    entity_id BIGINT NOT NULL REFERENCES screening_entities (id) ON DELETE CASCADE,
+    id_type TEXT,
+    id_number TEXT NOT NULL,
+    country TEXT
+  );
+  CREATE TABLE IF NOT EXISTS screening_entity_addresses (
+    entity_id BIGINT NOT NULL REFERENCES screening_entities (id) ON DELETE CASCADE,
+    street TEXT,
+    city TEXT,
+    region TEXT,
+    postal_code TEXT,
+    country TEXT
+  );
+  CREATE TABLE IF NOT EXISTS screening_entity_programs (
+    entity_id BIGINT NOT NULL REFERENCES screening_entities (id) ON DELETE CASCADE,
+    program TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS screening_list_changes (
+    version_id INTEGER NOT NULL REFERENCES screening_list_versions (id) ON DELETE CASCADE,
+    list_id TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    change_type TEXT NOT NULL,
+    name TEXT
+  );
+  CREATE INDEX IF NOT EXISTS screening_entity_aliases_entity_idx ON screening_entity_aliases (entity_id);
+  CREATE INDEX IF NOT EXISTS screening_entity_identifiers_entity_idx ON screening_entity_identifiers (entity_id);
+  CREATE INDEX IF NOT EXISTS screening_entity_addresses_entity_idx ON screening_entity_addresses (entity_id);
+  CREATE INDEX IF NOT EXISTS screening_entity_programs_entity_idx ON screening_entity_programs (entity_id);
+  CREATE INDEX IF NOT EXISTS screening_list_versions_list_idx ON screening_list_versions (list_id, imported_at DESC);
+  CREATE INDEX IF NOT EXISTS screening_list_changes_version_idx ON screening_list_changes (version_id);
+`;
+
+let tablesReady = null;
+
+/**
+ * Create the list tables on first use
+ * @returns {Promise<void>}
+ */
+export function ensureListTables() {
+  if (!tablesReady) {
+    tablesReady = query(CREATE_TABLES_SQL).then(
+      () => undefined,
+      (error) => {
+        // Allow the next caller to retry
+        tablesReady = null;
+        throw error;
+      }
+    );
+  }
+  return tablesReady;
+}
+
+/**
+ * Hash the normalized entry so unchanged entries can be skipped on re-import
+ */
+function contentHash(entry) {
+  return createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Insert rows in multi-row batches
+ * @param {Object} client - Transaction client
+ * @param {string} table - Table name
+ * @param {string[]} columns - Column names
+ * @param {Array<Array>} rows - Row values, in column order
+ * @param {string} [returning] - Optional RETURNING clause
+ * @returns {Promise<Array<Object>>} Returned rows
+ */
+async function insertRows(client, table, columns, rows, returning) {
+  const returned = [];
+
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+    const params = [];
+    const values = batch.map((row) => {
+      const placeholders = row.map((value) => {
+        params.push(value);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const result = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}${returning ? ` RETURNING ${returning}` : ''}`,
+      params
+    );
+    returned.push(...result.rows);
+  }
+
+  return returned;
+}
+
+/**
+ * Update changed entities in place, so their ids stay stable across imports
+ * @param {Object} client - Transaction client
+ * @param {Array<{ entry: Object, hash: string, previous: Object }>} changed
+ * @param {number} versionId
+ */
+async function updateEntities(client, changed, versionId) {
+  for (let start = 0; start < changed.length; start += INSERT_BATCH_SIZE) {
+    const batch = changed.slice(start, start + INSERT_BATCH_SIZE).map(({ entry, hash, previous }) => ({
+      id: previous.id,
+      entity_type: entry.entityType,
+      name: entry.name,
+      first_name: entry.firstName || null,
+      last_name: entry.lastName || null,
+      dates_of_birth: entry.datesOfBirth,
+      nationalities: entry.nationalities,
+      listed_on: entry.listedOn || null,
+      remarks: entry.remarks || null,
+      content_hash: hash,
+    }));
+
+    await client.query(
+      `UPDATE screening_entities e
+       SET entity_type = c.entity_type, name = c.name, first_name = c.first_name, last_name = c.last_name,
+         dates_of_birth = c.dates_of_birth, nationalities = c.nationalities, listed_on = c.listed_on,
+         remarks = c.remarks, content_hash = c.content_hash, updated_version_id = $2
+       FROM jsonb_to_recordset($1::jsonb) AS c(id BIGINT, entity_type TEXT, name TEXT, first_name TEXT,
+         last_name TEXT, dates_of_birth TEXT[], nationalities TEXT[], listed_on TEXT, remarks TEXT, content_hash TEXT)
+       WHERE e.id = c.id`,
+      [JSON.stringify(batch), versionId]
+    );
+  }
+}
+
+/**
+ * Import one list file
+ * @param {string} listId - Key of LIST_SOURCES
+ * @param {Object} [options]
+ * @param {string} [options.path] - File path (defaults to the configured path)
+ * @param {boolean} [options.force] - Re-import even if the file is unchanged
+ * @returns {Promise<Object>} Import summary
+ */
+export async function importList(listId, { path, force = false } = {}) {
+  const source = LIST_SOURCES[listId];
+  if (!source) {
+    throw Object.assign(new Error(`Unknown list: ${listId}`), { statusCode: 400, code: 'UNKNOWN_LIST' });
+  }
+
+  const filePath = path || source.path;
+  if (!filePath) {
+    throw Object.assign(new Error(`No file path configured for list: ${listId}`), {
+      statusCode: 400,
+      code: 'LIST_PATH_NOT_CONFIGURED',
+    });
+  }
+
+  const startTime = Date.now();
+  const file = await readFile(filePath);
+  const fileHash = createHash('sha256').update(file).digest('hex');
+
+  await ensureListTables();
+
+  const summary = await transaction(async (client) => {
+    await client.query(
+      `INSERT INTO screening_lists (id, name, category) VALUES ($1, $2, $3)
+       ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, category = EXCLUDED.category`,
+      [listId, source.name, source.category]
+    );
+    // Serialize concurrent imports of the same list
+    await client.query('SELECT id FROM screening_lists WHERE id = $1 FOR UPDATE', [listId]);
+
+    const previous = await client.query(
+      `SELECT v.id, v.file_hash FROM screening_lists l
+       JOIN screening_list_versions v ON v.id = l.current_version_id
+       WHERE l.id = $1`,
+      [listId]
+    );
+
+    if (!force && previous.rows[0]?.file_hash === fileHash) {
+      return { listId, skipped: true, reason: 'File unchanged since last import', versionId: previous.rows[0].id };
+    }
+
+    const { version, entries } = source.parse(file.toString('utf8'));
+
+    // Later duplicates of a source id would violate the unique key
+    const incoming = new Map();
+    for (const entry of entries) {
+      if (entry.sourceId && entry.name && !incoming.has(entry.sourceId)) {
+        incoming.set(entry.sourceId, { entry, hash: contentHash(entry) });
+      }
+    }
+
+    const existing = new Map(
+      (await client.query(
+        'SELECT id, source_id, name, content_hash FROM screening_entities WHERE list_id = $1',
+        [listId]
+      )).rows.map((row) => [row.source_id, row])
+    );
+
+    const added = [];
+    const changed = [];
+    for (const [sourceId, item] of incoming) {
+      const current = existing.get(sourceId);
+      if (!current) {
+        added.push(item);
+      } else if (current.content_hash !== item.hash) {
+        changed.push({ ...item, previous: current });
+      }
+    }
+    const removed = [...existing.values()].filter((row) => !incoming.has(row.source_id));
+
+    const versionResult = await client.query(
+      `INSERT INTO screening_list_versions
+         (list_id, source_version, source_path, file_hash, entry_count, added_count, removed_count, changed_count)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, imported_at`,
+      [listId, version || null, filePath, fileHash, incoming.size, added.length, removed.length, changed.length]
+    );
+    const versionId = versionResult.rows[0].id;
+
+    if (removed.length > 0) {
+      await client.query('DELETE FROM screening_entities WHERE id = ANY($1::bigint[])', [removed.map((row) => row.id)]);
+    }
+
+    // Changed entities keep their id; their child rows are replaced
+    await updateEntities(client, changed, versionId);
+    const changedIds = changed.map((item) => item.previous.id);
+    if (changedIds.length > 0) {
+      for (const table of ['screening_entity_aliases', 'screening_entity_identifiers',
+        'screening_entity_addresses', 'screening_entity_programs']) {
+        await client.query(`DELETE FROM ${table} WHERE entity_id = ANY($1::bigint[])`, [changedIds]);
+      }
+    }
+
+    const inserted = await insertRows(
+      client,
+      'screening_entities',
+      ['list_id', 'source_id', 'entity_type', 'name', 'first_name', 'last_name', 'dates_of_birth',
+        'nationalities', 'listed_on', 'remarks', 'content_hash', 'first_seen_version_id', 'updated_version_id'],
+      added.map(({ entry, hash }) => [
+        listId, entry.sourceId, entry.entityType, entry.name, entry.firstName || null, entry.lastName || null,
+        entry.datesOfBirth, entry.nationalities, entry.listedOn || null, entry.remarks || null,
+        hash, versionId, versionId,
+      ]),
+      'id, source_id'
+    );
+    const entityIds = new Map([
+      ...inserted.map((row) => [row.source_id, row.id]),
+      ...changed.map(({ entry, previous }) => [entry.sourceId, previous.id]),
+    ]);
+
+    const aliases = [];
+    const identifiers = [];
+    const addresses = [];
+    const programs = [];
+    for (const { entry } of [...added, ...changed]) {
+      const entityId = entityIds.get(entry.sourceId);
+      entry.aliases.forEach((a) => aliases.push([entityId, a.name, a.type || null]));
+      entry.identifiers.forEach((i) => identifiers.push([entityId, i.type || null, i.number, i.country || null]));
+      entry.addresses.forEach((a) => addresses.push([
+        entityId, a.street || null, a.city || null, a.region || null, a.postalCode || null, a.country || null,
+      ]));
+      entry.programs.forEach((p) => programs.push([entityId, p]));
+    }
+
+    await insertRows(client, 'screening_entity_aliases', ['entity_id', 'name', 'alias_type'], aliases);
+    await insertRows(client, 'screening_entity_identifiers', ['entity_id', 'id_type', 'id_number', 'country'], identifiers);
+    await insertRows(
+      client,
+      'screening_entity_addresses',
+      ['entity_id', 'street', 'city', 'region', 'postal_code', 'country'],
+      addresses
+    );
+    await insertRows(client, 'screening_entity_programs', ['entity_id', 'program'], programs);
+
+    await insertRows(
+      client,
+      'screening_list_changes',
+      ['version_id', 'list_id', 'source_id', 'change_type', 'name'],
+      [
+        ...added.map(({ entry }) => [versionId, listId, entry.sourceId, 'added', entry.name]),
+        ...changed.map(({ entry }) => [versionId, listId, entry.sourceId, 'changed', entry.name]),
+        ...removed.map((row) => [versionId, listId, row.source_id, 'removed', row.name]),
+      ]
+    );
+
+    const durationMs = Date.now() - startTime;
+    await client.query('UPDATE screening_list_versions SET duration_ms = $2 WHERE id = $1', [versionId, durationMs]);
+    await client.query(
+      'UPDATE screening_lists SET current_version_id = $2, last_imported_at = $3 WHERE id = $1',
+      [listId, versionId, versionResult.rows[0].imported_at]
+    );
+
+    return {
+      listId,
+      skipped: false,
+      versionId,
+      sourceVersion: version || undefined,
+      entryCount: incoming.size,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      duration: `${durationMs}ms`,
+    };
+  }, IMPORT_TIMEOUT_MS, {
+    // Each statement is bounded by IMPORT_TIMEOUT_MS; the whole import may outlast the 60 s leak guard
+    releaseTimeout: 0,
+  });
+
+  console.log(JSON.stringify({
+    severity: 'INFO',
+    message: summary.skipped ? 'Sanctions list unchanged, import skipped' : 'Sanctions list imported',
+    ...summary,
+    path: filePath,
+    timestamp: new Date().toISOString(),
+  }));
+
+  return summary;
+}
+
+/**
+ * Import every list that has a configured file path
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-import even if files are unchanged
+ * @returns {Promise<Array<Object>>} One summary (or error) per list
+ */
+export async function importConfiguredLists({ force = false } = {}) {
+  const results = [];
+
+  for (const [listId, source] of Object.entries(LIST_SOURCES)) {
+    if (!source.path) continue;
+
+    try {
+      results.push(await importList(listId, { force }));
+    } catch (error) {
+      console.error(JSON.stringify({
+        severity: 'ERROR',
+        message: 'Sanctions list import failed',
+        listId,
+        path: source.path,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }));
+      results.push({ listId, error: error.message, code: error.code });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Per-list entry counts and latest import details
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getListSummaries() {
+  await ensureListTables();
+
+  const result = await query(
+    `SELECT l.id, l.name, l.category, l.last_imported_at,
+            v.id AS version_id, v.source_version, v.entry_count, v.added_count,
+            v.removed_count, v.changed_count, v.duration_ms,
+            (SELECT count(*) FROM screening_list_versions WHERE list_id = l.id) AS import_count,
+            (SELECT json_object_agg(entity_type, n) FROM (
+               SELECT entity_type, count(*) AS n FROM screening_entities
+               WHERE list_id = l.id GROUP BY entity_type
+             ) t) AS entity_types
+     FROM screening_lists l
+     LEFT JOIN screening_list_versions v ON v.id = l.current_version_id
+     ORDER BY l.id`
+  );
+
+  const imported = new Map(result.rows.map((row) => [row.id, row]));
+
+  // Configured lists that were never imported are still reported
+  return Object.entries(LIST_SOURCES).map(([id, source]) => {
+    const row = imported.get(id);
+    return {
+      id,
+      name: source.name,
+      category: source.category,
+      configured: Boolean(source.path),
+      entryCount: row?.entry_count ?? 0,
+      entityTypes: row?.entity_types || {},
+      lastImportedAt: row?.last_imported_at || null,
+      sourceVersion: row?.source_version || null,
+      versionId: row?.version_id ?? null,
+      importCount: parseInt(row?.import_count, 10) || 0,
+      lastDelta: row?.version_id
+        ? { added: row.added_count, removed: row.removed_count, changed: row.changed_count }
+        : null,
+    };
+  });
+}
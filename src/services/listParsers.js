@@ -0,0 +1,447 @@
+import { XMLParser } from 'fast-xml-parser';
+
+/**
+ * Parsers for sanctions and PEP list source files
+ * Each parser returns { version, entries } where every entry has the shape:
+ * {
+ *   sourceId, entityType: 'person' | 'entity' | 'vessel' | 'aircraft',
+ *   name, firstName?, lastName?, datesOfBirth: string[], nationalities: string[],
+ *   listedOn?, remarks?,
+ *   aliases: Array<{ name, type? }>,
+ *   identifiers: Array<{ type, number, country? }>,
+ *   addresses: Array<{ street?, city?, region?, postalCode?, country? }>,
+ *   programs: string[]
+ * }
+ */
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+});
+
+/**
+ * Normalize a parsed node that may be missing, single or repeated
+ */
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read a text node, which may carry attributes
+ */
+function text(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') value = value['#text'];
+  const str = value === undefined ? '' : String(value).trim();
+  return str || undefined;
+}
+
+function joinName(...parts) {
+  return parts.map(text).filter(Boolean).join(' ') || undefined;
+}
+
+/**
+ * Drop duplicate objects/strings and empty values
+ */
+function unique(items) {
+  const seen = new Set();
+  return items.filter((item) => {
+    if (item === undefined || item === null || item === '') return false;
+    if (typeof item === 'object' && Object.values(item).every((v) => v === undefined)) return false;
+    const key = JSON.stringify(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function emptyEntry(sourceId, entityType) {
+  return {
+    sourceId: String(sourceId),
+    entityType,
+    name: undefined,
+    firstName: undefined,
+    lastName: undefined,
+    datesOfBirth: [],
+    nationalities: [],
+    listedOn: undefined,
+    remarks: undefined,
+    aliases: [],
+    identifiers: [],
+    addresses: [],
+    programs: [],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// OFAC SDN (sdn.xml)
+// ─────────────────────────────────────────────────────────────────
+
+const OFAC_TYPES = {
+  individual: 'person',
+  entity: 'entity',
+  vessel: 'vessel',
+  aircraft: 'aircraft',
+};
+
+/**
+ * Parse the OFAC SDN XML file
+ * @param {string} xml - File contents
+ * @returns {{ version?: string, entries: Array<Object> }}
+ */
+export function parseOfacSdnXml(xml) {
+  const doc = xmlParser.parse(xml);
+  const root = doc.sdnList;
+  if (!root) {
+    throw new Error('Not an OFAC SDN file: missing <sdnList> root');
+  }
+
+  const entries = asArray(root.sdnEntry).map((sdn) => {
+    const entityType = OFAC_TYPES[text(sdn.sdnType)?.toLowerCase()] || 'entity';
+    const entry = emptyEntry(text(sdn.uid), entityType);
+
+    if (entityType === 'person') {
+      entry.firstName = text(sdn.firstName);
+      entry.lastName = text(sdn.lastName);
+    }
+    entry.name = joinName(sdn.firstName, sdn.lastName);
+    entry.remarks = text(sdn.remarks);
+    entry.programs = unique(asArray(sdn.programList?.program).map(text));
+
+    entry.aliases = unique(asArray(sdn.akaList?.aka).map((aka) => ({
+      name: joinName(aka.firstName, aka.lastName),
+      type: text(aka.category) || text(aka.type),
+    })).filter((a) => a.name));
+
+    entry.identifiers = unique(asArray(sdn.idList?.id).map((id) => ({
+      type: text(id.idType),
+      number: text(id.idNumber),
+      country: text(id.idCountry),
+    })).filter((i) => i.number));
+
+    entry.addresses = unique(asArray(sdn.addressList?.address).map((address) => ({
+      street: joinName(address.address1, address.address2, address.address3),
+      city: text(address.city),
+      region: text(address.stateOrProvince),
+      postalCode: text(address.postalCode),
+      country: text(address.country),
+    })));
+
+    entry.datesOfBirth = unique(asArray(sdn.dateOfBirthList?.dateOfBirthItem).map((d) => text(d.dateOfBirth)));
+    entry.nationalities = unique([
+      ...asArray(sdn.nationalityList?.nationality).map((n) => text(n.country)),
+      ...asArray(sdn.citizenshipList?.citizenship).map((c) => text(c.country)),
+    ]);
+
+    return entry;
+  });
+
+  return {
+    version: text(root.publshInformation?.Publish_Date),
+    entries,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// UN Security Council Consolidated List (consolidated.xml)
+// ─────────────────────────────────────────────────────────────────
+
+function unAddresses(nodes) {
+  return unique(asArray(nodes).map((address) => ({
+    street: text(address.STREET),
+    city: text(address.CITY),
+    region: text(address.STATE_PROVINCE),
+    postalCode: text(address.ZIP_CODE),
+    country: text(address.COUNTRY),
+  })));
+}
+
+function unCommon(node, entry) {
+  entry.programs = unique([text(node.UN_LIST_TYPE)]);
+  entry.listedOn = text(node.LISTED_ON);
+  entry.remarks = text(node.COMMENTS1);
+
+  const reference = text(node.REFERENCE_NUMBER);
+  if (reference) {
+    entry.identifiers.push({ type: 'UN Reference Number', number: reference, country: undefined });
+  }
+  return entry;
+}
+
+/**
+ * Parse the UN Consolidated List XML file
+ * @param {string} xml - File contents
+ * @returns {{ version?: string, entries: Array<Object> }}
+ */
+export function parseUnConsolidatedXml(xml) {
+  const doc = xmlParser.parse(xml);
+  const root = doc.CONSOLIDATED_LIST;
+  if (!root) {
+    throw new Error('Not a UN Consolidated List file: missing <CONSOLIDATED_LIST> root');
+  }
+
+  const individuals = asArray(root.INDIVIDUALS?.INDIVIDUAL).map((node) => {
+    const entry = unCommon(node, emptyEntry(text(node.DATAID), 'person'));
+
+    entry.firstName = text(node.FIRST_NAME);
+    entry.lastName = joinName(node.SECOND_NAME, node.THIRD_NAME, node.FOURTH_NAME);
+    entry.name = joinName(node.FIRST_NAME, node.SECOND_NAME, node.THIRD_NAME, node.FOURTH_NAME);
+
+    entry.aliases = unique([
+      ...asArray(node.INDIVIDUAL_ALIAS).map((alias) => ({
+        name: text(alias.ALIAS_NAME),
+        type: text(alias.QUALITY),
+      })),
+      { name: text(node.NAME_ORIGINAL_SCRIPT), type: 'original script' },
+    ].filter((a) => a.name));
+
+    entry.identifiers.push(...asArray(node.INDIVIDUAL_DOCUMENT).map((doc) => ({
+      type: text(doc.TYPE_OF_DOCUMENT),
+      number: text(doc.NUMBER),
+      country: text(doc.ISSUING_COUNTRY) || text(doc.COUNTRY_OF_ISSUE),
+    })).filter((i) => i.number));
+    entry.identifiers = unique(entry.identifiers);
+
+    entry.addresses = unAddresses(node.INDIVIDUAL_ADDRESS);
+    entry.datesOfBirth = unique(asArray(node.INDIVIDUAL_DATE_OF_BIRTH).map((d) =>
+      text(d.DATE) || text(d.YEAR) || joinName(d.FROM_YEAR, d.TO_YEAR)?.replace(' ', '-')
+    ));
+    entry.nationalities = unique(asArray(node.NATIONALITY?.VALUE).map(text));
+
+    return entry;
+  });
+
+  const entities = asArray(root.ENTITIES?.ENTITY).map((node) => {
+    const entry = unCommon(node, emptyEntry(text(node.DATAID), 'entity'));
+
+    entry.name = text(node.FIRST_NAME);
+    entry.aliases = unique(asArray(node.ENTITY_ALIAS).map((alias) => ({
+      name: text(alias.ALIAS_NAME),
+      type: text(alias.QUALITY),
+    })).filter((a) => a.name));
+    entry.addresses = unAddresses(node.ENTITY_ADDRESS);
+
+    return entry;
+  });
+
+  return {
+    version: text(root['@_dateGenerated']),
+    entries: [...individuals, ...entities],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// EU Financial Sanctions Files (CSV export)
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse delimited text into rows, honouring quoted fields
+ * @param {string} input - CSV contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]}
+ */
+export function parseCsv(input, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value !== ''));
+}
+
+/**
+ * Strip the BOM and detect the delimiter (comma or semicolon) from the header line
+ * @param {string} csv - File contents
+ * @returns {{ content: string, delimiter: string }}
+ */
+function prepareCsv(csv) {
+  const content = csv.replace(/^﻿/, '');
+  const newline = content.indexOf('\n');
+  const headerLine = newline === -1 ? content : content.slice(0, newline);
+  const delimiter = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+  return { content, delimiter };
+}
+
+const EU_TYPES = {
+  person: 'person',
+  enterprise: 'entity',
+};
+
+/**
+ * Parse the EU Financial Sanctions CSV file
+ * The file has one row per name/address/document/etc., grouped by Entity_LogicalId
+ * @param {string} csv - File contents
+ * @returns {{ version?: string, entries: Array<Object> }}
+ */
+export function parseEuFsfCsv(csv) {
+  const { content, delimiter } = prepareCsv(csv);
+  const [header, ...rows] = parseCsv(content, delimiter);
+  if (!header || !header.includes('Entity_LogicalId')) {
+    throw new Error('Not an EU Financial Sanctions file: missing Entity_LogicalId column');
+  }
+
+  const column = Object.fromEntries(header.map((name, index) => [name.trim(), index]));
+  const get = (row, name) => (column[name] === undefined ? undefined : text(row[column[name]]));
+
+  const byId = new Map();
+  let version;
+
+  for (const row of rows) {
+    const logicalId = get(row, 'Entity_LogicalId');
+    if (!logicalId) continue;
+
+    version = version || get(row, 'fileGenerationDate');
+
+    let entry = byId.get(logicalId);
+    if (!entry) {
+      const code = get(row, 'Entity_SubjectType_ClassificationCode')?.toLowerCase();
+      entry = emptyEntry(logicalId, EU_TYPES[code] || 'entity');
+      entry.listedOn = get(row, 'Entity_DesignationDate');
+      entry.remarks = get(row, 'Entity_Remark');
+      byId.set(logicalId, entry);
+    }
+
+    entry.programs.push(get(row, 'Entity_Regulation_Programme'));
+
+    const wholeName = get(row, 'NameAlias_WholeName')
+      || joinName(get(row, 'NameAlias_FirstName'), get(row, 'NameAlias_MiddleName'), get(row, 'NameAlias_LastName'));
+    if (wholeName) {
+      // The first name row is the primary name, later ones are aliases
+      if (!entry.name) {
+        entry.name = wholeName;
+        entry.firstName = get(row, 'NameAlias_FirstName');
+        entry.lastName = get(row, 'NameAlias_LastName');
+      } else if (wholeName !== entry.name) {
+        entry.aliases.push({ name: wholeName, type: get(row, 'NameAlias_NameLanguage') });
+      }
+    }
+
+    entry.identifiers.push(
+      { type: 'EU Reference Number', number: get(row, 'Entity_EU_ReferenceNumber'), country: undefined },
+      { type: 'UN Reference Number', number: get(row, 'Entity_UnitedNationId'), country: undefined },
+      {
+        type: get(row, 'Identification_TypeDescription') || get(row, 'Identification_TypeCode'),
+        number: get(row, 'Identification_Number'),
+        country: get(row, 'Identification_CountryIso2Code') || get(row, 'Identification_CountryDescription'),
+      }
+    );
+
+    entry.addresses.push({
+      street: get(row, 'Address_Street'),
+      city: get(row, 'Address_City'),
+      region: get(row, 'Address_Region'),
+      postalCode: get(row, 'Address_ZipCode'),
+      country: get(row, 'Address_CountryIso2Code') || get(row, 'Address_CountryDescription'),
+    });
+
+    entry.datesOfBirth.push(get(row, 'BirthDate_BirthDate') || get(row, 'BirthDate_Year'));
+    entry.nationalities.push(get(row, 'Citizenship_CountryIso2Code') || get(row, 'Citizenship_CountryDescription'));
+  }
+
+  const entries = [...byId.values()].map((entry) => ({
+    ...entry,
+    programs: unique(entry.programs),
+    aliases: unique(entry.aliases),
+    identifiers: unique(entry.identifiers.filter((i) => i.number)),
+    addresses: unique(entry.addresses),
+    datesOfBirth: unique(entry.datesOfBirth),
+    nationalities: unique(entry.nationalities),
+  }));
+
+  return { version, entries };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Local PEP list (CSV)
+// ─────────────────────────────────────────────────────────────────
+
+const PEP_TYPES = {
+  person: 'person',
+  individual: 'person',
+  entity: 'entity',
+  organisation: 'entity',
+  organization: 'entity',
+};
+
+/**
+ * Parse a local list of politically exposed persons
+ * One row per person with the columns id and name, and optionally type,
+ * aliases (separated by "|"), date_of_birth, nationality, position and
+ * listed_on. Column names are case-insensitive
+ * @param {string} csv - File contents
+ * @returns {{ version?: string, entries: Array<Object> }}
+ */
+export function parsePepCsv(csv) {
+  const { content, delimiter } = prepareCsv(csv);
+  const [header, ...rows] = parseCsv(content, delimiter);
+
+  const column = Object.fromEntries((header || []).map((name, index) => [name.trim().toLowerCase(), index]));
+  if (column.id === undefined || column.name === undefined) {
+    throw new Error('Not a PEP list file: missing id or name column');
+  }
+  const get = (row, name) => (column[name] === undefined ? undefined : text(row[column[name]]));
+
+  const byId = new Map();
+  for (const row of rows) {
+    const id = get(row, 'id');
+    const name = get(row, 'name');
+    if (!id || !name) continue;
+
+    const entry = emptyEntry(id, PEP_TYPES[get(row, 'type')?.toLowerCase()] || 'person');
+    entry.name = name;
+    entry.remarks = get(row, 'position');
+    entry.listedOn = get(row, 'listed_on');
+    entry.datesOfBirth = unique([get(row, 'date_of_birth')]);
+    entry.nationalities = unique([get(row, 'nationality')]);
+    entry.aliases = unique((get(row, 'aliases') || '').split('|')
+      .map((alias) => text(alias))
+      .filter((alias) => alias && alias !== name)
+      .map((alias) => ({ name: alias })));
+    entry.programs = ['PEP'];
+
+    // A repeated id replaces the earlier row
+    byId.set(id, entry);
+  }
+
+  return { version: undefined, entries: [...byId.values()] };
+}
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePepCsv } from './listParsers.js';
+
+describe('parsePepCsv', () => {
+  it('reads one person per row', () => {
+    const csv = '﻿id,Name,aliases,date_of_birth,nationality,position\n'
+      + 'kw-1,Ahmed Ali Hassan,"Ahmad Ali Hasan|Ahmed Ali Hassan| ",1961-04-12,KW,"Minister of Finance, 2019-2022"\n';
+    const { entries } = parsePepCsv(csv);
+    assert.equal(entries.length, 1);
+    assert.deepEqual(
+      (({ sourceId, entityType, name, aliases, datesOfBirth, nationalities, remarks, programs }) => (
+        { sourceId, entityType, name, aliases, datesOfBirth, nationalities, remarks, programs }
+      ))(entries[0]),
+      {
+        sourceId: 'kw-1',
+        entityType: 'person',
+        name: 'Ahmed Ali Hassan',
+        aliases: [{ name: 'Ahmad Ali Hasan' }],
+        datesOfBirth: ['1961-04-12'],
+        nationalities: ['KW'],
+        remarks: 'Minister of Finance, 2019-2022',
+        programs: ['PEP'],
+      }
+    );
+  });
+
+  it('accepts semicolon-separated files and skips rows without an id or name', () => {
+    const { entries } = parsePepCsv('id;name;type\n1;State Holding Co;organisation\n;No Id;\n2;;\n');
+    assert.deepEqual(entries.map(({ sourceId, entityType }) => ({ sourceId, entityType })), [
+      { sourceId: '1', entityType: 'entity' },
+    ]);
+  });
+
+  it('rejects files without an id or name column', () => {
+    assert.throws(() => parsePepCsv('full_name,country\nA,KW\n'), /missing id or name column/);
+    assert.throws(() => parsePepCsv(''), /missing id or name column/);
+  });
+});
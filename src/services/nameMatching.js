@@ -0,0 +1,208 @@
+/**
+ * Name matching primitives for sanctions screening
+ * Names are normalized to Latin tokens (Arabic script is transliterated), then
+ * compared token by token with Jaro-Winkler, a phonetic key and reordering
+ */
+
+// Arabic and Persian letters to Latin; short vowels are not written in Arabic
+// script, so phonetic keys (which drop vowels) carry most of the matching
+const ARABIC_TO_LATIN = {
+  'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ٱ': 'a', 'ء': '', 'ؤ': 'u', 'ئ': 'i',
+  'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd', 'ذ': 'dh',
+  'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z',
+  'ع': '', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n',
+  'ه': 'h', 'ة': 'a', 'و': 'w', 'ي': 'y', 'ى': 'a',
+  'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'گ': 'g', 'ک': 'k', 'ی': 'y',
+};
+
+// Harakat, superscript alef and tatweel
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/g;
+
+// Particles that are written inconsistently (Al-, bin, ...) and carry little identity
+const NAME_PARTICLES = new Set(['al', 'el', 'bin', 'ben', 'ibn', 'bint', 'binti', 'van', 'von', 'der', 'de', 'da']);
+
+/**
+ * Transliterate Arabic script to Latin
+ * @param {string} value
+ * @returns {string}
+ */
+export function transliterateArabic(value) {
+  return value
+    .replace(ARABIC_MARKS, '')
+    // Definite article at the start of a word
+    .replace(/(^|\s)ال/g, '$1al ')
+    .replace(/[\u0600-\u06FF]/g, (char) => ARABIC_TO_LATIN[char] ?? '');
+}
+
+/**
+ * Normalize a name to comparable lowercase tokens
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function normalizeName(name) {
+  if (!name) return [];
+
+  const latin = transliterateArabic(String(name))
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’ʿʾ`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  const tokens = [];
+  for (const token of latin.split(' ')) {
+    if (!token || NAME_PARTICLES.has(token)) continue;
+
+    // Abdel Rahman / Abdul-Rahman / Abdelrahman all become "abd rahman"
+    const abd = token.match(/^abd(?:el|ul|al|ol|ool)?(.*)$/);
+    if (abd && token !== 'abdo') {
+      tokens.push('abd');
+      if (abd[1].length > 1) tokens.push(abd[1]);
+      continue;
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Phonetic key tolerant of common transliteration variants
+ * (Mohammed / Muhammad / Mohamad, Hussein / Husain, Osama / Usama)
+ * @param {string} token - Normalized token
+ * @returns {string}
+ */
+export function phoneticKey(token) {
+  if (!token) return '';
+
+  const s = token
+    .replace(/kh/g, 'h')
+    .replace(/gh/g, 'g')
+    .replace(/[sc]h/g, 's')
+    .replace(/th/g, 't')
+    .replace(/dh/g, 'd')
+    .replace(/ph/g, 'f')
+    .replace(/ck|q|c/g, 'k')
+    .replace(/z/g, 's')
+    .replace(/x/g, 'ks')
+    .replace(/v/g, 'f');
+
+  // Leading vowels collapse to one class; later vowels and weak consonants drop
+  let key = /^[aeiou]/.test(s) ? 'a' : s[0];
+  for (const char of s.slice(1)) {
+    if ('aeiouyhw'.includes(char)) continue;
+    if (key[key.length - 1] !== char) key += char;
+  }
+
+  return key;
+}
+
+/**
+ * Jaro-Winkler similarity
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity of two normalized tokens
+ */
+function tokenSimilarity(a, b) {
+  const score = jaroWinkler(a, b);
+  const keyA = phoneticKey(a);
+  // Single-letter keys (e.g. "ali" -> "al") are too common to count as a phonetic match
+  if (keyA.length > 1 && keyA === phoneticKey(b)) {
+    return Math.max(score, 0.92);
+  }
+  return score;
+}
+
+/**
+ * Compare two token lists regardless of token order
+ * Tokens of the shorter name are paired with their best unused counterpart in
+ * the longer one; unpaired tokens of the longer name lower the score slightly
+ * @param {string[]} a - Normalized tokens
+ * @param {string[]} b - Normalized tokens
+ * @returns {number} 0..1
+ */
+export function compareTokens(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+
+  const pairs = [];
+  short.forEach((s, i) => long.forEach((l, j) => pairs.push({ i, j, score: tokenSimilarity(s, l) })));
+  pairs.sort((x, y) => y.score - x.score);
+
+  const usedShort = new Set();
+  const usedLong = new Set();
+  let weighted = 0;
+  for (const { i, j, score } of pairs) {
+    if (usedShort.has(i) || usedLong.has(j)) continue;
+    usedShort.add(i);
+    usedLong.add(j);
+    weighted += score * short[i].length;
+  }
+
+  const shortLength = short.reduce((sum, t) => sum + t.length, 0);
+  const longLength = long.reduce((sum, t) => sum + t.length, 0);
+  const pairedLength = [...usedLong].reduce((sum, j) => sum + long[j].length, 0);
+
+  const tokenScore = (weighted / shortLength) * (0.85 + 0.15 * (pairedLength / longLength));
+
+  // Whole-name comparison catches split/merged tokens ("abdulaziz" vs "abdul aziz")
+  const joinedScore = jaroWinkler([...a].sort().join(''), [...b].sort().join(''));
+
+  return Math.max(tokenScore, joinedScore * 0.95);
+}
+
+/**
+ * Compare two raw names
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function compareNames(a, b) {
+  return compareTokens(normalizeName(a), normalizeName(b));
+}
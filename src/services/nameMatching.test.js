@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeName, phoneticKey, jaroWinkler, compareNames } from './nameMatching.js';
+
+describe('normalizeName', () => {
+  it('drops particles, accents and punctuation', () => {
+    assert.deepEqual(normalizeName('José  Müller'), ['jose', 'muller']);
+    assert.deepEqual(normalizeName('Abdel-Rahman Al Hassan'), ['abd', 'rahman', 'hassan']);
+  });
+
+  it('returns no tokens for an empty name', () => {
+    assert.deepEqual(normalizeName(''), []);
+    assert.deepEqual(normalizeName(undefined), []);
+  });
+});
+
+describe('phoneticKey', () => {
+  it('gives transliteration variants the same key', () => {
+    assert.equal(phoneticKey('mohammed'), phoneticKey('muhammad'));
+    assert.equal(phoneticKey('osama'), phoneticKey('usama'));
+    assert.equal(phoneticKey('hussein'), phoneticKey('husain'));
+  });
+});
+
+describe('jaroWinkler', () => {
+  it('scores identical, similar and empty strings', () => {
+    assert.equal(jaroWinkler('martha', 'martha'), 1);
+    assert.ok(Math.abs(jaroWinkler('martha', 'marhta') - 0.961) < 0.001);
+    assert.equal(jaroWinkler('', 'martha'), 0);
+  });
+});
+
+describe('compareNames', () => {
+  it('matches spelling variants, reordered and split names', () => {
+    assert.ok(compareNames('Usama bin Ladin', 'Osama bin Laden') > 0.9);
+    assert.equal(compareNames('Hassan Ali', 'Ali Hassan'), 1);
+    assert.equal(compareNames('Abdulaziz Saleh', 'Abdul Aziz Saleh'), 1);
+  });
+
+  it('matches Arabic script against its transliteration', () => {
+    assert.ok(compareNames('محمد حسين', 'Mohammed Hussein') > 0.9);
+  });
+
+  it('scores unrelated names low', () => {
+    assert.ok(compareNames('John Smith', 'Maria Garcia') < 0.5);
+  });
+});
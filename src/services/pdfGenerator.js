@@ -1,7 +1,7 @@
-import { chromium } from 'playwright';
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { withPage } from './browserPool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -536,123 +536,46 @@ export async function generateReceiptPDF(receiptData) {
 </html>
   `;
 
-  // Launch browser and generate PDF
-  let page = null;
-  let browser = null;
-  
+  // Render PDF on a pooled browser
   try {
-    // With Playwright's official Docker image, browsers are pre-installed
-    // Playwright will automatically find them - no need to set executablePath
-    console.log(
-      JSON.stringify({
-        severity: 'INFO',
-        message: 'Launching Chromium browser (using Playwright official image)',
-        timestamp: new Date().toISOString(),
-      })
-    );
-
-    // Launch a new browser instance for each request (more reliable)
-    // Playwright will use the pre-installed browser from the official image
-    const launchOptions = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--disable-background-networking',
-        '--disable-background-timer-throttling',
-        '--disable-renderer-backgrounding',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-breakpad',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--no-pings',
-        '--no-zygote',
-        '--single-process', // Use single process mode for better stability
-      ],
-      timeout: 30000,
-    };
-
-    browser = await chromium.launch(launchOptions);
+    return await withPage(async (page) => {
+      // Set a reasonable timeout for content loading
+      await page.setContent(html, {
+        waitUntil: 'networkidle', // Wait for fonts to load
+        timeout: 30000,
+      });
 
-    page = await browser.newPage({
-      timeout: 30000,
-    });
+      // Wait for fonts to be fully loaded
+      await page.waitForTimeout(1000);
 
-    // Set a reasonable timeout for content loading
-    await page.setContent(html, {
-      waitUntil: 'networkidle', // Wait for fonts to load
-      timeout: 30000,
-    });
-
-    // Wait for fonts to be fully loaded
-    await page.waitForTimeout(1000);
-    
-    // Ensure fonts are loaded by checking font-family
-    await page.evaluate(() => {
-      return document.fonts.ready;
-    });
+      // Ensure fonts are loaded by checking font-family
+      await page.evaluate(() => {
+        return document.fonts.ready;
+      });
 
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '40px',
-        right: '50px',
-        bottom: '80px',
-        left: '50px',
-      },
-      preferCSSPageSize: false,
-      displayHeaderFooter: true,
-      headerTemplate: '<div></div>',
-      footerTemplate: '<div style="width: 100%; text-align: center; font-size: 12px; color: #6b7280; padding: 10px 0;">Generated By : AML KW</div>',
-      timeout: 30000,
+      return page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '40px',
+          right: '50px',
+          bottom: '80px',
+          left: '50px',
+        },
+        preferCSSPageSize: false,
+        displayHeaderFooter: true,
+        headerTemplate: '<div></div>',
+        footerTemplate: '<div style="width: 100%; text-align: center; font-size: 12px; color: #6b7280; padding: 10px 0;">Generated By : AML KW</div>',
+        timeout: 30000,
+      });
     });
-
-    // Close page immediately after PDF generation, before browser
-    // This prevents context disposal errors
-    try {
-      await page.close();
-      page = null; // Mark as closed
-    } catch (e) {
-      // Ignore - page might already be closing
-    }
-
-    return pdfBuffer;
   } catch (error) {
+    // Pool errors (renderer busy / shutting down) already carry an HTTP status
+    if (error.statusCode) throw error;
+
     // Re-throw with more context
     const errorMessage = error.message || 'Unknown error';
     throw new Error(`PDF generation failed: ${errorMessage}`);
-  } finally {
-    // Ensure cleanup happens in correct order
-    // Close page first (if not already closed), then browser
-    // Errors are expected if context is already disposed, so we catch and ignore them
-    
-    if (page) {
-      try {
-        await page.close().catch(() => {
-          // Silently ignore - page context might already be disposed
-        });
-      } catch (e) {
-        // Ignore all errors - context might already be disposed
-      }
-    }
-    
-    if (browser) {
-      try {
-        await browser.close().catch(() => {
-          // Silently ignore - browser might already be closed
-        });
-      } catch (e) {
-        // Ignore all errors
-      }
-    }
   }
 }
 
@@ -0,0 +1,383 @@
+import fs from 'fs';
+import path from 'path';
+import { parseSql } from './sqlParser.js';
+import { SCOPES } from './apiKeys.js';
+import { cursorColumns, keysetCondition } from './cursorPagination.js';
+
+/**
+ * Named query catalog
+ * Queries are defined server-side in JSON files under QUERY_CATALOG_PATH, kept
+ * in version control, and called by name through POST /api/queries/:name:
+ * {
+ *   "name": "cases.byStatus",
+ *   "version": 3,
+ *   "description": "Open cases for the dashboard",
+ *   "sql": "SELECT id, status FROM cases WHERE status = $1 LIMIT $2",
+ *   "params": [
+ *     { "name": "status", "type": "string", "enum": ["open", "closed"] },
+ *     { "name": "limit", "type": "integer", "min": 1, "max": 500, "default": 50 }
+ *   ],
+ *   "scope": "queries:run",
+ *   "cacheTtlSeconds": 60,
+ *   "timeoutMs": 10000,
+ *   "keyset": {                        // optional cursor pagination
+ *     "orderBy": [{ "column": "opened_at", "direction": "desc" }],
+ *     "tieBreaker": "id",
+ *     "pageSize": 50,
+ *     "maxPageSize": 500
+ *   }
+ * }
+ * A file holds one definition or an array of them. Parameters map to $1..$n in
+ * order and are required unless they have a default or "required": false
+ */
+
+// Configuration
+const QUERY_CATALOG_PATH = process.env.QUERY_CATALOG_PATH;
+const QUERY_CACHE_MAX_ENTRIES = parseInt(process.env.QUERY_CACHE_MAX_ENTRIES, 10) || 1000;
+
+const DEFAULT_SCOPE = 'queries:run';
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+const PARAM_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+const MAX_STRING_LENGTH = 10000;
+const MAX_ARRAY_LENGTH = 1000;
+const MAX_PAGE_SIZE = 1000;
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Value checks per parameter type; each returns an error message or null
+ */
+const PARAM_TYPES = {
+  string: (value, spec) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length > (spec.maxLength || MAX_STRING_LENGTH)) {
+      return `must be at most ${spec.maxLength || MAX_STRING_LENGTH} characters`;
+    }
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) return `must match ${spec.pattern}`;
+    return null;
+  },
+  integer: (value, spec) => (Number.isSafeInteger(value) ? checkRange(value, spec) : 'must be an integer'),
+  number: (value, spec) => (typeof value === 'number' && Number.isFinite(value)
+    ? checkRange(value, spec)
+    : 'must be a number'),
+  boolean: (value) => (typeof value === 'boolean' ? null : 'must be a boolean'),
+  uuid: (value) => (typeof value === 'string' && UUID_PATTERN.test(value) ? null : 'must be a UUID'),
+  date: (value) => (typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime())
+    ? null
+    : 'must be a date (YYYY-MM-DD)'),
+  timestamp: (value) => (typeof value === 'string' && !isNaN(new Date(value).getTime())
+    ? null
+    : 'must be an ISO 8601 timestamp'),
+};
+
+function checkRange(value, spec) {
+  if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+  if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+  return null;
+}
+
+function checkValue(value, type, spec) {
+  if (spec.enum && !spec.enum.includes(value)) return `must be one of: ${spec.enum.join(', ')}`;
+  return PARAM_TYPES[type](value, spec);
+}
+
+/**
+ * Check a value against a parameter spec; `type[]` accepts an array of `type`
+ * @returns {string|null} Error message
+ */
+function checkParam(value, spec) {
+  if (!spec.type.endsWith('[]')) return checkValue(value, spec.type, spec);
+
+  if (!Array.isArray(value)) return 'must be an array';
+  const maxItems = spec.maxItems || MAX_ARRAY_LENGTH;
+  if (value.length > maxItems) return `must have at most ${maxItems} items`;
+
+  for (let i = 0; i < value.length; i++) {
+    const error = checkValue(value[i], spec.type.slice(0, -2), spec);
+    if (error) return `[${i}] ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Sort keys and page sizes for a definition's cursor pagination
+ * The query's output is paged as a subquery, so the keys must be output columns
+ */
+function compileKeyset(keyset, statement, where) {
+  if (statement.type !== 'select') {
+    throw new Error(`${where}: keyset pagination needs a SELECT`);
+  }
+
+  const entries = [...(keyset.orderBy || [])];
+  const tieBreaker = keyset.tieBreaker || 'id';
+  if (!entries.some((entry) => entry.column === tieBreaker)) {
+    entries.push({ column: tieBreaker });
+  }
+
+  const keys = entries.map((entry) => {
+    const direction = String(entry.direction || 'asc').toUpperCase();
+    const nulls = entry.nulls === undefined ? '' : String(entry.nulls).toUpperCase();
+    if (!COLUMN_PATTERN.test(entry.column) || !['ASC', 'DESC'].includes(direction)
+      || (nulls && !['FIRST', 'LAST'].includes(nulls))) {
+      throw new Error(`${where}: invalid keyset orderBy entry ${JSON.stringify(entry)}`);
+    }
+    return { column: `"${entry.column}"`, direction, nulls };
+  });
+
+  const maxPageSize = keyset.maxPageSize || MAX_PAGE_SIZE;
+  const pageSize = keyset.pageSize || Math.min(100, maxPageSize);
+  if (!Number.isInteger(maxPageSize) || maxPageSize < 1 || maxPageSize > MAX_PAGE_SIZE
+    || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxPageSize) {
+    throw new Error(`${where}: keyset pageSize and maxPageSize must be integers between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return { keys, pageSize, maxPageSize };
+}
+
+/**
+ * Validate one definition and derive what execution needs
+ * Throws on an invalid definition so a bad catalog fails at startup
+ */
+function compileDefinition(definition, file) {
+  const where = `${file}: ${definition?.name || '(unnamed)'}`;
+
+  if (!definition || typeof definition !== 'object' || !NAME_PATTERN.test(definition.name)) {
+    throw new Error(`${where}: name must be 1-100 characters of [A-Za-z0-9_.-]`);
+  }
+  if (typeof definition.sql !== 'string' || !definition.sql.trim()) {
+    throw new Error(`${where}: sql is required`);
+  }
+
+  const scope = definition.scope || DEFAULT_SCOPE;
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`${where}: unknown scope ${scope}`);
+  }
+
+  const analysis = parseSql(definition.sql);
+  if (!analysis.valid) {
+    throw new Error(`${where}: ${analysis.error}`);
+  }
+  if (analysis.statements.length !== 1) {
+    throw new Error(`${where}: sql must be a single statement`);
+  }
+  const [statement] = analysis.statements;
+
+  const params = definition.params || [];
+  if (!Array.isArray(params)) {
+    throw new Error(`${where}: params must be an array`);
+  }
+  const seen = new Set();
+  for (const spec of params) {
+    if (!PARAM_NAME_PATTERN.test(spec?.name) || seen.has(spec.name)) {
+      throw new Error(`${where}: parameter names must be unique identifiers`);
+    }
+    seen.add(spec.name);
+    if (!Object.hasOwn(PARAM_TYPES, String(spec.type).replace(/\[\]$/, ''))) {
+      throw new Error(`${where}: parameter ${spec.name} has unknown type ${spec.type}`);
+    }
+    if (spec.enum !== undefined && !Array.isArray(spec.enum)) {
+      throw new Error(`${where}: parameter ${spec.name} enum must be an array`);
+    }
+    if (spec.default !== undefined && checkParam(spec.default, spec)) {
+      throw new Error(`${where}: parameter ${spec.name} default ${checkParam(spec.default, spec)}`);
+    }
+  }
+  if (statement.paramCount !== params.length) {
+    throw new Error(`${where}: sql uses ${statement.paramCount} placeholder(s) but ${params.length} params are declared`);
+  }
+
+  const cacheTtlSeconds = definition.cacheTtlSeconds || 0;
+  if (!Number.isInteger(cacheTtlSeconds) || cacheTtlSeconds < 0) {
+    throw new Error(`${where}: cacheTtlSeconds must be a non-negative integer`);
+  }
+  if (cacheTtlSeconds > 0 && !statement.readOnly) {
+    throw new Error(`${where}: only read-only queries can be cached`);
+  }
+
+  return {
+    name: definition.name,
+    version: definition.version ?? null,
+    description: definition.description,
+    // Without a trailing semicolon, so keyset pages can wrap it in a subquery
+    sql: definition.sql.trim().replace(/;+$/, ''),
+    params,
+    scope,
+    statementType: statement.type,
+    readOnly: statement.readOnly,
+    cacheTtlMs: cacheTtlSeconds * 1000,
+    timeoutMs: parseInt(definition.timeoutMs, 10) || undefined,
+    keyset: definition.keyset === undefined ? null : compileKeyset(definition.keyset, statement, where),
+    file,
+  };
+}
+
+/**
+ * Load every *.json file in QUERY_CATALOG_PATH (a directory or a single file)
+ */
+function loadCatalog() {
+  const catalog = new Map();
+  if (!QUERY_CATALOG_PATH) return catalog;
+
+  const files = fs.statSync(QUERY_CATALOG_PATH).isDirectory()
+    ? fs.readdirSync(QUERY_CATALOG_PATH)
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map((file) => path.join(QUERY_CATALOG_PATH, file))
+    : [QUERY_CATALOG_PATH];
+
+  for (const file of files) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const definition of Array.isArray(parsed) ? parsed : [parsed]) {
+      const compiled = compileDefinition(definition, path.basename(file));
+      if (catalog.has(compiled.name)) {
+        throw new Error(`Named query ${compiled.name} is defined in both ${catalog.get(compiled.name).file} and ${compiled.file}`);
+      }
+      catalog.set(compiled.name, compiled);
+    }
+  }
+
+  console.log(JSON.stringify({
+    severity: 'INFO',
+    message: 'Query catalog loaded',
+    path: QUERY_CATALOG_PATH,
+    queries: catalog.size,
+    timestamp: new Date().toISOString(),
+  }));
+
+  return catalog;
+}
+
+const catalog = loadCatalog();
+// cache key -> { result, expiresAt }
+const resultCache = new Map();
+
+/**
+ * Look up a named query
+ * @param {string} name
+ * @returns {Object|undefined} Compiled definition
+ */
+export function getNamedQuery(name) {
+  return catalog.get(name);
+}
+
+/**
+ * All named queries
+ * @returns {Object[]}
+ */
+export function listNamedQueries() {
+  return [...catalog.values()];
+}
+
+/**
+ * Validate request parameters against a definition and order them for the SQL
+ * @param {Object} definition - Compiled definition
+ * @param {Object} [input] - { paramName: value }
+ * @returns {{ valid: boolean, values?: any[], error?: string }}
+ */
+export function bindParams(definition, input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'params must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter((key) => !definition.params.some((spec) => spec.name === key));
+  if (unknown.length > 0) {
+    return { valid: false, error: `Unknown parameter(s): ${unknown.join(', ')}` };
+  }
+
+  const values = [];
+  for (const spec of definition.params) {
+    const value = input[spec.name] ?? spec.default;
+    if (value === undefined || value === null) {
+      if (spec.required === false) {
+        values.push(null);
+        continue;
+      }
+      return { valid: false, error: `Parameter ${spec.name} is required` };
+    }
+
+    const error = checkParam(value, spec);
+    if (error) {
+      return { valid: false, error: `Parameter ${spec.name} ${error}` };
+    }
+    values.push(value);
+  }
+
+  return { valid: true, values };
+}
+
+/**
+ * SQL for one page of a keyset-paginated query
+ * @param {Object} definition - Compiled definition with `keyset`
+ * @param {any[]} values - Bound parameters
+ * @param {Array<string|null>|null} after - Decoded cursor values, null for the first page
+ * @param {number} limit - Page size
+ * @returns {{ sql: string, values: any[] }}
+ */
+export function pageQuery(definition, values, after, limit) {
+  const { keys } = definition.keyset;
+  const condition = after ? keysetCondition(keys, after, values.length + 1) : null;
+  const orderBy = keys.map(({ column, direction, nulls }) => `${column} ${direction}${nulls ? ` NULLS ${nulls}` : ''}`);
+
+  return {
+    sql: `
+      SELECT q.*, ${cursorColumns(keys).join(', ')}
+      FROM (${definition.sql}) AS q
+      ${condition ? `WHERE ${condition.sql}` : ''}
+      ORDER BY ${orderBy.join(', ')}
+      LIMIT ${limit}
+    `,
+    values: condition ? [...values, ...condition.values] : values,
+  };
+}
+
+/**
+ * Cached result for a read-only query, if still fresh
+ * @param {string} key - From resultCacheKey
+ */
+export function getCachedResult(key) {
+  const entry = resultCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    resultCache.delete(key);
+    return undefined;
+  }
+  return entry.result;
+}
+
+/**
+ * Cache a result for the definition's TTL
+ * Evicts the oldest entries once QUERY_CACHE_MAX_ENTRIES is reached
+ */
+export function setCachedResult(key, definition, result) {
+  if (!definition.cacheTtlMs) return;
+
+  if (resultCache.size >= QUERY_CACHE_MAX_ENTRIES) {
+    const now = Date.now();
+    for (const [cachedKey, entry] of resultCache) {
+      if (entry.expiresAt <= now) resultCache.delete(cachedKey);
+    }
+    while (resultCache.size >= QUERY_CACHE_MAX_ENTRIES) {
+      resultCache.delete(resultCache.keys().next().value);
+    }
+  }
+
+  resultCache.set(key, { result, expiresAt: Date.now() + definition.cacheTtlMs });
+}
+
+/**
+ * Cache key for a call: results are only shared between calls with the same
+ * query version, parameters and session context (key, user, tenant), since
+ * row-level security can make results differ per caller
+ */
+export function resultCacheKey(definition, values, context) {
+  return JSON.stringify([
+    definition.name,
+    definition.version,
+    context.apiKey,
+    context.userId,
+    context.tenantId,
+    values,
+  ]);
+}
@@ -0,0 +1,52 @@
+import { parseSql } from './sqlParser.js';
+
+/**
+ * Query plans
+ * Runs EXPLAIN (FORMAT JSON) and reads the planner's estimates off the top
+ * plan node: total cost (in the planner's abstract units) and row count
+ */
+
+// Statements EXPLAIN accepts
+const EXPLAINABLE_STATEMENTS = new Set(['select', 'insert', 'update', 'delete', 'merge']);
+
+/**
+ * Whether SQL is a single statement EXPLAIN can plan
+ * @param {string} sql
+ * @returns {boolean}
+ */
+export function isExplainable(sql) {
+  if (!sql || typeof sql !== 'string') return false;
+
+  const analysis = parseSql(sql);
+  return analysis.valid && analysis.statements.length === 1
+    && EXPLAINABLE_STATEMENTS.has(analysis.statements[0].type);
+}
+
+/**
+ * Plan a statement
+ * With analyze the statement really runs; call inside a transaction that is
+ * rolled back when it writes
+ * @param {pg.PoolClient} client
+ * @param {string} sql - A statement accepted by isExplainable
+ * @param {any[]} [params]
+ * @param {Object} [options]
+ * @param {boolean} [options.analyze] - EXPLAIN ANALYZE: actual rows and timings
+ * @returns {Promise<{ plan: Object, totalCost: number, planRows: number, actualRows?: number,
+ *   planningTime?: number, executionTime?: number }>}
+ */
+export async function explainStatement(client, sql, params = [], { analyze = false } = {}) {
+  const { rows } = await client.query(
+    `EXPLAIN (FORMAT JSON${analyze ? ', ANALYZE, BUFFERS' : ''}) ${sql.trim().replace(/;+$/, '')}`,
+    params
+  );
+  const [output] = rows[0]['QUERY PLAN'];
+
+  return {
+    plan: output.Plan,
+    totalCost: output.Plan['Total Cost'],
+    planRows: output.Plan['Plan Rows'],
+    actualRows: analyze ? output.Plan['Actual Rows'] : undefined,
+    planningTime: output['Planning Time'],
+    executionTime: output['Execution Time'],
+  };
+}
@@ -0,0 +1,301 @@
+import { isExplainable, explainStatement } from './queryPlan.js';
+
+/**
+ * Per-credential query policies
+ * A policy limits what a key or token may do through /api/query:
+ * {
+ *   statements: 'select' | 'dml' | 'none',          // read-only, read/write, or no query access
+ *   tables?: { [table]: string[] | '*' },           // table or schema.table -> allowed columns
+ *   maxRows?: number,                               // rows a statement may return or change
+ *   maxCost?: number,                               // planner's estimated total cost, checked before running
+ *   maxEstimatedRows?: number                       // planner's estimated row count, checked before running
+ * }
+ * Credentials without a policy are only limited by their scopes
+ */
+
+// Statement types each policy level permits
+const STATEMENT_CLASSES = {
+  select: ['select'],
+  dml: ['select', 'insert', 'update', 'delete', 'merge'],
+  none: [],
+};
+
+const MAX_POLICY_ROWS = 1000000;
+const POLICY_FIELDS = ['statements', 'tables', 'maxRows', 'maxCost', 'maxEstimatedRows'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_$]*(\.[A-Za-z_][A-Za-z0-9_$]*)?$/;
+
+/**
+ * Validate a policy document
+ * @param {unknown} policy
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateQueryPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'queryPolicy must be an object' };
+  }
+
+  const unknownFields = Object.keys(policy).filter((key) => !POLICY_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    return { valid: false, error: `Unknown queryPolicy field(s): ${unknownFields.join(', ')}` };
+  }
+
+  if (!Object.hasOwn(STATEMENT_CLASSES, policy.statements)) {
+    return { valid: false, error: `queryPolicy.statements must be one of: ${Object.keys(STATEMENT_CLASSES).join(', ')}` };
+  }
+
+  if (policy.tables !== undefined) {
+    if (!policy.tables || typeof policy.tables !== 'object' || Array.isArray(policy.tables)) {
+      return { valid: false, error: 'queryPolicy.tables must map table names to column arrays or "*"' };
+    }
+    for (const [table, columns] of Object.entries(policy.tables)) {
+      if (!IDENTIFIER_PATTERN.test(table)) {
+        return { valid: false, error: `Invalid table name in queryPolicy.tables: ${table}` };
+      }
+      const validColumns = columns === '*'
+        || (Array.isArray(columns) && columns.every((col) => col === '*' || IDENTIFIER_PATTERN.test(col)));
+      if (!validColumns) {
+        return { valid: false, error: `queryPolicy.tables.${table} must be an array of column names or "*"` };
+      }
+    }
+  }
+
+  if (policy.maxRows !== undefined
+    && (!Number.isInteger(policy.maxRows) || policy.maxRows < 1 || policy.maxRows > MAX_POLICY_ROWS)) {
+    return { valid: false, error: `queryPolicy.maxRows must be an integer between 1 and ${MAX_POLICY_ROWS}` };
+  }
+
+  for (const field of ['maxCost', 'maxEstimatedRows']) {
+    if (policy[field] !== undefined && !(typeof policy[field] === 'number' && Number.isFinite(policy[field]) && policy[field] > 0)) {
+      return { valid: false, error: `queryPolicy.${field} must be a positive number` };
+    }
+  }
+
+  return { valid: true };
+}
+
+function denied(error, code, position) {
+  return { valid: false, error, code, position };
+}
+
+function describe(relation) {
+  return relation.schema ? `${relation.schema}.${relation.name}` : relation.name;
+}
+
+/**
+ * Columns the policy grants on a relation; undefined if the table is not listed
+ */
+function grantedColumns(policy, { schema, name }) {
+  const tables = policy.tables;
+  const columns = !schema || schema === 'public'
+    ? tables[name] ?? tables[`public.${name}`]
+    : tables[`${schema}.${name}`];
+
+  if (columns === undefined) return undefined;
+  return columns === '*' ? ['*'] : columns;
+}
+
+function allowsColumn(policy, relation, column) {
+  if (!policy.tables) return true;
+  const columns = grantedColumns(policy, relation) || [];
+  return columns.includes('*') || (column !== '*' && columns.includes(column));
+}
+
+/**
+ * Check one statement's column references against the policy
+ * Qualified columns are resolved through table aliases; unqualified ones must be
+ * granted on at least one table the statement reads (or be an output alias).
+ * `*` needs every table granted with "*"
+ */
+function checkColumns(policy, { columns, targetColumns, relations, aliases, derived, outputNames }) {
+  for (const column of targetColumns) {
+    if (!allowsColumn(policy, column.table, column.name)) {
+      return denied(`Column '${column.name}' of '${describe(column.table)}' is not permitted for this key`,
+        'COLUMN_NOT_PERMITTED', column.position);
+    }
+  }
+
+  for (const column of columns) {
+    if (column.qualifier) {
+      const relation = aliases.get(column.qualifier);
+      if (!relation) {
+        // Columns of CTEs and subqueries were checked where they were read
+        if (derived.has(column.qualifier)) continue;
+        return denied(`Cannot resolve '${column.qualifier}.${column.name}'`, 'COLUMN_NOT_PERMITTED', column.position);
+      }
+      if (!allowsColumn(policy, relation, column.name)) {
+        return denied(`Column '${column.name}' of '${describe(relation)}' is not permitted for this key`,
+          'COLUMN_NOT_PERMITTED', column.position);
+      }
+      continue;
+    }
+
+    if (column.name === '*') {
+      const restricted = relations.find((relation) => !allowsColumn(policy, relation, '*'));
+      if (restricted) {
+        return denied(`SELECT * is not permitted on '${describe(restricted)}' for this key; list the columns`,
+          'COLUMN_NOT_PERMITTED', column.position);
+      }
+      continue;
+    }
+
+    // A bare table name or alias refers to the whole row
+    const wholeRow = aliases.get(column.name);
+    if (wholeRow) {
+      if (!allowsColumn(policy, wholeRow, '*')) {
+        return denied(`Whole-row access to '${describe(wholeRow)}' is not permitted for this key`,
+          'COLUMN_NOT_PERMITTED', column.position);
+      }
+      continue;
+    }
+
+    if (outputNames.has(column.name)) continue;
+    if (!relations.some((relation) => allowsColumn(policy, relation, column.name))) {
+      return denied(`Column '${column.name}' is not permitted for this key`, 'COLUMN_NOT_PERMITTED', column.position);
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Check a statement's type against a credential's policy
+ * @param {Object|null} policy - Credential policy (no policy allows everything)
+ * @param {{ type: string, readOnly: boolean, position?: number }} statement - A parseSql statement
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+export function checkStatementPolicy(policy, statement) {
+  if (!policy) return { valid: true };
+
+  const allowed = policy.statements === 'select'
+    ? statement.readOnly
+    : STATEMENT_CLASSES[policy.statements].includes(statement.type);
+  if (!allowed) {
+    return denied(
+      `${statement.type.toUpperCase().replace(/_/g, ' ')} is not permitted for this key (policy: ${policy.statements})`,
+      'STATEMENT_NOT_PERMITTED',
+      statement.position
+    );
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Check parsed raw SQL against a credential's policy
+ * @param {Object|null} policy - Credential policy (no policy allows everything)
+ * @param {Object} analysis - Result of parseSql
+ * @returns {{ valid: boolean, error?: string, code?: string, position?: number }}
+ */
+export function checkQueryPolicy(policy, analysis) {
+  if (!policy) return { valid: true };
+
+  for (const statement of analysis.statements) {
+    const statementCheck = checkStatementPolicy(policy, statement);
+    if (!statementCheck.valid) return statementCheck;
+
+    if (!policy.tables) continue;
+
+    const table = statement.scope.relations.find((relation) => grantedColumns(policy, relation) === undefined);
+    if (table) {
+      return denied(`Table '${describe(table)}' is not permitted for this key`, 'TABLE_NOT_PERMITTED', table.position);
+    }
+
+    const columnCheck = checkColumns(policy, statement.scope);
+    if (!columnCheck.valid) return columnCheck;
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Check a select/insert/update/delete helper request against a credential's policy
+ * @param {Object|null} policy - Credential policy
+ * @param {Object} request
+ * @param {string} request.type - select | insert | update | delete
+ * @param {string} request.table - Table name, optionally schema-qualified
+ * @param {string[]} request.columns - Columns read, written, filtered on or returned
+ * @returns {{ valid: boolean, error?: string, code?: string }}
+ */
+export function checkHelperPolicy(policy, { type, table, columns }) {
+  if (!policy) return { valid: true };
+
+  if (!STATEMENT_CLASSES[policy.statements].includes(type)) {
+    return denied(`${type.toUpperCase()} is not permitted for this key (policy: ${policy.statements})`,
+      'STATEMENT_NOT_PERMITTED');
+  }
+
+  if (!policy.tables || typeof table !== 'string') return { valid: true };
+
+  const [schema, name] = table.includes('.') ? table.split('.') : [undefined, table];
+  const relation = { schema, name };
+  if (grantedColumns(policy, relation) === undefined) {
+    return denied(`Table '${table}' is not permitted for this key`, 'TABLE_NOT_PERMITTED');
+  }
+
+  const column = columns.find((col) => !allowsColumn(policy, relation, col));
+  if (column) {
+    return denied(
+      column === '*'
+        ? `${type === 'select' ? 'SELECT' : 'RETURNING'} * is not permitted on '${table}' for this key; list the columns`
+        : `Column '${column}' of '${table}' is not permitted for this key`,
+      'COLUMN_NOT_PERMITTED'
+    );
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Throw if a statement returned or changed more rows than the policy allows
+ * Called inside the transaction, so an oversized write is rolled back
+ * @param {Object|null} policy - Credential policy
+ * @param {pg.QueryResult} result
+ * @returns {pg.QueryResult}
+ */
+export function enforceRowLimit(policy, result) {
+  const rows = Math.max(result.rowCount || 0, result.rows?.length || 0);
+  if (policy?.maxRows && rows > policy.maxRows) {
+    const error = new Error(`Statement ${result.command === 'SELECT' ? 'returned' : 'affected'} ${rows} rows; this key is limited to ${policy.maxRows}`);
+    error.code = 'ROW_LIMIT_EXCEEDED';
+    error.statusCode = 403;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Reject a statement the planner expects to be too expensive, before it runs
+ * Only for policies with maxCost or maxEstimatedRows; statements EXPLAIN can't
+ * plan (several statements, utility commands) are rejected, as their cost is unknown
+ * @param {Object|null} policy - Credential policy
+ * @param {pg.PoolClient} client - Client the statement will run on
+ * @param {string} sql
+ * @param {any[]} [params]
+ */
+export async function enforceQueryCost(policy, client, sql, params = []) {
+  if (!policy?.maxCost && !policy?.maxEstimatedRows) return;
+
+  if (!isExplainable(sql)) {
+    const error = new Error('This key has cost limits; only a single SELECT, INSERT, UPDATE, DELETE or MERGE can be estimated and run');
+    error.code = 'QUERY_COST_UNKNOWN';
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const { totalCost, planRows } = await explainStatement(client, sql, params);
+  const tooCostly = policy.maxCost && totalCost > policy.maxCost;
+  if (tooCostly || (policy.maxEstimatedRows && planRows > policy.maxEstimatedRows)) {
+    const error = new Error(tooCostly
+      ? `Estimated query cost ${totalCost} exceeds this key's limit of ${policy.maxCost}`
+      : `Estimated ${planRows} rows exceeds this key's limit of ${policy.maxEstimatedRows}`);
+    error.code = 'QUERY_TOO_EXPENSIVE';
+    error.statusCode = 403;
+    error.details = {
+      estimatedCost: totalCost,
+      estimatedRows: planRows,
+      maxCost: policy.maxCost,
+      maxEstimatedRows: policy.maxEstimatedRows,
+    };
+    throw error;
+  }
+}
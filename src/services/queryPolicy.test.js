@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSql } from './sqlParser.js';
+import {
+  validateQueryPolicy,
+  checkQueryPolicy,
+  checkHelperPolicy,
+  enforceRowLimit,
+  enforceQueryCost,
+} from './queryPolicy.js';
+
+const check = (policy, sql) => checkQueryPolicy(policy, parseSql(sql));
+
+/**
+ * Client answering EXPLAIN with the given estimate
+ */
+function planningClient(totalCost, planRows) {
+  const client = {
+    queries: [],
+    query: async (text) => {
+      client.queries.push(text);
+      return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Total Cost': totalCost, 'Plan Rows': planRows } }] }] };
+    },
+  };
+  return client;
+}
+
+describe('validateQueryPolicy', () => {
+  it('accepts a complete policy', () => {
+    const policy = { statements: 'select', tables: { cases: ['id', 'status'] }, maxRows: 100, maxCost: 1000 };
+    assert.equal(validateQueryPolicy(policy).valid, true);
+  });
+
+  it('rejects unknown fields and statement levels', () => {
+    assert.equal(validateQueryPolicy({ statements: 'select', maxRow: 1 }).valid, false);
+    assert.equal(validateQueryPolicy({ statements: 'all' }).valid, false);
+  });
+});
+
+describe('checkQueryPolicy', () => {
+  const policy = { statements: 'select', tables: { cases: ['id', 'status'] } };
+
+  it('allows granted columns', () => {
+    assert.equal(check(policy, 'SELECT id, status FROM cases WHERE id = $1').valid, true);
+  });
+
+  it('rejects writes for a select policy', () => {
+    assert.equal(check(policy, "UPDATE cases SET status = 'closed'").code, 'STATEMENT_NOT_PERMITTED');
+  });
+
+  it('rejects tables and columns outside the grant', () => {
+    assert.equal(check(policy, 'SELECT id FROM accounts').code, 'TABLE_NOT_PERMITTED');
+    assert.equal(check(policy, 'SELECT id, notes FROM cases').code, 'COLUMN_NOT_PERMITTED');
+    assert.equal(check(policy, 'SELECT id FROM cases WHERE id IN (SELECT id FROM accounts)').code, 'TABLE_NOT_PERMITTED');
+  });
+});
+
+describe('checkHelperPolicy', () => {
+  it('applies the policy to helper requests', () => {
+    const policy = { statements: 'dml', tables: { cases: ['id', 'status'] } };
+    assert.equal(checkHelperPolicy(policy, { type: 'update', table: 'cases', columns: ['status'] }).valid, true);
+    assert.equal(checkHelperPolicy(policy, { type: 'select', table: 'cases', columns: ['*'] }).code, 'COLUMN_NOT_PERMITTED');
+  });
+});
+
+describe('enforceRowLimit', () => {
+  it('throws when a statement exceeds maxRows', () => {
+    assert.throws(
+      () => enforceRowLimit({ maxRows: 2 }, { rowCount: 3, rows: [], command: 'DELETE' }),
+      { code: 'ROW_LIMIT_EXCEEDED', statusCode: 403 }
+    );
+    assert.doesNotThrow(() => enforceRowLimit({ maxRows: 2 }, { rowCount: 2, rows: [], command: 'DELETE' }));
+  });
+});
+
+describe('enforceQueryCost', () => {
+  it('does nothing without cost limits', async () => {
+    const client = planningClient(1e9, 1e9);
+    await enforceQueryCost({ statements: 'select' }, client, 'SELECT * FROM cases');
+    assert.equal(client.queries.length, 0);
+  });
+
+  it('rejects a statement above the estimated cost or rows', async () => {
+    await assert.rejects(
+      enforceQueryCost({ maxCost: 100 }, planningClient(500, 10), 'SELECT * FROM cases'),
+      { code: 'QUERY_TOO_EXPENSIVE', statusCode: 403 }
+    );
+    await assert.rejects(
+      enforceQueryCost({ maxEstimatedRows: 100 }, planningClient(5, 1000), 'SELECT * FROM cases'),
+      { code: 'QUERY_TOO_EXPENSIVE' }
+    );
+  });
+
+  it('allows a statement within the limits', async () => {
+    await enforceQueryCost({ maxCost: 100, maxEstimatedRows: 100 }, planningClient(50, 10), 'SELECT * FROM cases');
+  });
+
+  it('rejects statements that cannot be planned', async () => {
+    for (const sql of ['SELECT 1; SELECT 2', 'VACUUM cases', 'SHOW work_mem']) {
+      await assert.rejects(
+        enforceQueryCost({ maxCost: 100 }, planningClient(1, 1), sql),
+        { code: 'QUERY_COST_UNKNOWN', statusCode: 403 }
+      );
+    }
+  });
+});
@@ -0,0 +1,453 @@
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+import { query } from '../config/database.js';
+import { generateReceiptPDF } from './pdfGenerator.js';
+import { generateScreeningReportPDF, validateScreeningReportData } from './screeningReportGenerator.js';
+import { generateSTRPDF } from './strGenerator.js';
+
+/**
+ * Asynchronous PDF report jobs
+ * Jobs are persisted in Postgres so they survive restarts; a polling worker
+ * claims queued jobs with SKIP LOCKED, so several instances can share the table
+ */
+
+// Configuration
+const WORKER_CONCURRENCY = parseInt(process.env.REPORT_JOB_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL_MS = parseInt(process.env.REPORT_JOB_POLL_INTERVAL_MS, 10) || 2000;
+const MAX_ATTEMPTS = parseInt(process.env.REPORT_JOB_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.REPORT_JOB_RETRY_DELAY_MS, 10) || 10000;
+const STALE_JOB_MS = parseInt(process.env.REPORT_JOB_STALE_MS, 10) || 300000;
+
+// A rendering worker refreshes its job's updated_at this often, so only jobs
+// whose worker stopped go stale
+const HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(STALE_JOB_MS / 3));
+
+const WORKER_ID = `${hostname()}-${process.pid}`;
+
+/**
+ * Supported report types, keyed by the `type` accepted on job creation
+ * validate (optional) checks a payload when the job is created
+ */
+export const REPORT_TYPES = {
+  receipt: {
+    generate: generateReceiptPDF,
+    filename: () => 'receipt.pdf',
+  },
+  'screening-report': {
+    generate: generateScreeningReportPDF,
+    validate: validateScreeningReportData,
+    filename: (data) => `screening-report-${(data.name || 'unknown').replace(/\s+/g, '-')}.pdf`,
+  },
+  str: {
+    generate: generateSTRPDF,
+    filename: (data) => `${(data.profile?.name || 'report').replace(/\s+/g, '_')}_STR.pdf`,
+  },
+};
+
+const CREATE_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS report_jobs (
+    id UUID PRIMARY KEY,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    error TEXT,
+    result BYTEA,
+    result_filename TEXT,
+    result_size INTEGER,
+    locked_by TEXT,
+    run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+  );
+  CREATE INDEX IF NOT EXISTS report_jobs_queue_idx
+    ON report_jobs (status, run_after, created_at);
+  ALTER TABLE report_jobs
+    ADD COLUMN IF NOT EXISTS requested_by_key TEXT,
+    ADD COLUMN IF NOT EXISTS requested_by_user TEXT,
+    ADD COLUMN IF NOT EXISTS requested_by_tenant TEXT;
+`;
+
+// Columns returned when reporting job status (never the PDF itself)
+const STATUS_COLUMNS = `
+  id, type, status, attempts, max_attempts, error, result_filename, result_size,
+  requested_by_key, requested_by_user, created_at, updated_at, started_at, completed_at
+`;
+
+// The worker's claim on a job: set by claimJob, gone once the job is requeued
+// or claimed again (attempts tells two claims by the same worker apart)
+const CLAIM_CONDITION = `status = 'processing' AND locked_by = $2 AND attempts = $3`;
+
+// Jobs are only visible to the key, user and tenant that queued them
+const OWNER_CONDITION = `
+  requested_by_key IS NOT DISTINCT FROM $2
+  AND requested_by_user IS NOT DISTINCT FROM $3
+  AND requested_by_tenant IS NOT DISTINCT FROM $4
+`;
+
+function ownerValues(owner = {}) {
+  return [owner.apiKey || null, owner.user || null, owner.tenantId || null];
+}
+
+let tableReady = null;
+
+/**
+ * Create the jobs table on first use
+ * @returns {Promise<void>}
+ */
+export function ensureReportJobsTable() {
+  if (!tableReady) {
+    tableReady = query(CREATE_TABLE_SQL).then(
+      () => undefined,
+      (error) => {
+        // Allow the next caller to retry
+        tableReady = null;
+        throw error;
+      }
+    );
+  }
+  return tableReady;
+}
+
+/**
+ * Queue a new report job
+ * @param {string} type - Report type (key of REPORT_TYPES)
+ * @param {Object} payload - Same body the synchronous PDF route accepts
+ * @param {Object} [requestedBy] - { apiKey, user, tenantId } that queued the job; only
+ *   they can read it back
+ * @returns {Promise<Object>} Job status row
+ */
+export async function createReportJob(type, payload, requestedBy = {}) {
+  await ensureReportJobsTable();
+
+  const result = await query(
+    `INSERT INTO report_jobs
+       (id, type, payload, max_attempts, requested_by_key, requested_by_user, requested_by_tenant)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${STATUS_COLUMNS}`,
+    [randomUUID(), type, JSON.stringify(payload), MAX_ATTEMPTS, ...ownerValues(requestedBy)]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get job status
+ * @param {string} id - Job id
+ * @param {Object} owner - { apiKey, user, tenantId } of the caller
+ * @returns {Promise<Object|null>} null if there is no such job or another caller queued it
+ */
+export async function getReportJob(id, owner) {
+  await ensureReportJobsTable();
+
+  const result = await query(
+    `SELECT ${STATUS_COLUMNS} FROM report_jobs WHERE id = $1 AND ${OWNER_CONDITION}`,
+    [id, ...ownerValues(owner)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get the finished PDF for a job
+ * @param {string} id - Job id
+ * @param {Object} owner - { apiKey, user, tenantId } of the caller
+ * @returns {Promise<{ status: string, pdf?: Buffer, filename?: string }|null>} null if there
+ *   is no such job or another caller queued it
+ */
+export async function getReportJobResult(id, owner) {
+  await ensureReportJobsTable();
+
+  const result = await query(
+    `SELECT status, result, result_filename FROM report_jobs WHERE id = $1 AND ${OWNER_CONDITION}`,
+    [id, ...ownerValues(owner)]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  return {
+    status: row.status,
+    pdf: row.result || undefined,
+    filename: row.result_filename || undefined,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Worker
+// ─────────────────────────────────────────────────────────────────
+
+let pollTimer = null;
+let isRunning = false;
+let isPolling = false;
+const runningJobs = new Set();
+
+/**
+ * Atomically claim the oldest runnable job
+ */
+async function claimJob() {
+  const result = await query(
+    `UPDATE report_jobs
+     SET status = 'processing', attempts = attempts + 1, locked_by = $1,
+         started_at = now(), updated_at = now()
+     WHERE id = (
+       SELECT id FROM report_jobs
+       WHERE status = 'queued' AND run_after <= now()
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING id, type, payload, attempts, max_attempts`,
+    [WORKER_ID]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Requeue jobs whose worker died mid-render (e.g. instance restarted), seen
+ * by their heartbeat stopping. A job that has used all its attempts is failed
+ * instead, so a payload that crashes the worker is not retried forever
+ */
+async function requeueStaleJobs() {
+  const result = await query(
+    `UPDATE report_jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         error = CASE WHEN attempts >= max_attempts THEN 'Worker stopped while rendering; no attempts left' ELSE error END,
+         completed_at = CASE WHEN attempts >= max_attempts THEN now() ELSE NULL END,
+         locked_by = NULL, updated_at = now()
+     WHERE status = 'processing' AND updated_at < now() - ($1 * interval '1 millisecond')
+     RETURNING id, status`,
+    [STALE_JOB_MS]
+  );
+
+  const requeued = result.rows.filter((r) => r.status === 'queued').map((r) => r.id);
+  const failed = result.rows.filter((r) => r.status === 'failed').map((r) => r.id);
+
+  if (requeued.length > 0) {
+    console.warn(JSON.stringify({
+      severity: 'WARNING',
+      message: 'Requeued stale report jobs',
+      jobIds: requeued,
+      timestamp: new Date().toISOString(),
+    }));
+  }
+  if (failed.length > 0) {
+    console.error(JSON.stringify({
+      severity: 'ERROR',
+      message: 'Failed stale report jobs with no attempts left',
+      jobIds: failed,
+      timestamp: new Date().toISOString(),
+    }));
+  }
+}
+
+/**
+ * Keep a claimed job's updated_at fresh while it renders
+ * @returns {Function} Stops the heartbeat
+ */
+function startHeartbeat(job) {
+  const timer = setInterval(() => {
+    query(
+      `UPDATE report_jobs SET updated_at = now() WHERE id = $1 AND ${CLAIM_CONDITION}`,
+      [job.id, WORKER_ID, job.attempts]
+    ).catch((error) => {
+      console.warn(JSON.stringify({
+        severity: 'WARNING',
+        message: 'Report job heartbeat failed',
+        jobId: job.id,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }));
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Log a result that was not stored because the job is no longer ours
+ */
+function logLostClaim(job, outcome) {
+  console.warn(JSON.stringify({
+    severity: 'WARNING',
+    message: 'Report job was requeued while rendering; result dropped',
+    jobId: job.id,
+    type: job.type,
+    attempt: job.attempts,
+    outcome,
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Render a claimed job and store the outcome
+ * Results are only stored while the claim holds; a job requeued by stale-job
+ * recovery belongs to whichever worker claimed it next
+ */
+async function runJob(job) {
+  const startTime = Date.now();
+  const reportType = REPORT_TYPES[job.type];
+  const stopHeartbeat = startHeartbeat(job);
+
+  try {
+    if (!reportType) {
+      throw new Error(`Unknown report type: ${job.type}`);
+    }
+
+    const pdfBuffer = await reportType.generate(job.payload);
+    if (!pdfBuffer || pdfBuffer.length === 0) {
+      throw new Error('Generated PDF is empty');
+    }
+
+    const stored = await query(
+      `UPDATE report_jobs
+       SET status = 'completed', result = $4, result_filename = $5, result_size = $6,
+           error = NULL, locked_by = NULL, completed_at = now(), updated_at = now()
+       WHERE id = $1 AND ${CLAIM_CONDITION}`,
+      [job.id, WORKER_ID, job.attempts, Buffer.from(pdfBuffer), reportType.filename(job.payload), pdfBuffer.length]
+    );
+    if (stored.rowCount === 0) {
+      logLostClaim(job, 'completed');
+      return;
+    }
+
+    console.log(JSON.stringify({
+      severity: 'INFO',
+      message: 'Report job completed',
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      duration: `${Date.now() - startTime}ms`,
+      pdfSize: pdfBuffer.length,
+      timestamp: new Date().toISOString(),
+    }));
+  } catch (error) {
+    const willRetry = reportType && job.attempts < job.max_attempts;
+
+    console.error(JSON.stringify({
+      severity: willRetry ? 'WARNING' : 'ERROR',
+      message: willRetry ? 'Report job failed, will retry' : 'Report job failed',
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      error: error.message,
+      duration: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString(),
+    }));
+
+    // Linear backoff between attempts
+    await query(
+      `UPDATE report_jobs
+       SET status = $4, error = $5, locked_by = NULL, updated_at = now(),
+           run_after = now() + ($6 * interval '1 millisecond'),
+           completed_at = CASE WHEN $4 = 'failed' THEN now() ELSE NULL END
+       WHERE id = $1 AND ${CLAIM_CONDITION}`,
+      [job.id, WORKER_ID, job.attempts, willRetry ? 'queued' : 'failed', error.message, RETRY_DELAY_MS * job.attempts]
+    ).then((stored) => {
+      if (stored.rowCount === 0) logLostClaim(job, 'failed');
+    }, (updateError) => {
+      // Stale-job recovery picks it up again if this fails
+      console.error(JSON.stringify({
+        severity: 'ERROR',
+        message: 'Failed to record report job failure',
+        jobId: job.id,
+        error: updateError.message,
+        timestamp: new Date().toISOString(),
+      }));
+    });
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+/**
+ * Claim jobs until the worker is at its concurrency limit
+ */
+async function poll() {
+  pollTimer = null;
+  // The poll already in progress reschedules itself when done
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    await ensureReportJobsTable();
+    await requeueStaleJobs();
+
+    while (isRunning && runningJobs.size < WORKER_CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+
+      const running = runJob(job).finally(() => {
+        runningJobs.delete(running);
+        schedulePoll(0);
+      });
+      runningJobs.add(running);
+    }
+  } catch (error) {
+    console.error(JSON.stringify({
+      severity: 'ERROR',
+      message: 'Report job poll failed',
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString(),
+    }));
+  } finally {
+    isPolling = false;
+  }
+
+  schedulePoll(POLL_INTERVAL_MS);
+}
+
+function schedulePoll(delay) {
+  if (!isRunning) return;
+  if (pollTimer) {
+    if (delay > 0) return;
+    clearTimeout(pollTimer);
+  }
+  pollTimer = setTimeout(poll, delay);
+}
+
+/**
+ * Start the background worker
+ */
+export function startReportWorker() {
+  isRunning = true;
+  schedulePoll(0);
+
+  console.log(JSON.stringify({
+    severity: 'INFO',
+    message: 'Report job worker started',
+    workerId: WORKER_ID,
+    concurrency: WORKER_CONCURRENCY,
+    timestamp: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Stop claiming new jobs and wait for running ones to finish
+ * @returns {Promise<void>}
+ */
+export async function stopReportWorker() {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  await Promise.allSettled([...runningJobs]);
+}
+
+/**
+ * Get worker statistics for monitoring
+ */
+export function getReportWorkerStats() {
+  return {
+    workerId: WORKER_ID,
+    running: isRunning,
+    concurrency: WORKER_CONCURRENCY,
+    activeJobs: runningJobs.size,
+  };
+}
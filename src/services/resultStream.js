@@ -0,0 +1,193 @@
+import { cancelQuery } from '../config/database.js';
+import { enforceRowLimit } from './queryPolicy.js';
+
+/**
+ * Streaming query results
+ * Rows are read through a server-side cursor (DECLARE / FETCH) in batches and
+ * written to the response as they arrive, so large exports never sit in
+ * memory. Writing waits for the socket to drain, and a client that goes away
+ * cancels the statement still running in Postgres
+ */
+
+// Configuration
+const STREAM_BATCH_SIZE = parseInt(process.env.STREAM_BATCH_SIZE, 10) || 1000;
+const STREAM_MAX_ROWS = parseInt(process.env.STREAM_MAX_ROWS, 10) || 1000000;
+// Streams hold their connection for as long as the client keeps reading, so
+// they get their own limit instead of the 60 s leak guard
+export const STREAM_RELEASE_TIMEOUT_MS = parseInt(process.env.STREAM_RELEASE_TIMEOUT_MS, 10) || 3600000;
+
+const CURSOR_NAME = 'result_stream';
+
+/**
+ * CSV field: RFC 4180 quoting; dates as ISO 8601, JSON and arrays as JSON
+ */
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Buffer.isBuffer(value)) text = `\\x${value.toString('hex')}`;
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+/**
+ * Output formats by media type (chosen from the Accept header)
+ */
+export const STREAM_FORMATS = {
+  'application/x-ndjson': {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: () => '',
+    row: (row, fields) => `${JSON.stringify(Object.fromEntries(fields.map((field, i) => [field.name, row[i]])))}\n`,
+  },
+  'text/csv': {
+    contentType: 'text/csv; charset=utf-8',
+    disposition: 'attachment; filename="query-results.csv"',
+    header: (fields) => csvLine(fields.map((field) => field.name)),
+    row: (row) => csvLine(row),
+  },
+};
+
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function streamError(message, code, statusCode, cause) {
+  const error = new Error(message, { cause });
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * A stream that already sent rows must fail rather than be re-run (e.g. on the
+ * primary after a replica dropped), which would send the rows twice
+ */
+function interruptedError(rowCount, cause) {
+  const code = ['STREAM_TOO_LARGE', 'ROW_LIMIT_EXCEEDED'].includes(cause.code) ? cause.code : 'STREAM_INTERRUPTED';
+  const error = streamError(`Stream stopped after ${rowCount} rows: ${cause.message}`, code, 500, cause);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Stream a SELECT to the response; call inside a transaction
+ * The response status and headers are sent with the first batch, so errors
+ * before any rows (syntax, permissions) still get a normal JSON error, and
+ * only those may be retried elsewhere. Does not end the response
+ * @param {Object} res - Express response
+ * @param {pg.PoolClient} client - Client with an open transaction
+ * @param {string} sql - A single SELECT
+ * @param {any[]} params
+ * @param {Object} options
+ * @param {string} options.format - Key of STREAM_FORMATS
+ * @param {Object} [options.policy] - Credential query policy (maxRows)
+ * @returns {Promise<{ rowCount: number, cancelled: boolean }>}
+ */
+export async function streamQuery(res, client, sql, params, { format, policy }) {
+  // Re-run after a failure that came too late for the transaction to notice (e.g. at COMMIT)
+  if (res.headersSent) {
+    throw interruptedError(0, new Error('the first attempt had already sent rows'));
+  }
+
+  const output = STREAM_FORMATS[format];
+  let rowCount = 0;
+  let cancelled = false;
+  let cancelling = null;
+
+  const onClose = () => {
+    if (res.writableFinished) return;
+    cancelled = true;
+    // Stop a FETCH that is still running
+    cancelling = cancelQuery(client).catch(() => {});
+  };
+  res.on('close', onClose);
+
+  try {
+    await client.query({
+      text: `DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR ${sql.trim().replace(/;+$/, '')}`,
+      values: params,
+    });
+
+    while (!cancelled) {
+      const batch = await client.query({ text: `FETCH ${STREAM_BATCH_SIZE} FROM ${CURSOR_NAME}`, rowMode: 'array' });
+
+      const total = rowCount + batch.rows.length;
+      if (total > STREAM_MAX_ROWS) {
+        throw streamError(`Result exceeds the streaming limit of ${STREAM_MAX_ROWS} rows`, 'STREAM_TOO_LARGE', 413);
+      }
+      enforceRowLimit(policy, { rowCount: total, command: 'SELECT' });
+
+      if (!res.headersSent) {
+        res.status(200);
+        res.setHeader('Content-Type', output.contentType);
+        res.setHeader('Cache-Control', 'no-cache');
+        if (output.disposition) res.setHeader('Content-Disposition', output.disposition);
+        res.write(output.header(batch.fields));
+      }
+
+      const chunk = batch.rows.map((row) => output.row(row, batch.fields)).join('');
+      rowCount = total;
+      if (chunk && !res.write(chunk)) {
+        await drained(res);
+      }
+
+      if (batch.rows.length < STREAM_BATCH_SIZE) break;
+    }
+
+    if (!cancelled) {
+      await client.query(`CLOSE ${CURSOR_NAME}`);
+    }
+    return { rowCount, cancelled };
+  } catch (error) {
+    if (cancelled) {
+      return { rowCount, cancelled };
+    }
+    if (res.headersSent) {
+      throw interruptedError(rowCount, error);
+    }
+    throw error;
+  } finally {
+    res.off('close', onClose);
+    // Don't hand the connection back while its cancel request is in flight
+    await cancelling;
+  }
+}
+
+/**
+ * End a stream that failed after it started
+ * NDJSON gets a final error line; CSV has no way to carry one, so the
+ * connection is cut and the client sees an incomplete response
+ */
+export function failStream(res, format, error) {
+  console.error(JSON.stringify({
+    severity: 'ERROR',
+    message: 'Query stream failed',
+    error: error.message,
+    code: error.code,
+    format,
+    timestamp: new Date().toISOString(),
+  }));
+
+  if (res.destroyed || res.writableEnded) return;
+
+  if (format === 'application/x-ndjson') {
+    res.end(`${JSON.stringify({ success: false, error: error.message, code: error.code })}\n`);
+  } else {
+    res.destroy(error);
+  }
+}
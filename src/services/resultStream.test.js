@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { streamQuery } from './resultStream.js';
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.headersSent = false;
+  res.writableFinished = false;
+  res.chunks = [];
+  res.status = () => res;
+  res.setHeader = () => {};
+  res.write = (chunk) => {
+    res.headersSent = true;
+    res.chunks.push(chunk);
+    return true;
+  };
+  return res;
+}
+
+const fields = [{ name: 'id' }];
+
+/**
+ * Client whose cursor returns the given FETCH results in turn; an Error is thrown
+ */
+function fakeClient(batches) {
+  return {
+    query: async ({ text } = {}) => {
+      if (!text?.startsWith('FETCH')) return { rows: [] };
+      const batch = batches.shift();
+      if (batch instanceof Error) throw batch;
+      return { rows: batch, fields };
+    },
+  };
+}
+
+const options = { format: 'application/x-ndjson' };
+
+describe('streamQuery', () => {
+  it('writes every row as NDJSON', async () => {
+    const res = fakeResponse();
+    const result = await streamQuery(res, fakeClient([[[1], [2]]]), 'SELECT id FROM cases', [], options);
+
+    assert.deepEqual(result, { rowCount: 2, cancelled: false });
+    assert.equal(res.chunks.join(''), '{"id":1}\n{"id":2}\n');
+  });
+
+  it('leaves errors before the first row retryable', async () => {
+    const lost = Object.assign(new Error('Connection terminated unexpectedly'), { code: 'ECONNRESET' });
+
+    await assert.rejects(
+      streamQuery(fakeResponse(), fakeClient([lost]), 'SELECT id FROM cases', [], options),
+      (error) => error === lost && error.retryable === undefined
+    );
+  });
+
+  it('marks a failure after rows were sent as not retryable', async () => {
+    const res = fakeResponse();
+    const batch = Array.from({ length: 1000 }, (_, i) => [i]);
+    const lost = new Error('Connection terminated unexpectedly');
+
+    await assert.rejects(
+      streamQuery(res, fakeClient([batch, lost]), 'SELECT id FROM cases', [], options),
+      { code: 'STREAM_INTERRUPTED', retryable: false }
+    );
+  });
+
+  it('refuses to run again once a response has started', async () => {
+    const res = fakeResponse();
+    res.headersSent = true;
+
+    await assert.rejects(
+      streamQuery(res, fakeClient([[[1]]]), 'SELECT id FROM cases', [], options),
+      { code: 'STREAM_INTERRUPTED', retryable: false }
+    );
+    assert.deepEqual(res.chunks, []);
+  });
+});
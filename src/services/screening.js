@@ -0,0 +1,232 @@
+import { query } from '../config/database.js';
+import { ensureListTables } from './listIngestion.js';
+import { normalizeName, phoneticKey, compareTokens } from './nameMatching.js';
+
+/**
+ * Name screening against the ingested sanctions lists
+ * Names and aliases are held in an in-memory index keyed by phonetic token, so
+ * only entries sharing a token key with the subject are scored. The index is
+ * rebuilt when a list's current version changes
+ */
+
+// Configuration
+const DEFAULT_THRESHOLD = parseFloat(process.env.SCREENING_MATCH_THRESHOLD) || 0.85;
+const DEFAULT_MAX_RESULTS = parseInt(process.env.SCREENING_MAX_RESULTS, 10) || 50;
+
+// Score adjustments from secondary identifiers
+const DOB_MATCH_BONUS = 0.05;
+const DOB_MISMATCH_PENALTY = 0.15;
+const NATIONALITY_MATCH_BONUS = 0.03;
+
+const PERSON_TYPES = new Set(['person', 'individual']);
+
+let index = null;
+let indexSignature = null;
+let indexLoading = null;
+
+/**
+ * Current version of every list, used to detect re-imports
+ */
+async function getListSignature() {
+  const result = await query(
+    'SELECT id, current_version_id FROM screening_lists ORDER BY id'
+  );
+  return result.rows.map((row) => `${row.id}:${row.current_version_id}`).join(',');
+}
+
+/**
+ * Load every entity and alias into memory
+ */
+async function buildIndex() {
+  const startTime = Date.now();
+
+  const [lists, entities, aliases, programs] = await Promise.all([
+    query('SELECT id, name, category FROM screening_lists'),
+    query(
+      `SELECT id, list_id, source_id, entity_type, name, dates_of_birth, nationalities
+       FROM screening_entities`
+    ),
+    query('SELECT entity_id, name FROM screening_entity_aliases'),
+    query('SELECT entity_id, program FROM screening_entity_programs'),
+  ]);
+
+  const listsById = new Map(lists.rows.map((row) => [row.id, row]));
+  const entitiesById = new Map();
+  for (const row of entities.rows) {
+    entitiesById.set(row.id, {
+      ...row,
+      list: listsById.get(row.list_id),
+      aliases: [],
+      programs: [],
+    });
+  }
+  for (const row of aliases.rows) entitiesById.get(row.entity_id)?.aliases.push(row.name);
+  for (const row of programs.rows) entitiesById.get(row.entity_id)?.programs.push(row.program);
+
+  // One searchable name per entity name and alias
+  const names = [];
+  const byKey = new Map();
+  for (const entity of entitiesById.values()) {
+    for (const name of [entity.name, ...entity.aliases]) {
+      const tokens = normalizeName(name);
+      if (tokens.length === 0) continue;
+
+      const nameIndex = names.push({ entity, name, tokens }) - 1;
+      for (const key of new Set(tokens.map(phoneticKey))) {
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(nameIndex);
+      }
+    }
+  }
+
+  console.log(JSON.stringify({
+    severity: 'INFO',
+    message: 'Screening index built',
+    entities: entitiesById.size,
+    names: names.length,
+    duration: `${Date.now() - startTime}ms`,
+    timestamp: new Date().toISOString(),
+  }));
+
+  return { names, byKey, lists: [...listsById.values()] };
+}
+
+/**
+ * Get the index, rebuilding it if any list was re-imported
+ */
+async function getIndex() {
+  await ensureListTables();
+
+  const signature = await getListSignature();
+  if (index && signature === indexSignature) {
+    return index;
+  }
+
+  // Concurrent requests share one rebuild
+  if (!indexLoading) {
+    indexLoading = buildIndex()
+      .then((built) => {
+        index = built;
+        indexSignature = signature;
+        return built;
+      })
+      .finally(() => {
+        indexLoading = null;
+      });
+  }
+  return indexLoading;
+}
+
+/**
+ * Four-digit years mentioned in a date of birth (lists often give only a year or a range)
+ */
+function yearsOf(value) {
+  return (String(value || '').match(/\b(1[89]|20)\d{2}\b/g) || []).map(Number);
+}
+
+/**
+ * Adjust a name score using date of birth and nationality
+ */
+function adjustScore(score, entity, subject) {
+  const details = {};
+  let adjusted = score;
+
+  const subjectYears = yearsOf(subject.dateOfBirth);
+  const entityYears = entity.dates_of_birth.flatMap(yearsOf);
+  if (subjectYears.length > 0 && entityYears.length > 0) {
+    details.dobMatch = entityYears.some((year) => Math.abs(year - subjectYears[0]) <= 1);
+    adjusted += details.dobMatch ? DOB_MATCH_BONUS : -DOB_MISMATCH_PENALTY;
+  }
+
+  const nationality = String(subject.nationality || '').trim().toLowerCase();
+  if (nationality && entity.nationalities.length > 0) {
+    details.nationalityMatch = entity.nationalities.some((n) => n.toLowerCase() === nationality);
+    if (details.nationalityMatch) adjusted += NATIONALITY_MATCH_BONUS;
+  }
+
+  return { score: Math.max(0, Math.min(1, adjusted)), details };
+}
+
+/**
+ * Screen a subject against the ingested lists
+ * @param {Object} subject
+ * @param {string} subject.name - Full name (Latin or Arabic script)
+ * @param {string} [subject.dateOfBirth] - Any format containing a year
+ * @param {string} [subject.nationality] - Country name or ISO code as used by the lists
+ * @param {string} [subject.entityType] - 'person' | 'entity'
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Minimum score (0..1)
+ * @param {number} [options.limit] - Maximum matches returned
+ * @param {string[]} [options.lists] - List ids to screen against (default: all)
+ * @returns {Promise<Object>} Matches in the shape consumed by generateScreeningReportPDF
+ */
+export async function screenSubject(subject, options = {}) {
+  const startTime = Date.now();
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const limit = options.limit ?? DEFAULT_MAX_RESULTS;
+
+  const { names, byKey, lists } = await getIndex();
+  const screenedLists = lists.filter((list) => !options.lists || options.lists.includes(list.id));
+  const screenedIds = new Set(screenedLists.map((list) => list.id));
+
+  const wantPerson = typeof subject.entityType === 'string' && subject.entityType
+    ? PERSON_TYPES.has(subject.entityType.toLowerCase())
+    : null;
+  const subjectTokens = normalizeName(subject.name);
+
+  const candidates = new Set();
+  for (const key of new Set(subjectTokens.map(phoneticKey))) {
+    for (const nameIndex of byKey.get(key) || []) candidates.add(nameIndex);
+  }
+
+  // Best-scoring name (primary or alias) per entity
+  const best = new Map();
+  for (const nameIndex of candidates) {
+    const { entity, name, tokens } = names[nameIndex];
+    if (!screenedIds.has(entity.list_id)) continue;
+    if (wantPerson !== null && (entity.entity_type === 'person') !== wantPerson) continue;
+
+    const nameScore = compareTokens(subjectTokens, tokens);
+    const current = best.get(entity.id);
+    if (!current || nameScore > current.nameScore) {
+      best.set(entity.id, { entity, matchedName: name, nameScore });
+    }
+  }
+
+  const matches = [];
+  for (const { entity, matchedName, nameScore } of best.values()) {
+    const { score, details } = adjustScore(nameScore, entity, subject);
+    if (score < threshold) continue;
+
+    matches.push({
+      entity_id: `${entity.list_id}:${entity.source_id}`,
+      name: entity.name,
+      score: Math.round(score * 1000) / 1000,
+      name_score: Math.round(nameScore * 1000) / 1000,
+      matched_name: matchedName,
+      entity_type: entity.entity_type,
+      date_of_birth: entity.dates_of_birth[0],
+      nationality: entity.nationalities[0],
+      aliases: entity.aliases,
+      sanctions: [entity.list.name],
+      programs: entity.programs,
+      listSource: entity.list.name,
+      is_pep: entity.list.category === 'pep',
+      is_sanctioned: entity.list.category === 'sanctions',
+      ...details,
+    });
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+
+  return {
+    matches: matches.slice(0, limit),
+    totalMatches: matches.length,
+    executionTime: Date.now() - startTime,
+    listsScreened: screenedLists.map((list) => ({
+      name: list.name,
+      status: 'Screened',
+      count: matches.filter((m) => m.listSource === list.name).length,
+    })),
+  };
+}
@@ -1,11 +1,55 @@
-import { chromium } from 'playwright';
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { withPage } from './browserPool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Array fields of the report data; entries of the last three may also be plain strings
+const OBJECT_LIST_FIELDS = ['matches', 'transactions', 'suspiciousTransactions'];
+const NAMED_LIST_FIELDS = ['listsScreened', 'queryLists', 'auditTrail'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the shape of screening report data before rendering it
+ * @param {Object} reportData - Screening report data object
+ * @returns {{ valid: boolean, error?: string, field?: string }}
+ */
+export function validateScreeningReportData(reportData) {
+  for (const field of [...OBJECT_LIST_FIELDS, ...NAMED_LIST_FIELDS]) {
+    const value = reportData[field];
+    if (value === undefined) continue;
+    if (!Array.isArray(value)) {
+      return { valid: false, error: `${field} must be an array`, field };
+    }
+
+    const namesAllowed = NAMED_LIST_FIELDS.includes(field);
+    const index = value.findIndex((entry) => !isPlainObject(entry) && !(namesAllowed && typeof entry === 'string'));
+    if (index !== -1) {
+      return {
+        valid: false,
+        error: `${field}[${index}] must be an object${namesAllowed ? ' or a string' : ''}`,
+        field: `${field}[${index}]`,
+      };
+    }
+  }
+
+  const index = (reportData.suspiciousTransactions || [])
+    .findIndex((st) => st.transaction !== undefined && !isPlainObject(st.transaction));
+  if (index !== -1) {
+    const field = `suspiciousTransactions[${index}].transaction`;
+    return { valid: false, error: `${field} must be an object`, field };
+  }
+
+  if (reportData.status !== undefined && reportData.status !== null && typeof reportData.status !== 'string') {
+    return { valid: false, error: 'status must be a string', field: 'status' };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Generate screening report PDF from structured data
  * @param {Object} reportData - Screening report data object
@@ -87,6 +131,83 @@ export async function generateScreeningReportPDF(reportData) {
     }
   };
 
+  // Format date, optionally with time
+  const formatDate = (value, withTime = false) => {
+    if (!value) return 'N/A';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return String(value);
+    const options = { day: '2-digit', month: 'short', year: 'numeric' };
+    if (withTime) {
+      options.hour = '2-digit';
+      options.minute = '2-digit';
+      options.second = '2-digit';
+    }
+    return d.toLocaleString('en-GB', options);
+  };
+
+  // Format execution time (milliseconds)
+  const formatDuration = (ms) => {
+    if (ms === undefined || ms === null || ms === '') return 'N/A';
+    const num = Number(ms);
+    if (isNaN(num)) return String(ms);
+    if (num < 1000) return `${Math.round(num)} ms`;
+    return `${(num / 1000).toFixed(2)} s`;
+  };
+
+  // Normalize a list entry given as a string or an object
+  const toListEntry = (entry) => {
+    if (typeof entry === 'string') return { name: entry };
+    if (!entry || typeof entry !== 'object') return null;
+    return {
+      name: entry.name || entry.list || entry.source,
+      status: entry.status,
+      count: entry.count ?? entry.matches ?? entry.matchCount,
+    };
+  };
+
+  // Every list that was requested or screened, with its match count
+  const listCoverage = (() => {
+    const coverage = new Map();
+    for (const entry of (Array.isArray(queryLists) ? queryLists : []).map(toListEntry)) {
+      if (entry?.name) coverage.set(entry.name, { name: entry.name, status: 'Not screened', screened: false });
+    }
+    for (const entry of (Array.isArray(listsScreened) ? listsScreened : []).map(toListEntry)) {
+      if (!entry?.name) continue;
+      coverage.set(entry.name, {
+        name: entry.name,
+        status: entry.status || 'Screened',
+        screened: true,
+        count: entry.count,
+      });
+    }
+    return [...coverage.values()].map((list) => ({
+      ...list,
+      count: list.count ?? (list.screened
+        ? matches.filter((m) => m.listSource === list.name
+          || (Array.isArray(m.sanctions) && m.sanctions.includes(list.name))).length
+        : undefined),
+    }));
+  })();
+
+  // Audit trail in chronological order; undated entries keep their order at the end
+  const auditEntries = (Array.isArray(auditTrail) ? auditTrail : [])
+    .map((entry, index) => {
+      if (typeof entry === 'string') return { index, action: entry };
+      return {
+        index,
+        timestamp: entry.timestamp || entry.date || entry.time,
+        action: entry.action || entry.event || entry.description,
+        actor: entry.user || entry.actor || entry.performedBy,
+        details: entry.details,
+      };
+    })
+    .sort((a, b) => {
+      const ta = a.timestamp ? new Date(a.timestamp).getTime() : NaN;
+      const tb = b.timestamp ? new Date(b.timestamp).getTime() : NaN;
+      if (isNaN(ta) || isNaN(tb)) return isNaN(ta) - isNaN(tb) || a.index - b.index;
+      return ta - tb || a.index - b.index;
+    });
+
   // Load logo
   let logoBase64 = '';
   try {
@@ -761,6 +882,24 @@ export async function generateScreeningReportPDF(reportData) {
       font-weight: 500;
     }
     
+    /* Repeat table headers on every printed page */
+    .transaction-table thead {
+      display: table-header-group;
+    }
+    
+    .rationale-text {
+      font-size: 13px;
+      color: ${COLORS.text};
+      line-height: 1.6;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    
+    .coverage-not-screened {
+      color: ${COLORS.textMuted};
+      font-style: italic;
+    }
+    
     .footer {
       margin-top: auto;
       padding-top: 20px;
@@ -905,6 +1044,40 @@ export async function generateScreeningReportPDF(reportData) {
       ` : ''}
     </div>
 
+    <!-- Screening Rationale -->
+    ${reason ? `
+    <div class="sidebar-section">
+      <div class="sidebar-title">Screening Rationale</div>
+      <div class="rationale-text">${escapeHtml(reason)}</div>
+    </div>
+    ` : ''}
+
+    <!-- Screening Summary -->
+    <div class="section no-break">
+      <div class="section-title">Screening Summary</div>
+      <div class="stats-grid">
+        <div class="stat-item">
+          <div class="stat-label">Total Matches</div>
+          <div class="stat-value">${escapeHtml(formatValue(totalMatches ?? matches.length))}</div>
+        </div>
+        <div class="stat-item">
+          <div class="stat-label">Lists Screened</div>
+          <div class="stat-value">${listCoverage.filter((list) => list.screened).length}</div>
+        </div>
+        <div class="stat-item">
+          <div class="stat-label">Transactions</div>
+          <div class="stat-value">${escapeHtml(formatValue(transactionCount ?? transactions.length))}</div>
+        </div>
+        <div class="stat-item">
+          <div class="stat-label">Suspicious</div>
+          <div class="stat-value">${escapeHtml(formatValue(suspiciousCount ?? suspiciousTransactions.length))}</div>
+        </div>
+        <div class="stat-item">
+          <div class="stat-label">Execution Time</div>
+          <div class="stat-value">${escapeHtml(formatDuration(executionTime))}</div>
+        </div>
+      </div>
+    </div>
 
     <!-- AML Screening Results -->
     <div>
@@ -989,6 +1162,54 @@ export async function generateScreeningReportPDF(reportData) {
     </div>
     ` : ''}
     
+    <!-- Suspicious Transactions -->
+    ${suspiciousTransactions.length > 0 ? `
+    <div class="section">
+      <div class="section-title">Suspicious Transactions</div>
+      ${suspiciousTransactions.map((st) => {
+        const tx = st.transaction || {};
+        const parties = [tx.from, tx.to].filter(Boolean).map((p) => escapeHtml(p)).join(' → ');
+        return `
+        <div class="suspicious-transaction no-break">
+          <div class="st-header">
+            <span class="st-amount">${escapeHtml(tx.currency || '')} ${Number(tx.amount || 0).toLocaleString()}</span>
+            <span class="st-risk">Risk Points: ${escapeHtml(formatValue(st.riskPoints))}</span>
+          </div>
+          <div class="st-details">
+            ${formatDate(tx.date)}${tx.type ? ` | ${escapeHtml(tx.type)}` : ''}${parties ? ` | ${parties}` : ''}
+          </div>
+          ${st.reason ? `<div class="st-reason">${escapeHtml(st.reason)}</div>` : ''}
+        </div>
+      `;
+      }).join('')}
+    </div>
+    ` : ''}
+
+    <!-- Lists Screened -->
+    ${listCoverage.length > 0 ? `
+    <div class="section">
+      <div class="section-title">Lists Screened</div>
+      <table class="transaction-table">
+        <thead>
+          <tr>
+            <th class="table-header">List</th>
+            <th class="table-header">Status</th>
+            <th class="table-header">Matches</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${listCoverage.map((list) => `
+          <tr class="table-row no-break-row">
+            <td class="table-cell table-cell-bold">${escapeHtml(list.name)}</td>
+            <td class="table-cell ${list.screened ? '' : 'coverage-not-screened'}">${escapeHtml(list.status)}</td>
+            <td class="table-cell">${escapeHtml(list.count ?? '—')}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ` : ''}
+
     <!-- Analyst Comments -->
     ${analystComments ? `
     <div class="sidebar-section">
@@ -996,8 +1217,33 @@ export async function generateScreeningReportPDF(reportData) {
       <div class="analyst-comments">${escapeHtml(analystComments)}</div>
     </div>
     ` : ''}
-    
 
+    <!-- Audit Trail Appendix -->
+    ${auditEntries.length > 0 ? `
+    <div class="section page-break-before">
+      <div class="section-title">Appendix: Audit Trail</div>
+      <table class="transaction-table">
+        <thead>
+          <tr>
+            <th class="table-header">Timestamp</th>
+            <th class="table-header">Action</th>
+            <th class="table-header">User</th>
+            <th class="table-header">Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${auditEntries.map((entry) => `
+          <tr class="table-row no-break-row">
+            <td class="table-cell">${entry.timestamp ? escapeHtml(formatDate(entry.timestamp, true)) : 'N/A'}</td>
+            <td class="table-cell table-cell-bold">${escapeHtml(formatValue(entry.action))}</td>
+            <td class="table-cell">${entry.actor ? escapeHtml(formatValue(entry.actor)) : ''}</td>
+            <td class="table-cell">${entry.details ? escapeHtml(formatValue(entry.details)) : ''}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ` : ''}
 
     </div>
   </div>
@@ -1005,99 +1251,38 @@ export async function generateScreeningReportPDF(reportData) {
 </html>
   `;
 
-  // Launch browser and generate PDF
-  let page = null;
-  let browser = null;
-
+  // Render PDF on a pooled browser
   try {
-    console.log(
-      JSON.stringify({
-        severity: 'INFO',
-        message: 'Launching Chromium browser for screening report',
-        timestamp: new Date().toISOString(),
-      })
-    );
-
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--disable-background-networking',
-        '--disable-background-timer-throttling',
-        '--disable-renderer-backgrounding',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-breakpad',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--no-pings',
-        '--no-zygote',
-        '--single-process',
-      ],
-      timeout: 30000,
-    });
-
-    page = await browser.newPage({
-      timeout: 30000,
-    });
-
-    await page.setContent(html, {
-      waitUntil: 'domcontentloaded',
-      timeout: 30000,
-    });
+    return await withPage(async (page) => {
+      await page.setContent(html, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
 
-    await page.waitForTimeout(500);
+      await page.waitForTimeout(500);
 
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '30px',
-        right: '40px',
-        bottom: '80px',
-        left: '40px',
-      },
-      preferCSSPageSize: false,
-      displayHeaderFooter: true,
-      headerTemplate: '<div></div>',
-      footerTemplate: '<div style="width: 100%; text-align: center; font-size: 12px; color: #6b7280; padding: 10px 0;">Generated By : AML KW</div>',
-      timeout: 30000,
+      return page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '30px',
+          right: '40px',
+          bottom: '80px',
+          left: '40px',
+        },
+        preferCSSPageSize: false,
+        displayHeaderFooter: true,
+        headerTemplate: '<div></div>',
+        footerTemplate: '<div style="width: 100%; text-align: center; font-size: 12px; color: #6b7280; padding: 10px 0;">Generated By : AML KW</div>',
+        timeout: 30000,
+      });
     });
-
-    try {
-      await page.close();
-      page = null;
-    } catch (e) {
-      // Ignore
-    }
-
-    return pdfBuffer;
   } catch (error) {
+    // Pool errors (renderer busy / shutting down) already carry an HTTP status
+    if (error.statusCode) throw error;
+
     const errorMessage = error.message || 'Unknown error';
     throw new Error(`PDF generation failed: ${errorMessage}`);
-  } finally {
-    if (page) {
-      try {
-        await page.close().catch(() => {});
-      } catch (e) {
-        // Ignore
-      }
-    }
-
-    if (browser) {
-      try {
-        await browser.close().catch(() => {});
-      } catch (e) {
-        // Ignore
-      }
-    }
   }
 }
 
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScreeningReportData } from './screeningReportGenerator.js';
+
+describe('validateScreeningReportData', () => {
+  it('accepts a complete report', () => {
+    const result = validateScreeningReportData({
+      name: 'Jane Doe',
+      status: 'High',
+      matches: [{ name: 'Jane Doe', score: 0.93 }],
+      transactions: [{ amount: 10 }],
+      suspiciousTransactions: [{ transaction: { amount: 10 }, reason: 'Structuring', riskPoints: 20 }],
+      listsScreened: ['OFAC', { name: 'UN', count: 0 }],
+      queryLists: ['OFAC'],
+      auditTrail: ['Created', { action: 'Reviewed', user: 'analyst' }],
+    });
+    assert.equal(result.valid, true);
+  });
+
+  it('accepts a report without any lists', () => {
+    assert.equal(validateScreeningReportData({ name: 'Jane Doe' }).valid, true);
+  });
+
+  for (const [data, field] of [
+    [{ suspiciousTransactions: { amount: 10 } }, 'suspiciousTransactions'],
+    [{ matches: null }, 'matches'],
+    [{ auditTrail: ['Created', null] }, 'auditTrail[1]'],
+    [{ transactions: [42] }, 'transactions[0]'],
+    [{ suspiciousTransactions: [{ transaction: 'tx-1' }] }, 'suspiciousTransactions[0].transaction'],
+    [{ status: ['High'] }, 'status'],
+  ]) {
+    it(`rejects an invalid ${field}`, () => {
+      const result = validateScreeningReportData(data);
+      assert.equal(result.valid, false);
+      assert.equal(result.field, field);
+    });
+  }
+});
@@ -0,0 +1,79 @@
+import { query } from '../config/database.js';
+
+/**
+ * Nonces of signed requests
+ * Stored in Postgres, so a signed request cannot be replayed against another
+ * instance. A nonce is kept for as long as its request's timestamp would be
+ * accepted; nothing is evicted early
+ */
+
+// Expired nonces are deleted at most this often per instance
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+const CREATE_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS signature_nonces (
+    key_id TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (key_id, nonce)
+  );
+  CREATE INDEX IF NOT EXISTS signature_nonces_expires_idx
+    ON signature_nonces (expires_at);
+`;
+
+let tableReady = null;
+let lastPurge = 0;
+
+/**
+ * Create the nonce table on first use
+ * @returns {Promise<void>}
+ */
+export function ensureSignatureNonceTable() {
+  if (!tableReady) {
+    tableReady = query(CREATE_TABLE_SQL).then(
+      () => undefined,
+      (error) => {
+        // Allow the next caller to retry
+        tableReady = null;
+        throw error;
+      }
+    );
+  }
+  return tableReady;
+}
+
+function purgeExpiredNonces() {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+
+  query('DELETE FROM signature_nonces WHERE expires_at < now()').catch((error) => {
+    console.error(JSON.stringify({
+      severity: 'ERROR',
+      message: 'Failed to purge expired signature nonces',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    }));
+  });
+}
+
+/**
+ * Record a nonce, unless it was already used within its lifetime
+ * @param {string} keyId - Credential the nonce belongs to
+ * @param {string} nonce
+ * @param {number} ttlSeconds - How long the nonce must be remembered
+ * @returns {Promise<boolean>} true the first time a nonce is seen
+ */
+export async function useSignatureNonce(keyId, nonce, ttlSeconds) {
+  await ensureSignatureNonceTable();
+  purgeExpiredNonces();
+
+  const result = await query(
+    `INSERT INTO signature_nonces (key_id, nonce, expires_at)
+     VALUES ($1, $2, now() + make_interval(secs => $3))
+     ON CONFLICT (key_id, nonce) DO UPDATE SET expires_at = EXCLUDED.expires_at
+     WHERE signature_nonces.expires_at < now()
+     RETURNING nonce`,
+    [keyId, nonce, ttlSeconds]
+  );
+  return result.rowCount > 0;
+}
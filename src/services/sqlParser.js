@@ -0,0 +1,215 @@
+import { loadModule, parseSync } from 'libpg-query';
+
+/**
+ * SQL analysis on the PostgreSQL grammar
+ * Uses libpg_query (the parser from the Postgres source tree, compiled to
+ * WebAssembly) to turn a query into an AST, then extracts what the validator
+ * needs: statement types, referenced relations, columns and called functions
+ */
+
+await loadModule();
+
+// Statement node types that change data
+const WRITE_NODES = new Set(['InsertStmt', 'UpdateStmt', 'DeleteStmt', 'MergeStmt']);
+
+// Functions that change state even inside a SELECT
+const WRITE_FUNCTIONS = new Set(['nextval', 'setval']);
+
+/**
+ * Convert a libpg_query byte offset into a 1-based character position,
+ * matching the `position` Postgres reports in its own errors
+ */
+function toPosition(sql, byteOffset) {
+  if (typeof byteOffset !== 'number' || byteOffset < 0) return undefined;
+  return Buffer.from(sql, 'utf8').subarray(0, byteOffset).toString('utf8').length + 1;
+}
+
+/**
+ * Replace an AST byte offset with a character position
+ */
+function withPosition(sql, { location, ...item }) {
+  return { ...item, position: toPosition(sql, location) };
+}
+
+/**
+ * SelectStmt -> select, AlterTableStmt -> alter_table
+ */
+function statementType(nodeType, node) {
+  if (nodeType === 'SelectStmt' && node.intoClause) return 'select_into';
+
+  return nodeType
+    .replace(/Stmt$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+function isRangeVar(node) {
+  return typeof node.relname === 'string' && typeof node.relpersistence === 'string';
+}
+
+function relationOf(rangeVar) {
+  return { schema: rangeVar.schemaname, name: rangeVar.relname };
+}
+
+function functionName(funcname) {
+  const parts = funcname.map((part) => part.String?.sval).filter(Boolean);
+  return {
+    schema: parts.length > 1 ? parts[parts.length - 2] : undefined,
+    name: parts[parts.length - 1],
+  };
+}
+
+/**
+ * Names written by INSERT column lists and UPDATE SET clauses
+ */
+function targetColumns(targets, rangeVar, found) {
+  for (const target of targets || []) {
+    if (!target.ResTarget?.name) continue;
+    found.targetColumns.push({
+      table: relationOf(rangeVar),
+      name: target.ResTarget.name,
+      location: target.ResTarget.location,
+    });
+  }
+}
+
+/**
+ * Walk a statement, collecting relations, columns, function calls and nested writes
+ * CTE names are tracked per WITH clause so references to them are not
+ * reported as tables
+ */
+function collect(node, ctes, found) {
+  if (Array.isArray(node)) {
+    for (const item of node) collect(item, ctes, found);
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  let scope = ctes;
+  if (node.withClause?.ctes) {
+    scope = new Set(ctes);
+    for (const cte of node.withClause.ctes) {
+      const { ctename, aliascolnames } = cte.CommonTableExpr || {};
+      if (!ctename) continue;
+      scope.add(ctename);
+      found.derived.add(ctename);
+      for (const column of aliascolnames || []) found.outputNames.add(column.String?.sval);
+    }
+  }
+
+  if (isRangeVar(node)) {
+    if (node.schemaname || !scope.has(node.relname)) {
+      found.relations.push({ ...relationOf(node), location: node.location });
+      if (node.alias?.aliasname) {
+        found.aliases.set(node.alias.aliasname, relationOf(node));
+      } else {
+        found.aliases.set(node.relname, relationOf(node));
+        if (node.schemaname) found.aliases.set(`${node.schemaname}.${node.relname}`, relationOf(node));
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (WRITE_NODES.has(key)) found.writes = true;
+    if (key === 'FuncCall' && Array.isArray(value.funcname)) {
+      found.functions.push({ ...functionName(value.funcname), location: value.location });
+    }
+    if (key === 'ColumnRef' && Array.isArray(value.fields)) {
+      const parts = value.fields.map((field) => (field.A_Star ? '*' : field.String?.sval));
+      found.columns.push({
+        qualifier: parts.length > 1 ? parts.slice(0, -1).join('.') : undefined,
+        name: parts[parts.length - 1],
+        location: value.location,
+      });
+    }
+    if (key === 'InsertStmt') targetColumns(value.cols, value.relation, found);
+    if (key === 'UpdateStmt') targetColumns(value.targetList, value.relation, found);
+    if (key === 'SelectStmt') {
+      for (const target of value.targetList || []) {
+        if (target.ResTarget?.name) found.outputNames.add(target.ResTarget.name);
+      }
+    }
+    if ((key === 'RangeSubselect' || key === 'RangeFunction') && value.alias?.aliasname) {
+      found.derived.add(value.alias.aliasname);
+    }
+    if (key === 'lockingClause') found.locking = true;
+    if (key === 'ParamRef') found.paramCount = Math.max(found.paramCount, value.number || 0);
+    if (value && typeof value === 'object') collect(value, scope, found);
+  }
+}
+
+/**
+ * Parse and analyse SQL
+ * @param {string} sql - One or more SQL statements
+ * @returns {{
+ *   valid: boolean,
+ *   statements?: Array<{ type: string, readOnly: boolean, position: number, paramCount: number, scope: Object }>,
+ *   relations?: Array<{ schema?: string, name: string, position: number }>,
+ *   functions?: Array<{ schema?: string, name: string, position: number }>,
+ *   error?: string,
+ *   position?: number
+ * }}
+ */
+export function parseSql(sql) {
+  let tree;
+  try {
+    tree = parseSync(sql);
+  } catch (error) {
+    const cursor = error.sqlDetails?.cursorPosition;
+    return {
+      valid: false,
+      error: `SQL syntax error: ${error.sqlDetails?.message || error.message}`,
+      position: typeof cursor === 'number' ? toPosition(sql, cursor) : undefined,
+    };
+  }
+
+  const statements = [];
+  const relations = [];
+  const functions = [];
+
+  for (const { stmt, stmt_location: location = 0 } of tree.stmts || []) {
+    const [nodeType, node] = Object.entries(stmt)[0];
+    const found = {
+      relations: [],
+      functions: [],
+      columns: [],
+      targetColumns: [],
+      aliases: new Map(),
+      derived: new Set(),
+      outputNames: new Set(),
+      writes: false,
+      locking: false,
+      paramCount: 0,
+    };
+    collect(stmt, new Set(), found);
+
+    const type = statementType(nodeType, node);
+    statements.push({
+      type,
+      readOnly: type === 'select'
+        && !found.writes
+        && !found.locking
+        && !found.functions.some((fn) => WRITE_FUNCTIONS.has(fn.name)),
+      position: toPosition(sql, location),
+      paramCount: found.paramCount,
+      // Name resolution for per-key column policies
+      scope: {
+        relations: found.relations.map((relation) => withPosition(sql, relation)),
+        aliases: found.aliases,
+        derived: found.derived,
+        outputNames: found.outputNames,
+        columns: found.columns.map((column) => withPosition(sql, column)),
+        targetColumns: found.targetColumns.map((column) => withPosition(sql, column)),
+      },
+    });
+
+    relations.push(...found.relations.map((relation) => withPosition(sql, relation)));
+    functions.push(...found.functions.map((fn) => withPosition(sql, fn)));
+  }
+
+  if (statements.length === 0) {
+    return { valid: false, error: 'SQL query contains no statements' };
+  }
+
+  return { valid: true, statements, relations, functions };
+}
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSql } from './sqlParser.js';
+
+describe('parseSql', () => {
+  it('reports syntax errors with their position', () => {
+    const result = parseSql('SELECT 1 FROM WHERE');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /^SQL syntax error/);
+    assert.equal(typeof result.position, 'number');
+  });
+
+  it('classifies each statement and counts its parameters', () => {
+    const { statements } = parseSql('SELECT a FROM cases WHERE id = $1 AND x = $2; DELETE FROM cases; SET work_mem = 1');
+    assert.deepEqual(
+      statements.map(({ type, readOnly, position, paramCount }) => ({ type, readOnly, position, paramCount })),
+      [
+        { type: 'select', readOnly: true, position: 1, paramCount: 2 },
+        { type: 'delete', readOnly: false, position: 46, paramCount: 0 },
+        { type: 'variable_set', readOnly: false, position: 65, paramCount: 0 },
+      ]
+    );
+  });
+
+  it('collects relations with their schema and character position', () => {
+    assert.deepEqual(parseSql('SELECT * FROM public."Cases"').relations, [{ schema: 'public', name: 'Cases', position: 15 }]);
+    // Positions count characters, not UTF-8 bytes
+    assert.equal(parseSql("SELECT 'é' FROM cases").relations[0].position, 17);
+  });
+
+  it('does not report CTE names as relations', () => {
+    const result = parseSql('WITH recent AS (SELECT id FROM cases) SELECT * FROM recent');
+    assert.deepEqual(result.relations.map((relation) => relation.name), ['cases']);
+  });
+
+  it('collects functions from subqueries, CTEs and FROM clauses', () => {
+    const names = (sql) => parseSql(sql).functions.map(({ schema, name }) => (schema ? `${schema}.${name}` : name));
+    assert.deepEqual(names("WITH t AS (SELECT pg_read_file('x')) SELECT * FROM t"), ['pg_read_file']);
+    assert.deepEqual(names('SELECT * FROM (SELECT lower(name) FROM people) p'), ['lower']);
+    assert.deepEqual(names('SELECT f.x FROM s.fn() f'), ['s.fn']);
+  });
+
+  it('records the columns each statement reads and writes', () => {
+    const [statement] = parseSql('UPDATE cases SET status = $1 WHERE id = $2').statements;
+    assert.deepEqual(statement.scope.targetColumns.map((column) => column.name), ['status']);
+    assert.deepEqual(statement.scope.columns.map((column) => column.name), ['id']);
+  });
+});
@@ -1,7 +1,7 @@
-import { chromium } from 'playwright';
 import { readFile } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { withPage } from './browserPool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -300,97 +300,36 @@ export async function generateSTRPDF(strData) {
 </html>
   `;
 
-  // Launch browser and generate PDF
-  let page = null;
-  let browser = null;
-
+  // Render PDF on a pooled browser
   try {
-    console.log(
-      JSON.stringify({
-        severity: 'INFO',
-        message: 'Launching Chromium browser for STR',
-        timestamp: new Date().toISOString(),
-      })
-    );
-
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--disable-background-networking',
-        '--disable-background-timer-throttling',
-        '--disable-renderer-backgrounding',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-breakpad',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--no-pings',
-        '--no-zygote',
-        '--single-process',
-      ],
-      timeout: 30000,
-    });
-
-    page = await browser.newPage({
-      timeout: 30000,
-    });
-
-    await page.setContent(html, {
-      waitUntil: 'domcontentloaded',
-      timeout: 30000,
-    });
+    return await withPage(async (page) => {
+      await page.setContent(html, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
 
-    await page.waitForTimeout(500);
+      await page.waitForTimeout(500);
 
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '40px',
-        right: '50px',
-        bottom: '60px',
-        left: '50px',
-      },
-      preferCSSPageSize: false,
-      displayHeaderFooter: false,
-      timeout: 30000,
+      return page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '40px',
+          right: '50px',
+          bottom: '60px',
+          left: '50px',
+        },
+        preferCSSPageSize: false,
+        displayHeaderFooter: false,
+        timeout: 30000,
+      });
     });
-
-    try {
-      await page.close();
-      page = null;
-    } catch (e) {
-      // Ignore
-    }
-
-    return pdfBuffer;
   } catch (error) {
+    // Pool errors (renderer busy / shutting down) already carry an HTTP status
+    if (error.statusCode) throw error;
+
     const errorMessage = error.message || 'Unknown error';
     throw new Error(`PDF generation failed: ${errorMessage}`);
-  } finally {
-    if (page) {
-      try {
-        await page.close().catch(() => {});
-      } catch (e) {
-        // Ignore
-      }
-    }
-
-    if (browser) {
-      try {
-        await browser.close().catch(() => {});
-      } catch (e) {
-        // Ignore
-      }
-    }
   }
 }
 